@@ -0,0 +1,35 @@
+const SqliteMessageStore = require('../worker/messagestores/sqlite');
+
+// Messages encrypted per transaction. Kept below SQLite's limit of 999 variables per query
+// when cleaning up the plain text afterwards
+const BATCH_SIZE = 500;
+
+module.exports = async function(env, options) {
+    let app = await require('../libs/bootstrap')('encryptlogs');
+
+    if (!app.conf.get('logging.database')) {
+        console.error('No sqlite message database is configured in logging.database');
+        process.exit(1);
+    }
+
+    let store = new SqliteMessageStore(app.conf);
+    // Retention cleanup would delete rows while they are being encrypted
+    await store.init({ retentionCleanup: false });
+
+    console.log('Encrypting messages. Make sure kiwibnc is not running while this completes');
+    let total = await store.encryptExistingMessages(BATCH_SIZE);
+
+    // Removed plain text may still be left in free pages of the database file
+    console.log('Compacting the database');
+    store.db.pragma('wal_checkpoint(TRUNCATE)');
+    store.db.exec('VACUUM');
+
+    console.log(`Encrypted ${total} messages`);
+    if (!app.conf.get('logging.encrypt')) {
+        console.log('Set encrypt=true in the [logging] config so that new messages are encrypted too');
+    }
+
+    store.stop();
+    store.db.close();
+    process.exit(0);
+};
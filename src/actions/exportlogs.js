@@ -0,0 +1,40 @@
+const fs = require('fs');
+const MessageStores = require('../worker/messagestores/');
+const { exportLines } = require('../libs/logexport');
+
+module.exports = async function(username, file, options) {
+    let app = await require('../libs/bootstrap')('exportlogs');
+    await app.initDatabase();
+
+    let user = await app.userDb.getUser(username);
+    if (!user) {
+        console.error('User does not exist');
+        process.exit(1);
+    }
+
+    let networks = await app.userDb.getUserNetworks(user.id);
+    if (options.network) {
+        networks = networks.filter(n => n.name.toLowerCase() === options.network.toLowerCase());
+        if (networks.length === 0) {
+            console.error(`Network ${options.network} does not exist`);
+            process.exit(1);
+        }
+    }
+
+    let messages = new MessageStores(app.conf, app.db);
+    await messages.init();
+
+    let out = fs.createWriteStream(file);
+    let numMessages = 0;
+    for await (let line of exportLines(messages, user.id, networks, { buffer: options.buffer })) {
+        // Wait for the file to catch up so that large exports don't fill memory
+        if (!out.write(line + '\n')) {
+            await new Promise(resolve => out.once('drain', resolve));
+        }
+        numMessages++;
+    }
+    await new Promise(resolve => out.end(resolve));
+
+    console.log(`Exported ${numMessages} messages to ${file}`);
+    process.exit(0);
+};
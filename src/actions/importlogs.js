@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MessageStores = require('../worker/messagestores/');
+const { parseJsonLine, parseZncLine, parseZncLogPath } = require('../libs/logexport');
+
+// Messages stored before waiting for the message stores to catch up
+const IMPORT_BATCH_SIZE = 1000;
+
+module.exports = async function(username, file, options) {
+    let app = await require('../libs/bootstrap')('importlogs');
+    await app.initDatabase();
+
+    let user = await app.userDb.getUser(username);
+    if (!user) {
+        console.error('User does not exist');
+        process.exit(1);
+    }
+
+    let networks = await app.userDb.getUserNetworks(user.id);
+    let findNetwork = (name) => networks.find(n => n.name.toLowerCase() === (name || '').toLowerCase());
+    if (options.network && !findNetwork(options.network)) {
+        console.error(`Network ${options.network} does not exist`);
+        process.exit(1);
+    }
+
+    let messages = new MessageStores(app.conf, app.db);
+    await messages.init();
+
+    let numImported = 0;
+    let numSkipped = 0;
+    let store = async (network, buffer, message) => {
+        await messages.importMessage(user.id, network.id, buffer, message);
+        if (++numImported % IMPORT_BATCH_SIZE === 0) {
+            await messages.flush();
+        }
+    };
+
+    for (let filePath of listFiles(file)) {
+        let zncFile = null;
+        let lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+        for await (let line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            // Exports start with a JSON object on each line, anything else is read as a ZNC log
+            if (zncFile === null) {
+                zncFile = line[0] !== '{';
+            }
+
+            if (!zncFile) {
+                let parsed = parseJsonLine(line);
+                let network = parsed && findNetwork(options.network || parsed.network);
+                if (!network) {
+                    numSkipped++;
+                    continue;
+                }
+
+                await store(network, parsed.buffer, parsed.message);
+                continue;
+            }
+
+            let network = findNetwork(options.network);
+            let logInfo = parseZncLogPath(filePath);
+            if (!network || !logInfo) {
+                console.error(`Skipping ${filePath}. ZNC logs need a --network and a <buffer>/<YYYY-MM-DD>.log or <network>_<buffer>_<YYYYMMDD>.log file name`);
+                break;
+            }
+
+            let buffer = options.buffer || logInfo.buffer;
+            let message = parseZncLine(line, logInfo.date, buffer);
+            if (!message) {
+                numSkipped++;
+                continue;
+            }
+
+            await store(network, buffer, message);
+        }
+    }
+
+    await messages.flush();
+
+    console.log(`Imported ${numImported} messages, skipped ${numSkipped} lines`);
+    process.exit(0);
+};
+
+// A file, or all .log and .jsonl files within a directory
+function listFiles(file) {
+    if (!fs.statSync(file).isDirectory()) {
+        return [file];
+    }
+
+    let files = [];
+    fs.readdirSync(file, { withFileTypes: true }).forEach(entry => {
+        let entryPath = path.join(file, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(entryPath));
+        } else if (/\.(log|jsonl)$/.test(entry.name)) {
+            files.push(entryPath);
+        }
+    });
+
+    return files.sort();
+}
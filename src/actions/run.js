@@ -42,9 +42,10 @@ module.exports = async function(env, options) {
         });
     }
 
+    // The worker reloads the config and tells us to reload ours
     process.on('SIGHUP', () => {
-        l('SIGHUP received. Reloading worker process...');
-        workerProc.kill('SIGTERM');
+        l('SIGHUP received. Reloading the config...');
+        workerProc.kill('SIGHUP');
     });
 
     spawnWorker();
@@ -0,0 +1,23 @@
+exports.up = async function(knex) {
+    await knex.schema.createTable('message_logs', table => {
+        table.bigIncrements('id');
+        table.integer('user_id').notNullable();
+        table.integer('network_id').notNullable();
+        table.string('buffer', 255).notNullable();
+        table.bigInteger('time').notNullable();
+        table.integer('type').notNullable();
+        table.string('msgid', 255);
+        table.text('tags');
+        table.text('prefix');
+        table.text('params');
+        table.text('data');
+
+        table.index(['user_id', 'network_id', 'buffer', 'time']);
+        table.index('msgid');
+        table.index('time');
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
@@ -0,0 +1,17 @@
+exports.up = async function(knex) {
+    await knex.schema.createTable('log_retention', table => {
+        table.increments('id');
+        table.integer('user_id').notNullable();
+        // 0 applies to all of the users networks
+        table.integer('network_id').notNullable().defaultTo(0);
+        // A buffer name, or *, *channels or *pms for a group of buffers
+        table.string('buffer', 255).notNullable().defaultTo('*');
+        // Days to keep messages. 0 keeps them forever, -1 disables logging
+        table.integer('days').notNullable();
+        table.unique(['user_id', 'network_id', 'buffer']);
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
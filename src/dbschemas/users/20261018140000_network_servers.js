@@ -0,0 +1,15 @@
+exports.up = async function(knex) {
+    await knex.schema.createTable('network_servers', table => {
+        table.increments('id');
+        table.integer('network_id').notNullable().index();
+        // Servers are tried in this order after the networks own host
+        table.integer('position').notNullable().defaultTo(0);
+        table.string('host', 255).notNullable();
+        table.integer('port').notNullable();
+        table.boolean('tls').notNullable().defaultTo(false);
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
@@ -0,0 +1,12 @@
+exports.up = async function(knex) {
+    await knex.schema.table('user_networks', table => {
+        // PEM client certificate presented to the network for CertFP and SASL EXTERNAL
+        table.text('tls_client_cert');
+        // PEM private key, encrypted with the crypt_key
+        table.text('tls_client_key');
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
@@ -0,0 +1,13 @@
+exports.up = async function(knex) {
+    await knex.schema.createTable('user_certfps', table => {
+        table.increments('id');
+        table.integer('user_id').notNullable().index();
+        // sha256 of the certificate, lowercase hex
+        table.string('fingerprint', 64).notNullable().unique();
+        table.integer('created_at');
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
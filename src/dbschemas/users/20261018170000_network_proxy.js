@@ -0,0 +1,11 @@
+exports.up = async function(knex) {
+    await knex.schema.table('user_networks', table => {
+        // socks5:// or http:// proxy to connect through. Empty uses connections.proxy from the
+        // config, "none" connects directly
+        table.string('proxy', 255);
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
@@ -0,0 +1,13 @@
+exports.up = async function(knex) {
+    await knex.schema.createTable('user_vhosts', table => {
+        table.increments('id');
+        // One address per user, given out from the vhosts.prefixes pools
+        table.integer('user_id').notNullable().unique();
+        table.string('address', 45).notNullable().unique();
+        table.integer('created_at');
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
@@ -0,0 +1,14 @@
+exports.up = async function(knex) {
+    await knex.schema.table('user_networks', table => {
+        // Comma separated nicks to try when the networks nick is in use
+        table.string('alt_nicks', 255);
+        // How to change a nick that is in use once the alt nicks are used up. underscore or digits
+        table.string('nick_suffix', 20);
+        // Ask NickServ to free our nick when logged in with SASL. Empty, ghost or regain
+        table.string('nickserv_regain', 20);
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
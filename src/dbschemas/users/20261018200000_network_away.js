@@ -0,0 +1,13 @@
+exports.up = async function(knex) {
+    await knex.schema.table('user_networks', table => {
+        // Mark the network as away when its last client detaches
+        table.boolean('auto_away').defaultTo(true);
+        table.string('away_message', 255);
+        // Nick to switch to while away
+        table.string('away_nick', 50);
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
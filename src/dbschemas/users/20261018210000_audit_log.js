@@ -0,0 +1,18 @@
+exports.up = async function(knex) {
+    await knex.schema.createTable('audit_log', table => {
+        table.increments('id');
+        table.integer('created_at').index();
+        // The user that did it. 0 when not logged in, eg. a failed login
+        table.integer('actor_user_id').defaultTo(0);
+        table.string('actor', 255).defaultTo('');
+        // eg. auth.failure, network.change, token.add, admin.deleteuser
+        table.string('action', 50).index();
+        table.string('target', 255).defaultTo('');
+        table.string('source_ip', 64).defaultTo('');
+        table.text('details');
+    });
+};
+
+exports.down = function(knex) {
+    // Never go backwards in the db
+};
@@ -1,5 +1,6 @@
 const messageTags = require('irc-framework/src/messagetags');
 const { mParam, mParamU, isoTime, notifyLevel } = require('../../libs/helpers');
+const SojuNetworks = require('./sojunetworks');
 
 let bncApp = null;
 
@@ -182,10 +183,28 @@ module.exports.init = async function init(hooks, app) {
                 client.writeMsg('BOUNCER', 'state', network.id, network.name, state);
             }
         });
+        SojuNetworks.notifyNetworkChange(app, upstream.state.authUserId, network, { state });
     };
 
     hooks.on('available_caps', event => {
         event.caps.add('bouncer');
+        event.caps.add(SojuNetworks.CAP_NETWORKS);
+        event.caps.add(SojuNetworks.CAP_NOTIFY);
+    });
+
+    // Clients using soju.im/bouncer-networks pick their network with BOUNCER BIND <netid>
+    // rather than the network name in their login
+    hooks.on('auth', async event => {
+        let netId = event.client.state.tempGet('bouncer.bind');
+        if (!netId || event.userId) {
+            return;
+        }
+
+        let user = await app.userDb.getUser(event.username);
+        let network = user && await app.userDb.getUserNetwork(user.id, netId);
+        if (network) {
+            event.networkName = network.name;
+        }
     });
 
     hooks.on('connection_open', event => {
@@ -275,6 +294,7 @@ module.exports.init = async function init(hooks, app) {
             let network = await event.client.userDb.getNetwork(upstream.state.authNetworkId);
             if (network) {
                 token += `=network=${network.name};netid=${network.id}`;
+                event.tokens.push('BOUNCER_NETID=' + network.id);
             }
         }
 
@@ -288,10 +308,20 @@ async function handleBouncerCommand(event) {
 
     let msg = event.message;
     let con = event.client;
-    con.state.tempSet('bouncer_requested', true);
-
     let subCmd = mParamU(msg, 0, '');
 
+    if (SojuNetworks.handlesCommand(con, subCmd)) {
+        await SojuNetworks.handleCommand(event, bncApp);
+        return;
+    }
+
+    // Only BIND is accepted before registration
+    if (!con.state.netRegistered) {
+        return;
+    }
+
+    con.state.tempSet('bouncer_requested', true);
+
     let getNetworkId = (paramIdx) => {
         let netId = mParam(msg, paramIdx, '');
         return netId === '*' ?
@@ -530,14 +560,16 @@ async function handleBouncerCommand(event) {
             if (err.code === 'max_networks') {
                 con.writeMsg('BOUNCER', 'addnetwork', '*', tags.network, 'ERR_MAXNETWORKS');
             } else {
-                l.error('[BOUNCER] Error adding network to user', err);
+                con.log.error('[BOUNCER] Error adding network to user', err);
                 con.writeMsg('BOUNCER', 'addnetwork', '*', tags.network, 'ERR_UNKNOWN', 'Error saving the network');
             }
 
             return;
         }
 
+        con.audit('network.add', network.name);
         con.writeMsg('BOUNCER', 'addnetwork', network.id, network.name, 'RPL_OK');
+        SojuNetworks.notifyNetworkChange(bncApp, con.state.authUserId, network);
 
         // Update all clients of the network list. This lets each client keep their network list up to date
         await sendNetworkListToClients(bncApp.cons.findAllUsersClients(con.state.authUserId));
@@ -625,12 +657,14 @@ async function handleBouncerCommand(event) {
         try {
             await network.save();
         } catch (err) {
-            l.error('[BOUNCER] Error changing network', err.stack);
+            con.log.error('[BOUNCER] Error changing network', err.stack);
             con.writeMsg('BOUNCER', 'changenetwork', netId, 'ERR_UNKNOWN', 'Error saving the network');
             return;
         }
 
+        con.audit('network.change', network.name, Object.keys(tags).join(', '));
         con.writeMsg('BOUNCER', 'changenetwork', netId, 'RPL_OK');
+        SojuNetworks.notifyNetworkChange(bncApp, con.state.authUserId, network);
 
         // Update all clients of the network list. This lets each client keep their network list up to date
         await sendNetworkListToClients(bncApp.cons.findAllUsersClients(con.state.authUserId));
@@ -654,8 +688,10 @@ async function handleBouncerCommand(event) {
         }
 
 
-        await con.db.dbUsers('user_networks').where('id', network.id).delete();
+        await con.userDb.deleteNetwork(network.id);
+        con.audit('network.delete', network.name);
         con.writeMsg('BOUNCER', 'delnetwork', netId, 'RPL_OK');
+        SojuNetworks.notifyNetworkDeleted(bncApp, con.state.authUserId, network.id);
 
         // Update all clients of the network list. This lets each client keep their network list up to date
         await sendNetworkListToClients(bncApp.cons.findAllUsersClients(con.state.authUserId));
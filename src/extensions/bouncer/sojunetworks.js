@@ -0,0 +1,276 @@
+/**
+ * The soju.im/bouncer-networks dialect of the BOUNCER command, letting clients such as Goguma
+ * and gamja manage networks natively.
+ * https://codeberg.org/emersion/soju/src/branch/master/doc/ext/bouncer-networks.md
+ *
+ * Clients that enable the capability get these subcommands in place of the Kiwi ones of the
+ * same name. BIND is accepted from any client before registration.
+ */
+
+const Irc = require('irc-framework');
+const messageTags = require('irc-framework/src/messagetags');
+const { mParam, mParamU } = require('../../libs/helpers');
+
+const CAP_NETWORKS = 'soju.im/bouncer-networks';
+const CAP_NOTIFY = 'soju.im/bouncer-networks-notify';
+
+const SUBCOMMANDS = ['BIND', 'LISTNETWORKS', 'ADDNETWORK', 'CHANGENETWORK', 'DELNETWORK'];
+
+// soju attribute: network property
+const ATTRIBUTES = Object.assign(Object.create(null), {
+    name: 'name',
+    host: 'host',
+    port: 'port',
+    tls: 'tls',
+    nickname: 'nick',
+    username: 'username',
+    realname: 'realname',
+    pass: 'password',
+});
+const READ_ONLY_ATTRIBUTES = ['state', 'error'];
+
+module.exports.CAP_NETWORKS = CAP_NETWORKS;
+module.exports.CAP_NOTIFY = CAP_NOTIFY;
+
+module.exports.handlesCommand = handlesCommand;
+function handlesCommand(con, subCmd) {
+    if (subCmd === 'BIND') {
+        return true;
+    }
+
+    return con.state.caps.has(CAP_NETWORKS) && SUBCOMMANDS.includes(subCmd);
+}
+
+module.exports.handleCommand = handleCommand;
+async function handleCommand(event, app) {
+    let msg = event.message;
+    let con = event.client;
+    let subCmd = mParamU(msg, 0, '');
+
+    if (subCmd === 'BIND') {
+        if (con.state.netRegistered) {
+            fail(con, 'REGISTRATION_IS_COMPLETED', 'BIND', 'Cannot bind to a network after registration');
+            return;
+        }
+
+        let netId = mParam(msg, 1, '');
+        if (!netId.match(/^\d+$/)) {
+            fail(con, 'INVALID_NETID', 'BIND', netId, 'Invalid network ID');
+            return;
+        }
+
+        // Picked up by the auth hook once the client has logged in
+        await con.state.tempSet('bouncer.bind', netId);
+        return;
+    }
+
+    if (!con.state.authUserId) {
+        fail(con, 'ACCOUNT_REQUIRED', subCmd, 'Not logged in');
+        return;
+    }
+
+    if (subCmd === 'LISTNETWORKS') {
+        let networks = await con.userDb.getUserNetworks(con.state.authUserId);
+        let batchId = Math.round(Math.random()*1e17).toString(36);
+
+        let m = new Irc.Message('BATCH', '+' + batchId, 'soju.im/bouncer-networks');
+        m.prefix = 'bnc';
+        con.writeMsg(m);
+
+        networks.forEach(network => {
+            let m = new Irc.Message('BOUNCER', 'NETWORK', network.id, encodeAttributes(networkAttributes(app, network)));
+            m.tags.batch = batchId;
+            con.writeMsg(m);
+        });
+
+        m = new Irc.Message('BATCH', '-' + batchId);
+        m.prefix = 'bnc';
+        con.writeMsg(m);
+    }
+
+    if (subCmd === 'ADDNETWORK') {
+        let attrs = parseAttributes(con, subCmd, mParam(msg, 1, ''));
+        if (!attrs) {
+            return;
+        }
+
+        if (!attrs.host) {
+            fail(con, 'NEED_ATTRIBUTE', subCmd, 'host', 'A host is required');
+            return;
+        }
+
+        let name = attrs.name || attrs.host;
+        let network = await con.userDb.getNetworkByName(con.state.authUserId, name);
+        if (network) {
+            fail(con, 'INVALID_ATTRIBUTE', subCmd, 'name', 'Network name already in use');
+            return;
+        }
+
+        try {
+            network = await con.userDb.addNetwork(con.state.authUserId, {
+                ...attrs,
+                name,
+                port: attrs.port || 6697,
+                tls: attrs.tls === undefined ? true : attrs.tls,
+            });
+        } catch (err) {
+            if (err.code === 'max_networks') {
+                fail(con, 'UNKNOWN_ERROR', subCmd, 'Max number of networks reached');
+            } else {
+                con.log.error('[BOUNCER] Error adding network to user', err);
+                fail(con, 'UNKNOWN_ERROR', subCmd, 'Error saving the network');
+            }
+
+            return;
+        }
+
+        con.audit('network.add', network.name);
+        con.writeMsg('BOUNCER', 'ADDNETWORK', network.id);
+        notifyNetworkChange(app, con.state.authUserId, network);
+    }
+
+    if (subCmd === 'CHANGENETWORK') {
+        let netId = mParam(msg, 1, '');
+        let network = await con.userDb.getUserNetwork(con.state.authUserId, netId);
+        if (!network) {
+            fail(con, 'INVALID_NETID', subCmd, netId, 'Network not found');
+            return;
+        }
+
+        let attrs = parseAttributes(con, subCmd, mParam(msg, 2, ''));
+        if (!attrs) {
+            return;
+        }
+
+        let existing = attrs.name && await con.userDb.getNetworkByName(con.state.authUserId, attrs.name);
+        if (existing && existing.id !== network.id) {
+            fail(con, 'INVALID_ATTRIBUTE', subCmd, 'name', 'Network name already in use');
+            return;
+        }
+
+        for (let prop in attrs) {
+            network[prop] = attrs[prop];
+        }
+
+        try {
+            await network.save();
+        } catch (err) {
+            con.log.error('[BOUNCER] Error changing network', err.stack);
+            fail(con, 'UNKNOWN_ERROR', subCmd, netId, 'Error saving the network');
+            return;
+        }
+
+        con.audit('network.change', network.name, Object.keys(attrs).join(', '));
+        con.writeMsg('BOUNCER', 'CHANGENETWORK', network.id);
+        notifyNetworkChange(app, con.state.authUserId, network);
+    }
+
+    if (subCmd === 'DELNETWORK') {
+        let netId = mParam(msg, 1, '');
+        let network = await con.userDb.getUserNetwork(con.state.authUserId, netId);
+        if (!network) {
+            fail(con, 'INVALID_NETID', subCmd, netId, 'Network not found');
+            return;
+        }
+
+        // Close any active upstream connections we have for this network
+        let upstream = con.conDict.findUsersOutgoingConnection(con.state.authUserId, network.id);
+        if (upstream) {
+            upstream.close();
+            upstream.destroy();
+        }
+
+        await con.userDb.deleteNetwork(network.id);
+        con.audit('network.delete', network.name);
+
+        con.writeMsg('BOUNCER', 'DELNETWORK', network.id);
+        notifyNetworkDeleted(app, con.state.authUserId, network.id);
+    }
+}
+
+/**
+ * Send the current attributes of a network to the users clients that want notifications
+ */
+module.exports.notifyNetworkChange = notifyNetworkChange;
+function notifyNetworkChange(app, userId, network, attrs) {
+    let encoded = encodeAttributes(attrs || networkAttributes(app, network));
+    notifyClients(app, userId, network.id, encoded);
+}
+
+module.exports.notifyNetworkDeleted = notifyNetworkDeleted;
+function notifyNetworkDeleted(app, userId, networkId) {
+    notifyClients(app, userId, networkId, '*');
+}
+
+function notifyClients(app, userId, networkId, encodedAttrs) {
+    app.cons.findAllUsersClients(userId).forEach(client => {
+        if (client.state.caps.has(CAP_NOTIFY)) {
+            client.writeMsg('BOUNCER', 'NETWORK', networkId, encodedAttrs);
+        }
+    });
+}
+
+function networkAttributes(app, network) {
+    let upstream = app.cons.findUsersOutgoingConnection(network.user_id, network.id);
+
+    return {
+        name: network.name,
+        state: upstream && upstream.state.connected ? 'connected' : 'disconnected',
+        host: network.host || '',
+        port: String(network.port),
+        tls: network.tls ? '1' : '0',
+        nickname: (upstream ? upstream.state.nick : network.nick) || '',
+        username: network.username || '',
+        realname: network.realname || '',
+    };
+}
+
+// Parse a clients attributes into network properties, or null after replying with an error
+function parseAttributes(con, subCmd, str) {
+    let attrs = messageTags.decode(str) || {};
+    let props = Object.create(null);
+
+    for (let attr in attrs) {
+        let val = attrs[attr];
+
+        if (READ_ONLY_ATTRIBUTES.includes(attr)) {
+            fail(con, 'READ_ONLY_ATTRIBUTE', subCmd, attr, 'Attribute is read-only');
+            return null;
+        }
+
+        if (!ATTRIBUTES[attr]) {
+            fail(con, 'UNKNOWN_ATTRIBUTE', subCmd, attr, 'Unknown attribute');
+            return null;
+        }
+
+        if (attr === 'port') {
+            let port = parseInt(val, 10);
+            if (isNaN(port) || port <= 0 || port > 65535) {
+                fail(con, 'INVALID_ATTRIBUTE', subCmd, attr, 'Invalid port');
+                return null;
+            }
+            props.port = port;
+        } else if (attr === 'tls') {
+            if (val !== '0' && val !== '1') {
+                fail(con, 'INVALID_ATTRIBUTE', subCmd, attr, 'tls must be 0 or 1');
+                return null;
+            }
+            props.tls = val === '1';
+        } else if (attr === 'name' && !val.match(/^[^\s:\/]+$/)) {
+            fail(con, 'INVALID_ATTRIBUTE', subCmd, attr, 'Invalid network name');
+            return null;
+        } else {
+            props[ATTRIBUTES[attr]] = val;
+        }
+    }
+
+    return props;
+}
+
+function encodeAttributes(attrs) {
+    return messageTags.encode(attrs);
+}
+
+function fail(con, code, subCmd, ...params) {
+    con.writeMsg('FAIL', 'BOUNCER', code, subCmd, ...params);
+}
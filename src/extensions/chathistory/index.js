@@ -1,5 +1,5 @@
 const Irc = require('irc-framework');
-const { mParam, mParamU } = require('../../libs/helpers');
+const { mParam, mParamU, isoTime } = require('../../libs/helpers');
 
 const MAX_MESSAGES = 50;
 
@@ -14,6 +14,10 @@ module.exports.init = async function init(hooks, app) {
         }
     });
 
+    hooks.on('available_caps', event => {
+        event.caps.add('draft/event-playback');
+    });
+
     hooks.on('available_isupports', async event => {
         // Some clients actively use CHATHISTORY so offer both. CHATHISTORY clients will be
         // expected to updated their chathistry specification as it progresses through IRCv3
@@ -33,6 +37,12 @@ async function handleCommand(event) {
     let subCmd = mParamU(msg, 0, '');
     let target = mParam(msg, 1, '');
 
+    // TARGETS replies with its own batch type rather than messages
+    if (subCmd === 'TARGETS') {
+        await commandTargets(msg, con, messageDb);
+        return;
+    }
+
     let messages = [];
 
     if (subCmd === 'BEFORE' || subCmd === 'AFTER') {
@@ -63,15 +73,85 @@ async function handleCommand(event) {
     }
 };
 
-async function commandAround(msg, con, messageDb) {
-    // TODO: implement this
-    con.writeMsg(
-        'FAIL',
-        'CHATHISTORY',
-        'UNKNOWN_COMMAND',
-        'AROUND',
-        'Unknown command',
+async function commandTargets(msg, con, messageDb) {
+    let fromMsgRef = parseReference(mParam(msg, 1, ''));
+    let toMsgRef = parseReference(mParam(msg, 2, ''));
+    let paramLimit = parseLimit(mParam(msg, 3, ''), MAX_MESSAGES);
+
+    // Only timestamps make sense here as a msgid is tied to a single buffer
+    if (fromMsgRef.type !== 'timestamp' || toMsgRef.type !== 'timestamp') {
+        con.writeMsg(
+            'FAIL',
+            'CHATHISTORY',
+            'INVALID_PARAMS',
+            'TARGETS',
+            'Timestamps should be given',
+        );
+        return;
+    }
+
+    let targets = await messageDb.getBufferTargets(
+        con.state.authUserId,
+        con.state.authNetworkId,
+        dateToTs(fromMsgRef.value),
+        dateToTs(toMsgRef.value),
+        paramLimit,
     );
+
+    let batchId = Math.round(Math.random()*1e17).toString(36);
+
+    let m = new Irc.Message('BATCH', '+' + batchId, 'draft/chathistory-targets');
+    m.prefix = 'bnc';
+    con.writeMsg(m);
+
+    targets.forEach(target => {
+        m = new Irc.Message('CHATHISTORY', 'TARGETS', target.buffer, isoTime(new Date(target.time)));
+        m.tags.batch = batchId;
+        m.prefix = 'bnc';
+        con.writeMsg(m);
+    });
+
+    m = new Irc.Message('BATCH', '-' + batchId);
+    m.prefix = 'bnc';
+    con.writeMsg(m);
+}
+
+async function commandAround(msg, con, messageDb) {
+    let messages = [];
+    let target = mParam(msg, 1, '');
+    let msgRef = parseReference(mParam(msg, 2, ''));
+    let paramLimit = parseLimit(mParam(msg, 3, ''), MAX_MESSAGES);
+
+    if (msgRef.type === 'timestamp') {
+        messages = await messageDb.getMessagesAroundTime(
+            con.state.authUserId,
+            con.state.authNetworkId,
+            target,
+            dateToTs(msgRef.value),
+            paramLimit,
+            historyOpts(con),
+        );
+    } else if (msgRef.type === 'msgid') {
+        messages = await messageDb.getMessagesAroundMsgId(
+            con.state.authUserId,
+            con.state.authNetworkId,
+            target,
+            msgRef.value,
+            paramLimit,
+            historyOpts(con),
+        );
+    } else {
+        con.writeMsg(
+            'FAIL',
+            'CHATHISTORY',
+            'NEED_MORE_PARAMS',
+            'AROUND',
+            'Timestamp or message ID should be given',
+        );
+        return;
+    }
+
+    return messages;
 }
 
 async function commandBetween(msg, con, messageDb) {
@@ -99,6 +179,7 @@ async function commandBetween(msg, con, messageDb) {
             fromMsgRef,
             toMsgRef,
             paramLimit,
+            historyOpts(con),
         );
     } else {
         con.writeMsg(
@@ -130,6 +211,7 @@ async function commandLatest(msg, con, messageDb) {
                 target,
                 Date.now(),
                 paramLimit,
+                historyOpts(con),
             );
         } else {
             // A specific timestamp was given — return messages AFTER that timestamp
@@ -140,6 +222,7 @@ async function commandLatest(msg, con, messageDb) {
                 target,
                 ts,
                 paramLimit,
+                historyOpts(con),
             );
         }
     } else if (msgRef.type === 'msgid') {
@@ -149,6 +232,7 @@ async function commandLatest(msg, con, messageDb) {
             target,
             msgRef.value,
             paramLimit,
+            historyOpts(con),
         );
     } else {
         con.writeMsg(
@@ -181,6 +265,7 @@ async function commandBeforeOrAfter(msg, con, messageDb) {
                 target,
                 ts,
                 paramLimit,
+                historyOpts(con),
             );
         } else if (subCmd === 'BEFORE') {
             messages = await messageDb.getMessagesBeforeTime(
@@ -189,6 +274,7 @@ async function commandBeforeOrAfter(msg, con, messageDb) {
                 target,
                 ts,
                 paramLimit,
+                historyOpts(con),
             );
         }
 
@@ -208,6 +294,7 @@ async function commandBeforeOrAfter(msg, con, messageDb) {
                 target,
                 msgid,
                 paramLimit,
+                historyOpts(con),
             );
         } else if (subCmd === 'BEFORE') {
             messages = await messageDb.getMessagesBeforeMsgId(
@@ -216,6 +303,7 @@ async function commandBeforeOrAfter(msg, con, messageDb) {
                 target,
                 msgid,
                 paramLimit,
+                historyOpts(con),
             );
         }
 
@@ -233,6 +321,11 @@ async function commandBeforeOrAfter(msg, con, messageDb) {
     return messages;
 }
 
+// Channel events such as JOIN and QUIT are only played back to clients that asked for them
+function historyOpts(con) {
+    return { events: con.state.caps.has('draft/event-playback') };
+}
+
 // Convert a date string to a UTC time int, defaulting to now if it fails
 function dateToTs(str) {
     let ts = new Date(str).getTime();
@@ -7,9 +7,15 @@
  * Example requests:
  * /httpapi?command=sendmessage&networkid=1&target=%23channel&message=a+reply+to+your+message
  * /httpapi?command=logout
+ * /httpapi?command=search&networkid=1&buffer=%23channel&nick=somenick&after=2024-01-01T00:00:00Z&text=some+words
+ * /httpapi?command=exportlogs&networkid=1&buffer=%23channel
  */
 
-module.exports.init = async function init(hooks, app) {
+const { Readable } = require('stream');
+const { exportLines } = require('../../libs/logexport');
+const LoginLimiter = require('../../libs/loginlimiter');
+
+module.exports.init = async function init(hooks, app, log = l) {
     hooks.on('available_isupports', async event => {
         event.tokens.push('kiwibnc/httpapi');
     });
@@ -22,8 +28,26 @@ module.exports.init = async function init(hooks, app) {
             return;
         }
 
+        let limiter = LoginLimiter.instance();
+        let blockedFor = limiter.blockedFor(ctx.ip, '');
+        if (blockedFor > 0) {
+            ctx.set('Retry-After', String(blockedFor));
+            ctx.response.status = 429;
+            return;
+        }
+
+        // Only failures are audited. Every request logs in so successes would flood the audit log
         let user = await app.userDb.authUserToken(token, ctx.ip);
         if (!user) {
+            let lockedOut = limiter.failure(ctx.ip, '');
+            await app.userDb.addAuditEntry({
+                action: 'auth.failure',
+                ip: ctx.ip,
+                details: 'httpapi token',
+            });
+            if (lockedOut) {
+                await app.userDb.addAuditEntry({action: 'auth.lockout', ip: ctx.ip});
+            }
             ctx.response.status = 401;
             return;
         }
@@ -51,6 +75,10 @@ module.exports.init = async function init(hooks, app) {
                 token,
                 webCtx: ctx,
             });
+            // Downloads set their own response body
+            if (ctx.body) {
+                return;
+            }
             ctx.body = {
                 error: null,
                 result: result || true,
@@ -67,7 +95,7 @@ module.exports.init = async function init(hooks, app) {
                 ctx.response.status = 500;
             } else {
                 // An unexpected error
-                l.error(`HTTPAPI error with command '${command}':`, err.stack);
+                log.error(`HTTPAPI error with command '${command}':`, err.stack);
 
                 ctx.body = {
                     error: {
@@ -114,3 +142,59 @@ apiCommands.sendmessage = async (args, {user, app, token, hooks}) => {
     con.writeLine('PRIVMSG', args.target, args.message);
     return { sent: true };
 };
+
+apiCommands.search = async (args, {user, app}) => {
+    if (!args.networkid || !args.text) {
+        throw new CommandError('missing_args', 'A networkid and search text must be provided');
+    }
+
+    let network = await app.userDb.getUserNetwork(user.id, parseInt(args.networkid, 10));
+    if (!network) {
+        throw new CommandError('network_not_found', 'The network was not found');
+    }
+
+    let opts = {
+        buffer: args.buffer || '',
+        nick: args.nick || '',
+        after: args.after ? new Date(args.after).getTime() : 0,
+        before: args.before ? new Date(args.before).getTime() : 0,
+    };
+    if (isNaN(opts.after) || isNaN(opts.before)) {
+        throw new CommandError('invalid_args', 'after and before must be valid timestamps');
+    }
+
+    let limit = Math.min(parseInt(args.limit, 10) || 50, 500);
+    let results = await app.messages.searchMessages(user.id, network.id, args.text, opts, limit);
+
+    return {
+        messages: results.map(({ buffer, message }) => ({
+            buffer,
+            time: message.tags.time,
+            msgid: message.tags.msgid || message.tags['draft/msgid'] || '',
+            command: message.command,
+            nick: message.prefix.split('!')[0],
+            text: message.params[message.params.length - 1],
+        })),
+    };
+};
+
+// Download the users message logs as JSON lines. See docs/message_logs.md
+apiCommands.exportlogs = async (args, {user, app, webCtx}) => {
+    let networks = await app.userDb.getUserNetworks(user.id);
+    if (args.networkid) {
+        networks = networks.filter(n => n.id === parseInt(args.networkid, 10));
+        if (networks.length === 0) {
+            throw new CommandError('network_not_found', 'The network was not found');
+        }
+    }
+
+    async function* fileLines() {
+        for await (let line of exportLines(app.messages, user.id, networks, { buffer: args.buffer })) {
+            yield line + '\n';
+        }
+    }
+
+    webCtx.attachment(`${user.username}-logs.jsonl`);
+    webCtx.type = 'application/x-ndjson';
+    webCtx.body = Readable.from(fileLines());
+};
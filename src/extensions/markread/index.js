@@ -0,0 +1,123 @@
+/**
+ * Read markers for clients supporting the draft/read-marker capability
+ *
+ * MARKREAD <target> [timestamp=2023-01-01T00:00:00.000Z]
+ * Markers are kept in the buffers lastSeen state, shared with bouncer clients, so they are
+ * persisted along with the rest of the connection state.
+ */
+
+const { mParam, isoTime } = require('../../libs/helpers');
+
+const CAP_NAME = 'draft/read-marker';
+
+let bncApp = null;
+
+module.exports.init = async function init(hooks, app) {
+    bncApp = app;
+
+    hooks.on('available_caps', event => {
+        event.caps.add(CAP_NAME);
+    });
+
+    hooks.on('message_from_client', event => {
+        if (event.message.command.toUpperCase() === 'MARKREAD') {
+            return handleCommand(event);
+        }
+    });
+
+    // Let newly attached clients know where they left off in each buffer
+    hooks.on('client_registered', async event => {
+        let client = event.client;
+        let upstream = client.upstream;
+        if (!upstream || !client.state.caps.has(CAP_NAME)) {
+            return;
+        }
+
+        for (let name in upstream.state.buffers) {
+            let buffer = upstream.state.buffers[name];
+            let seen = markerTime(buffer);
+            if (seen > 0 && (!buffer.isChannel || buffer.joined)) {
+                client.writeMsg('MARKREAD', buffer.name, 'timestamp=' + isoTime(new Date(seen)));
+            }
+        }
+    });
+};
+
+async function handleCommand(event) {
+    event.preventDefault();
+    event.passthru = false;
+
+    let msg = event.message;
+    let con = event.client;
+    let target = mParam(msg, 0, '');
+    let upstream = con.upstream;
+
+    if (!target) {
+        con.writeMsg('FAIL', 'MARKREAD', 'NEED_MORE_PARAMS', 'Missing parameters');
+        return;
+    }
+
+    if (!con.state.authNetworkId || !upstream) {
+        con.writeMsg('FAIL', 'MARKREAD', 'INTERNAL_ERROR', target, 'Not logged into a network');
+        return;
+    }
+
+    // No timestamp given is a request for the current marker
+    if (msg.params.length < 2) {
+        let buffer = upstream.state.getBuffer(target);
+        con.writeMsg('MARKREAD', target, markerParam(buffer));
+        return;
+    }
+
+    let m = mParam(msg, 1, '').match(/^timestamp=(.+)$/);
+    let seen = m ? new Date(m[1]).getTime() : NaN;
+    if (isNaN(seen)) {
+        con.writeMsg('FAIL', 'MARKREAD', 'INVALID_PARAMS', target, 'Invalid timestamp');
+        return;
+    }
+
+    // Markers are only kept for buffers that already exist so clients can't create state for any name
+    let buffer = upstream.state.getBuffer(target);
+    if (!buffer) {
+        con.writeMsg('FAIL', 'MARKREAD', 'INVALID_PARAMS', target, 'Unknown buffer');
+        return;
+    }
+
+    // Markers only ever move forward. An older timestamp gets the current marker in reply
+    if (seen <= markerTime(buffer)) {
+        con.writeMsg('MARKREAD', buffer.name, markerParam(buffer));
+        return;
+    }
+
+    buffer.lastSeen[con.state.clientid] = seen;
+    upstream.state.markDirty();
+
+    let clients = bncApp.cons.findAllUsersClients(con.state.authUserId).filter(client => (
+        String(client.state.authNetworkId) === String(con.state.authNetworkId) &&
+        client.state.caps.has(CAP_NAME)
+    ));
+    clients.forEach(client => {
+        client.writeMsg('MARKREAD', buffer.name, markerParam(buffer));
+    });
+}
+
+// The latest read marker in a buffer. Keys prefixed with 'auto:' are updated by non-bouncer
+// clients whenever a message is sent to them rather than when it has been read, so are skipped
+function markerTime(buffer) {
+    let max = 0;
+    if (buffer && buffer.lastSeen) {
+        for (let cid in buffer.lastSeen) {
+            if (cid.startsWith('auto:')) continue;
+            let ts = Number(buffer.lastSeen[cid]);
+            if (ts > max) max = ts;
+        }
+    }
+    return max;
+}
+
+function markerParam(buffer) {
+    let seen = markerTime(buffer);
+    return seen > 0 ?
+        'timestamp=' + isoTime(new Date(seen)) :
+        '*';
+}
@@ -8,7 +8,7 @@ const PASSTHROUGH_COMMANDS = new Set([
     'WARN', 'NOTE'
 ]);
 
-module.exports.init = function init(hooks) {
+module.exports.init = function init(hooks, app, log = l) {
     hooks.on('message_to_clients', event => {
         let command = event.message.command.toUpperCase();
 
@@ -38,7 +38,7 @@ module.exports.init = function init(hooks) {
         }
     
         event.clients = clientsExpectingMsg;
-        l.debug('Client was expecting this command,', command);
+        log.debug('Client was expecting this command,', command);
     
         // If this message is expected to be the last of its group, mark the client
         // as no longer expecting these type of messages again
@@ -71,7 +71,7 @@ module.exports.init = function init(hooks) {
     
         let expecting = client.state.tempGet('expecting_replies') || [];
         expecting.push({command: msg.command.toUpperCase(), replies: expectReplies, added: Date.now()});
-        l.debug('Client now expecting one of', expectReplies.map(r=>r.cmd).join(' '));
+        log.debug('Client now expecting one of', expectReplies.map(r=>r.cmd).join(' '));
         client.state.tempSet('expecting_replies', expecting);
     });
 }
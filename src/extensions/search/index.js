@@ -0,0 +1,96 @@
+/**
+ * Message search for clients supporting the soju.im/search capability
+ *
+ * SEARCH in=#channel;from=nick;after=2023-01-01T00:00:00.000Z;before=...;limit=50;text=some\swords
+ * Attribute values are escaped the same as message tag values, eg. \s for a space. All attributes
+ * other than text are optional. Results are sent in a soju.im/search batch.
+ */
+
+const Irc = require('irc-framework');
+const messageTags = require('irc-framework/src/messagetags');
+const { mParam } = require('../../libs/helpers');
+
+const MAX_RESULTS = 100;
+
+let stats = null;
+
+module.exports.init = async function init(hooks, app) {
+    stats = app.stats.makePrefix('search');
+
+    hooks.on('available_caps', event => {
+        event.caps.add('soju.im/search');
+    });
+
+    hooks.on('message_from_client', event => {
+        if (event.message.command.toUpperCase() === 'SEARCH') {
+            return handleCommand(event);
+        }
+    });
+};
+
+async function handleCommand(event) {
+    event.preventDefault();
+    event.passthru = false;
+
+    let msg = event.message;
+    let con = event.client;
+    let attrs = messageTags.decode(mParam(msg, 0, ''));
+
+    if (!con.state.authNetworkId) {
+        con.writeMsg('FAIL', 'SEARCH', 'INTERNAL_ERROR', 'Not logged into a network');
+        return;
+    }
+
+    if (!attrs.text) {
+        con.writeMsg('FAIL', 'SEARCH', 'INVALID_PARAMS', mParam(msg, 0, ''), 'Search text should be given');
+        return;
+    }
+
+    let opts = {
+        buffer: attrs.in || '',
+        nick: attrs.from || '',
+    };
+
+    for (let attr of ['after', 'before']) {
+        if (!attrs[attr]) {
+            continue;
+        }
+
+        let ts = new Date(attrs[attr]).getTime();
+        if (isNaN(ts)) {
+            con.writeMsg('FAIL', 'SEARCH', 'INVALID_PARAMS', mParam(msg, 0, ''), `Invalid ${attr} timestamp`);
+            return;
+        }
+        opts[attr] = ts;
+    }
+
+    let limit = parseInt(attrs.limit, 10);
+    if (isNaN(limit) || limit <= 0 || limit > MAX_RESULTS) {
+        limit = MAX_RESULTS;
+    }
+
+    stats.increment('command');
+    let results = await con.messages.searchMessages(
+        con.state.authUserId,
+        con.state.authNetworkId,
+        attrs.text,
+        opts,
+        limit,
+    );
+
+    let batchId = Math.round(Math.random()*1e17).toString(36);
+
+    let m = new Irc.Message('BATCH', '+' + batchId, 'soju.im/search');
+    m.prefix = 'bnc';
+    con.writeMsg(m);
+
+    // Results come newest first but are sent in the order they were said
+    results.reverse().forEach(result => {
+        result.message.tags.batch = batchId;
+        con.writeMsg(result.message);
+    });
+
+    m = new Irc.Message('BATCH', '-' + batchId);
+    m.prefix = 'bnc';
+    con.writeMsg(m);
+}
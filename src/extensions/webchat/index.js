@@ -6,15 +6,15 @@ const unzipper = require('unzipper');
 const routesAdmin = require('./routes_admin');
 const routesClient = require('./routes_client');
 
-module.exports.init = async function init(hooks, app) {
+module.exports.init = async function init(hooks, app, log = l) {
     if (!app.conf.get('webserver.enabled') || !app.conf.get('webserver.public_dir')) {
         return;
     }
     let publicPath = app.conf.relativePath(app.conf.get('webserver.public_dir'));
 
-    await downloadKiwiIrc(publicPath, app.conf.get('webchat.download_url', ''));
+    await downloadKiwiIrc(publicPath, app.conf.get('webchat.download_url', ''), log);
 
-    routesAdmin(app);
+    routesAdmin(app, log);
     routesClient(app);
 
     // Add an admin auth token to admin clients
@@ -32,13 +32,13 @@ module.exports.init = async function init(hooks, app) {
     });
 };
 
-async function downloadKiwiIrc(publicPath, downloadUrl) {
+async function downloadKiwiIrc(publicPath, downloadUrl, log) {
     let downloadPath = path.join(os.tmpdir(), 'kiwiirc_download');
 
     try {
         let dir = await fs.readdir(publicPath);
         if (dir.length > 0) {
-            l.info('The public web folder is not empty, not downloading the KiwiIRC client.', publicPath);
+            log.info('The public web folder is not empty, not downloading the KiwiIRC client.', publicPath);
             return;
         }
     } catch (err) {
@@ -49,18 +49,18 @@ async function downloadKiwiIrc(publicPath, downloadUrl) {
     }
 
     if (!downloadUrl) {
-        l.error('Missing download URL for the webchat client', publicPath);
+        log.error('Missing download URL for the webchat client', publicPath);
         return;
     }
 
-    l.info('Downloading webchat client from ' + downloadUrl);
+    log.info('Downloading webchat client from ' + downloadUrl);
     https.get(downloadUrl, async (response) => {
         if (response.statusCode !== 200) {
             reportError(new Error('Invalid response from the download server, ' + response.statusCode));
             return;
         }
 
-        l.info('Webchat Downloaded. Copying to web folder...', publicPath);
+        log.info('Webchat Downloaded. Copying to web folder...', publicPath);
         response
             .pipe(unzipper.Extract({path: downloadPath}))
             .on('error', reportError)
@@ -76,12 +76,12 @@ async function downloadKiwiIrc(publicPath, downloadUrl) {
                     return;
                 }
 
-                l.info('Kiwi IRC downloaded!');
+                log.info('Kiwi IRC downloaded!');
             });
     })
     .on('error', reportError);
 
     function reportError(err) {
-        l.error('Error downloading Kiwi IRC: ' + err.message);
+        log.error('Error downloading Kiwi IRC: ' + err.message);
     }
 }
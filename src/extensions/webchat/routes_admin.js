@@ -1,4 +1,6 @@
-module.exports = function(app) {
+const LoginLimiter = require('../../libs/loginlimiter');
+
+module.exports = function(app, log = l) {
     let router = app.webserver.router;
     let userDb = app.userDb;
 
@@ -11,12 +13,23 @@ module.exports = function(app) {
             return;
         }
 
+        let limiter = LoginLimiter.instance();
+        if (limiter.blockedFor(ctx.ip, '') > 0) {
+            ctx.response.status = 429;
+            return;
+        }
+
         try {
             let token = app.crypt.decrypt(ctx.headers['x-auth']) || '';
-            if (!token.match(/^userid=/)) {
+            let match = token.match(/^userid=(\d+)/);
+            if (!match) {
                 throw new Error('invalid token');
             }
+            ctx.state.adminUserId = parseInt(match[1], 10);
         } catch (err) {
+            if (limiter.failure(ctx.ip, '')) {
+                await userDb.addAuditEntry({action: 'auth.lockout', ip: ctx.ip});
+            }
             ctx.response.status = 403;
             return;
         }
@@ -24,10 +37,24 @@ module.exports = function(app) {
         await next();
     };
 
+    // Record an admin action in the audit log
+    async function audit(ctx, action, target, details) {
+        let admin = await app.db.factories.User.query().where('id', ctx.state.adminUserId).first();
+        await userDb.addAuditEntry({
+            actorUserId: ctx.state.adminUserId,
+            actor: admin ? admin.username : '',
+            action,
+            target,
+            details,
+            ip: ctx.ip,
+        });
+    }
+
     router.post('admin.info', '/api/admin/info', adminAuth, async (ctx, next) => {
         let body = ctx.request.body;
         if (body.allowregistrations) {
             app.conf.set('webchat.public_register', body.allowregistrations === 'true');
+            await audit(ctx, 'admin.allowregistrations', '', body.allowregistrations === 'true' ? 'on' : 'off');
         }
         ctx.body = {};
     });
@@ -51,7 +78,23 @@ module.exports = function(app) {
         };
     });
 
+    // Audit log entries, newest first. Filtered by the user, action, target, ip, since and limit
+    // query params
+    router.get('admin.audit', '/api/admin/audit', adminAuth, async (ctx, next) => {
+        let entries = await userDb.getAuditEntries({
+            actor: ctx.query.user || '',
+            action: ctx.query.action || '',
+            target: ctx.query.target || '',
+            ip: ctx.query.ip || '',
+            since: parseInt(ctx.query.since, 10) || 0,
+            limit: parseInt(ctx.query.limit, 10) || 100,
+        });
+
+        ctx.body = { entries };
+    });
+
     router.post('admin.restart', '/api/admin/restart', adminAuth, async (ctx, next) => {
+        await audit(ctx, 'admin.restart', '');
         setTimeout(() => {
             app.prepareShutdown();
         }, 100);
@@ -77,6 +120,7 @@ module.exports = function(app) {
 
             user.locked = true;
             await user.save();
+            await audit(ctx, 'admin.lock', user.username);
 
         } else if (body.act === 'unlock') {
             let user = await userDb.getUser(body.username);
@@ -87,6 +131,7 @@ module.exports = function(app) {
 
             user.locked = false;
             await user.save();
+            await audit(ctx, 'admin.unlock', user.username);
 
         } else if (body.act === 'changepass') {
             let newPass = body.password;
@@ -103,6 +148,7 @@ module.exports = function(app) {
 
             user.password = newPass;
             await user.save();
+            await audit(ctx, 'admin.changepass', user.username);
 
         } else if (body.act === 'newuser') {
             let username = (body.username || '').trim();
@@ -123,10 +169,11 @@ module.exports = function(app) {
             try {
                 await userDb.addUser(username, password, admin === 'true');
             } catch (err) {
-                l.error('[webui] Error adding new user:', err.message);
+                log.error('Error adding new user:', err.message);
                 ctx.body = {error: 'unknown_error' };
                 return;
             }
+            await audit(ctx, 'admin.adduser', username, admin === 'true' ? 'admin' : '');
 
         } else if (body.act === 'deleteuser') {
             let adminToken = app.crypt.decrypt(ctx.headers['x-auth']) || '';
@@ -144,6 +191,7 @@ module.exports = function(app) {
             }
 
             await userDb.deleteUser(user.id);
+            await audit(ctx, 'admin.deleteuser', user.username);
             if (app.messages) {
                 await app.messages.deleteUserMessages(user.id);
             }
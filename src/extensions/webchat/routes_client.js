@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { parseBindString } = require('../../libs/helpers');
+const LoginLimiter = require('../../libs/loginlimiter');
 
 module.exports = function(app) {
     let router = app.webserver.router;
@@ -61,6 +62,12 @@ module.exports = function(app) {
             return;
         }
 
+        let limiter = LoginLimiter.instance();
+        if (limiter.blockedFor(ctx.ip, '') > 0) {
+            ctx.response.status = 429;
+            return;
+        }
+
         let userId = null;
         try {
             let token = app.crypt.decrypt(ctx.headers['x-auth']) || '';
@@ -70,6 +77,9 @@ module.exports = function(app) {
             }
             userId = parseInt(m[1], 10);
         } catch (err) {
+            if (limiter.failure(ctx.ip, '')) {
+                await app.userDb.addAuditEntry({action: 'auth.lockout', ip: ctx.ip});
+            }
             ctx.response.status = 403;
             return;
         }
@@ -123,6 +133,12 @@ module.exports = function(app) {
             return;
         }
 
+        // Addresses locked out for failed logins can't register either
+        if (LoginLimiter.instance().blockedFor(ctx.ip, '') > 0) {
+            ctx.body = {error: 'too_many_attempts'};
+            return;
+        }
+
         if (await app.userDb.getUser(body.username)) {
             ctx.body = {error: 'username_in_use'};
             return;
@@ -148,6 +164,14 @@ module.exports = function(app) {
             return;
         }
 
+        await app.userDb.addAuditEntry({
+            actor: body.username,
+            action: 'user.register',
+            target: body.username,
+            ip: ctx.ip,
+            details: admin ? 'admin' : '',
+        });
+
         ctx.body = {error: false};
     });
 };
@@ -37,9 +37,25 @@ module.exports = async function bootstrap(label) {
             process.exit(1);
         }
 
-        // Set some logging config for the rest of the logging output
-        l.level = l.levels[conf.get('log.level', 'info')];
-        l.colour = conf.get('log.colour', false);
+        // Set some logging config for the rest of the logging output, and again whenever the
+        // config is reloaded
+        let applyLogConfig = () => {
+            l.level = l.levels[conf.get('log.level', 'info')];
+            l.colour = conf.get('log.colour', false);
+            l.format = conf.get('log.format', 'text') === 'json' ? 'json' : 'text';
+
+            l.moduleLevels = Object.create(null);
+            let modules = conf.get('log.modules', {});
+            for (let moduleName in modules) {
+                if (typeof l.levels[modules[moduleName]] === 'number') {
+                    l.moduleLevels[moduleName] = l.levels[modules[moduleName]];
+                } else {
+                    l.warn(`Unknown log level for module ${moduleName}, ${modules[moduleName]}`);
+                }
+            }
+        };
+        applyLogConfig();
+        conf.on('updated', applyLogConfig);
     } catch (err) {
         if (err.name && err.name === 'SyntaxError') {
             l.error(`Error parsing ${confPath}. Syntax error on line ${err.line}, column ${err.column}`);
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// How long generated certificates are valid for
+const CERT_VALID_DAYS = 3650;
+
+/**
+ * Generate a self-signed client certificate for identifying to IRC networks with CertFP /
+ * SASL EXTERNAL. Networks only look at the fingerprint so the certificate itself is minimal.
+ * @param {string} commonName - The subject of the certificate, usually the nick or account
+ * @returns {Object} {cert, key} as PEM strings
+ */
+module.exports.generateClientCert = generateClientCert;
+async function generateClientCert(commonName) {
+    let { publicKey, privateKey } = await generateKeyPair('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'der' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+
+    // sha256WithRSAEncryption
+    let signatureAlgorithm = sequence(oid('1.2.840.113549.1.1.11'), der(0x05));
+    // CN=<commonName>
+    let name = sequence(set(sequence(oid('2.5.4.3'), der(0x0c, Buffer.from(commonName || 'kiwibnc')))));
+
+    let serial = crypto.randomBytes(16);
+    serial[0] &= 0x7f;
+
+    let notBefore = new Date();
+    let notAfter = new Date(notBefore.getTime() + (CERT_VALID_DAYS * 86400000));
+
+    let tbsCertificate = sequence(
+        // Version 3
+        der(0xa0, integer(Buffer.from([2]))),
+        integer(serial),
+        signatureAlgorithm,
+        name,
+        sequence(derTime(notBefore), derTime(notAfter)),
+        name,
+        publicKey,
+    );
+
+    let signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    let cert = sequence(
+        tbsCertificate,
+        signatureAlgorithm,
+        der(0x03, Buffer.from([0]), signature),
+    );
+
+    return {
+        cert: toPem('CERTIFICATE', cert),
+        key: privateKey,
+    };
+}
+
+/**
+ * The fingerprints of a PEM certificate in the form networks ask for, lowercase hex.
+ * Libera uses sha512, OFTC uses sha1, others vary.
+ * @returns {Object} {sha1, sha256, sha512} or null if the certificate isn't valid
+ */
+module.exports.certFingerprints = certFingerprints;
+function certFingerprints(certPem) {
+    let raw = null;
+    try {
+        raw = new crypto.X509Certificate(certPem).raw;
+    } catch (err) {
+        return null;
+    }
+
+    let fingerprint = alg => crypto.createHash(alg).update(raw).digest('hex');
+    return {
+        sha1: fingerprint('sha1'),
+        sha256: fingerprint('sha256'),
+        sha512: fingerprint('sha512'),
+    };
+}
+
+function toPem(label, derBytes) {
+    let lines = derBytes.toString('base64').match(/.{1,64}/g);
+    return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+function der(tag, ...contents) {
+    let body = Buffer.concat(contents);
+    let len = body.length;
+    let lenBytes = [];
+
+    if (len < 0x80) {
+        lenBytes.push(len);
+    } else {
+        while (len > 0) {
+            lenBytes.unshift(len & 0xff);
+            len >>= 8;
+        }
+        lenBytes.unshift(0x80 | lenBytes.length);
+    }
+
+    return Buffer.concat([Buffer.from([tag, ...lenBytes]), body]);
+}
+
+function sequence(...contents) {
+    return der(0x30, ...contents);
+}
+
+function set(...contents) {
+    return der(0x31, ...contents);
+}
+
+function integer(bytes) {
+    // Integers are signed so a leading high bit needs padding to stay positive
+    if (bytes[0] & 0x80) {
+        bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return der(0x02, bytes);
+}
+
+function oid(str) {
+    let parts = str.split('.').map(Number);
+    let bytes = [parts[0] * 40 + parts[1]];
+
+    for (let part of parts.slice(2)) {
+        let encoded = [part & 0x7f];
+        part = Math.floor(part / 128);
+        while (part > 0) {
+            encoded.unshift((part & 0x7f) | 0x80);
+            part = Math.floor(part / 128);
+        }
+        bytes.push(...encoded);
+    }
+
+    return der(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2050 then GeneralizedTime, as X.509 requires
+function derTime(date) {
+    let digits = date.toISOString().replace(/[-:T]/g, '').substr(0, 14);
+    return date.getUTCFullYear() < 2050 ?
+        der(0x17, Buffer.from(digits.substr(2) + 'Z')) :
+        der(0x18, Buffer.from(digits + 'Z'));
+}
@@ -13,6 +13,7 @@ module.exports = class Config extends EventEmitter {
         this.baseDir = path.resolve(path.dirname(filePath));
         this.c = {};
         this.env = {};
+        this.loaded = false;
     }
 
     relativePath(pathInp) {
@@ -44,9 +45,23 @@ module.exports = class Config extends EventEmitter {
             this.baseDir = path.resolve(path.dirname(this.filePath));
         }
 
+        let previous = this.c;
+        let isReload = this.loaded;
+
         this.emit('loaded', confObj);
         this.c = confObj;
+        this.loaded = true;
         this.emit('updated');
+
+        // Let anything that can re-apply its config know what changed since the last load
+        let changed = isReload ?
+            changedKeys(previous, confObj) :
+            [];
+        if (changed.length > 0) {
+            this.emit('changed', changed);
+        }
+
+        return changed;
     }
 
     get(key, def) {
@@ -124,3 +139,20 @@ module.exports = class Config extends EventEmitter {
         return singletonInstance;
     }
 }
+
+// Dotted keys that differ between two config objects, eg. ['log.level', 'listeners.bind']
+function changedKeys(a, b, prefix='') {
+    let keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    let changed = [];
+    keys.forEach(key => {
+        let aVal = a ? a[key] : undefined;
+        let bVal = b ? b[key] : undefined;
+        if (_.isPlainObject(aVal) && _.isPlainObject(bVal)) {
+            changed.push(...changedKeys(aVal, bVal, prefix + key + '.'));
+        } else if (!_.isEqual(aVal, bVal)) {
+            changed.push(prefix + key);
+        }
+    });
+
+    return changed;
+}
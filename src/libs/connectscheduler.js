@@ -0,0 +1,168 @@
+const Helpers = require('./helpers');
+
+// An attempt that never reports back (eg. the sockets layer restarted) frees its slot after this
+const ATTEMPT_TIMEOUT = 60 * 1000;
+const MINUTE = 60 * 1000;
+
+/**
+ * Limits how many connection attempts are made to each IRC server so that many users connecting
+ * to the same network at once, such as after a restart, don't trip its connection limits.
+ *
+ * Each destination host gets its own queue limited to a number of concurrent attempts and a number
+ * of attempts per minute. The limits are read from the config each time so that they can be
+ * changed without a restart:
+ *   [connections.scheduler]
+ *   concurrent = 5
+ *   per_minute = 30
+ *   [[connections.scheduler.servers]]
+ *   host = "*.libera.chat"
+ *   concurrent = 2
+ *   per_minute = 10
+ * A limit of 0 is unlimited.
+ */
+class ConnectScheduler {
+    constructor() {
+        // host => {active: Map(id => timeout), queue: [{id, resolve}], attempts: [timestamps], timer}
+        this.hosts = new Map();
+    }
+
+    limitsFor(host) {
+        let conf = config.get('connections.scheduler', {}) || {};
+        let servers = Array.isArray(conf.servers) ? conf.servers : [];
+        let server = servers.find(s => s.host && Helpers.hasMinimatch([].concat(s.host), host));
+        let limit = (name) => {
+            let val = parseInt(server && server[name] !== undefined ? server[name] : conf[name], 10);
+            return isNaN(val) || val < 0 ? 0 : val;
+        };
+
+        return {
+            concurrent: limit('concurrent'),
+            perMinute: limit('per_minute'),
+        };
+    }
+
+    // Wait for our turn to connect to host. Resolves false if the attempt was cancelled or is
+    // already queued, otherwise release(id) must be called once the attempt has finished
+    acquire(id, host) {
+        host = host.toLowerCase();
+        if (this.hostOf(id)) {
+            return Promise.resolve(false);
+        }
+
+        let entry = this.hosts.get(host);
+        if (!entry) {
+            entry = { active: new Map(), queue: [], attempts: [], timer: null };
+            this.hosts.set(host, entry);
+        }
+
+        let prom = new Promise((resolve) => {
+            entry.queue.push({ id, resolve });
+        });
+        this.process(host);
+        return prom;
+    }
+
+    // true if a connection to host would have to wait
+    isQueued(host) {
+        host = host.toLowerCase();
+        let entry = this.hosts.get(host);
+        return !!entry && (entry.queue.length > 0 || this.waitTime(host, entry) !== 0);
+    }
+
+    // The connection attempt has finished, successfully or not
+    release(id) {
+        let host = this.hostOf(id);
+        if (!host) {
+            return;
+        }
+
+        let entry = this.hosts.get(host);
+        let timeout = entry.active.get(id);
+        if (timeout) {
+            clearTimeout(timeout);
+            entry.active.delete(id);
+        } else {
+            // Cancelled while still waiting in the queue
+            let idx = entry.queue.findIndex(item => item.id === id);
+            entry.queue.splice(idx, 1)[0].resolve(false);
+        }
+
+        this.process(host);
+    }
+
+    hostOf(id) {
+        for (let [host, entry] of this.hosts) {
+            if (entry.active.has(id) || entry.queue.find(item => item.id === id)) {
+                return host;
+            }
+        }
+
+        return null;
+    }
+
+    // How long until another attempt may start. 0 = now, -1 = once an active attempt finishes
+    waitTime(host, entry) {
+        let limits = this.limitsFor(host);
+        if (limits.concurrent && entry.active.size >= limits.concurrent) {
+            return -1;
+        }
+
+        let now = Date.now();
+        entry.attempts = entry.attempts.filter(t => t > now - MINUTE);
+        if (limits.perMinute && entry.attempts.length >= limits.perMinute) {
+            return entry.attempts[0] + MINUTE - now;
+        }
+
+        return 0;
+    }
+
+    process(host) {
+        let entry = this.hosts.get(host);
+        clearTimeout(entry.timer);
+        entry.timer = null;
+
+        while (entry.queue.length > 0) {
+            let wait = this.waitTime(host, entry);
+            if (wait > 0) {
+                entry.timer = setTimeout(() => this.process(host), wait);
+                return;
+            } else if (wait === -1) {
+                return;
+            }
+
+            let { id, resolve } = entry.queue.shift();
+            entry.attempts.push(Date.now());
+            entry.active.set(id, setTimeout(() => {
+                l.debug(`Connection attempt ${id} to ${host} timed out in the scheduler`);
+                this.release(id);
+            }, ATTEMPT_TIMEOUT));
+            resolve(true);
+        }
+
+        if (entry.active.size > 0) {
+            return;
+        }
+
+        // Nothing left to do for the host. Its recent attempts still count towards per_minute so
+        // forget it once they are all over a minute old
+        let now = Date.now();
+        entry.attempts = entry.attempts.filter(t => t > now - MINUTE);
+        if (entry.attempts.length === 0) {
+            this.hosts.delete(host);
+        } else {
+            let lastAttempt = entry.attempts[entry.attempts.length - 1];
+            entry.timer = setTimeout(() => this.process(host), lastAttempt + MINUTE - now);
+        }
+    }
+
+    stop() {
+        this.hosts.forEach((entry) => {
+            clearTimeout(entry.timer);
+            entry.active.forEach(timeout => clearTimeout(timeout));
+            entry.queue.forEach(item => item.resolve(false));
+        });
+        this.hosts.clear();
+    }
+}
+
+module.exports = ConnectScheduler;
@@ -62,6 +62,38 @@ class Network extends DatabaseSavable {
         return this.setData('sasl_pass', this.crypt.encrypt(newVal));
     }
 
+    get tls_client_cert() { return this.getData('tls_client_cert'); }
+    set tls_client_cert(newVal) { return this.setData('tls_client_cert', newVal); }
+
+    get tls_client_key() {
+        let key = this.getData('tls_client_key');
+        return key ? this.crypt.decrypt(key) : '';
+    }
+    set tls_client_key(newVal) {
+        return this.setData('tls_client_key', newVal ? this.crypt.encrypt(newVal) : '');
+    }
+
+    get proxy() { return this.getData('proxy'); }
+    set proxy(newVal) { return this.setData('proxy', newVal); }
+
+    get alt_nicks() { return this.getData('alt_nicks'); }
+    set alt_nicks(newVal) { return this.setData('alt_nicks', newVal); }
+
+    get nick_suffix() { return this.getData('nick_suffix'); }
+    set nick_suffix(newVal) { return this.setData('nick_suffix', newVal); }
+
+    get nickserv_regain() { return this.getData('nickserv_regain'); }
+    set nickserv_regain(newVal) { return this.setData('nickserv_regain', newVal); }
+
+    get auto_away() { return this.getData('auto_away'); }
+    set auto_away(newVal) { return this.setData('auto_away', newVal); }
+
+    get away_message() { return this.getData('away_message'); }
+    set away_message(newVal) { return this.setData('away_message', newVal); }
+
+    get away_nick() { return this.getData('away_nick'); }
+    set away_nick(newVal) { return this.setData('away_nick', newVal); }
+
     get channels() { return this.getData('channels'); }
     set channels(newVal) { return this.setData('channels', newVal); }
     
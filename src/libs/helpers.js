@@ -278,6 +278,23 @@ function extractBufferName(con, message, messageNickIdx) {
     }
 }
 
+// Names of the buffers a nick is in along with any PM buffer with them. Used to find where
+// messages that aren't sent to a buffer, such as QUIT and NICK, belong
+module.exports.extractSharedBufferNames = extractSharedBufferNames;
+function extractSharedBufferNames(con, nick) {
+    let lcNick = (nick || '').toLowerCase();
+    let names = [];
+
+    for (let name in con.state.buffers) {
+        let buffer = con.state.buffers[name];
+        if (buffer.users[lcNick] || (!buffer.isChannel && buffer.name.toLowerCase() === lcNick)) {
+            names.push(buffer.name);
+        }
+    }
+
+    return names;
+}
+
 module.exports.hasMinimatch = hasMinimatch;
 function hasMinimatch(list, value) {
     for (const item of list) {
@@ -287,3 +304,13 @@ function hasMinimatch(list, value) {
     }
     return false;
 }
+
+// Caps as sent in CAP LS or NEW. CAP 302 clients also get any values, eg. sasl=PLAIN,EXTERNAL
+module.exports.capList = capList;
+function capList(caps, capValues, capVer) {
+    return Array.from(caps).map(cap => (
+        capVer > 301 && capValues[cap] ?
+            `${cap}=${capValues[cap]}` :
+            cap
+    ));
+}
@@ -39,6 +39,11 @@ module.exports = class IpcQueue extends EventEmitter {
         });
     }
 
+    // Number of messages waiting for the worker to pick them up
+    pendingLength() {
+        return this.toWorkerQueue.length;
+    }
+
     getNextWorkerQueueItem() {
         l.trace('getNextWorkerQueueItem() queue length =', this.toWorkerQueue.length);
         if (this.toWorkerQueue.length > 0) {
@@ -0,0 +1,200 @@
+const IrcMessage = require('irc-framework').Message;
+const Helpers = require('./helpers');
+
+// Messages read from the message store at a time while exporting
+const EXPORT_PAGE_SIZE = 1000;
+// Max number of buffers exported per network
+const EXPORT_MAX_BUFFERS = 100000;
+
+/**
+ * Export a users messages as JSON lines, one message per line. See docs/message_logs.md
+ * @param {MessageStores} messages - The message stores to read from
+ * @param {number} userId - The user to export
+ * @param {Array} networks - The users networks to export
+ * @param {Object} opts - Optional filters. {buffer: '#channel'}
+ */
+module.exports.exportLines = exportLines;
+async function* exportLines(messages, userId, networks, opts = {}) {
+    for (let network of networks) {
+        // Allow for some clock skew on messages times
+        let targets = await messages.getBufferTargets(userId, network.id, 0, Date.now() + 86400000, EXPORT_MAX_BUFFERS);
+        let buffers = targets.map(target => target.buffer);
+        if (opts.buffer) {
+            buffers = buffers.filter(buffer => buffer.toLowerCase() === opts.buffer.toLowerCase());
+        }
+
+        for (let buffer of buffers) {
+            for await (let message of bufferMessages(messages, userId, network.id, buffer)) {
+                yield messageToJsonLine(network.name, buffer, message);
+            }
+        }
+    }
+}
+
+// All messages in a buffer, oldest first
+async function* bufferMessages(messages, userId, networkId, buffer) {
+    let pageSize = EXPORT_PAGE_SIZE;
+    let fromTime = -1;
+    // Lookups are for messages after a time, so messages sharing the time of the last message
+    // in a page are read again and skipped
+    let numSeenAtTime = 0;
+
+    while (true) {
+        let page = await messages.getMessagesFromTime(userId, networkId, buffer, fromTime, pageSize, { events: true });
+        let newMessages = page.slice(numSeenAtTime);
+
+        if (newMessages.length === 0 && page.length === pageSize) {
+            // The whole page has the same time so a bigger page is needed to get past it
+            pageSize *= 2;
+            continue;
+        }
+
+        for (let message of newMessages) {
+            yield message;
+        }
+
+        if (page.length < pageSize) {
+            break;
+        }
+
+        let lastTime = messageTime(page[page.length - 1]);
+        numSeenAtTime = page.filter(message => messageTime(message) === lastTime).length;
+        fromTime = lastTime - 1;
+    }
+}
+
+module.exports.messageToJsonLine = messageToJsonLine;
+function messageToJsonLine(networkName, buffer, message) {
+    return JSON.stringify({
+        network: networkName,
+        buffer,
+        time: new Date(messageTime(message)).toISOString(),
+        command: message.command,
+        prefix: message.prefix || '',
+        params: message.params,
+        tags: message.tags,
+    });
+}
+
+// Parse a line of an export into {network, buffer, message}, or null if it isn't valid
+module.exports.parseJsonLine = parseJsonLine;
+function parseJsonLine(line) {
+    let obj = null;
+    try {
+        obj = JSON.parse(line);
+    } catch (err) {
+        return null;
+    }
+
+    if (
+        !obj || typeof obj !== 'object' ||
+        !obj.network || !obj.buffer || !obj.command || !Array.isArray(obj.params)
+    ) {
+        return null;
+    }
+
+    let time = new Date(obj.time);
+    if (isNaN(time.getTime())) {
+        return null;
+    }
+
+    let message = createMessage(obj.command, obj.prefix || '', obj.params.map(String), time);
+    Object.assign(message.tags, obj.tags || {}, { time: Helpers.isoTime(time) });
+
+    return { network: String(obj.network), buffer: String(obj.buffer), message };
+}
+
+/**
+ * Parse a line of a ZNC log file into an IrcMessage, or null if it isn't a message we keep.
+ * ZNC only writes the time on each line so the date comes from the log file name.
+ * @param {string} line - eg. "[12:34:56] <nick> hello"
+ * @param {string} date - The date of the log file. eg. 2024-01-31
+ * @param {string} buffer - The buffer the log file is for
+ */
+module.exports.parseZncLine = parseZncLine;
+function parseZncLine(line, date, buffer) {
+    let match = line.match(/^\[(\d{2}:\d{2}:\d{2})\] (.*)$/);
+    if (!match) {
+        return null;
+    }
+
+    // ZNC logs in local time which we have no way of knowing, so it's read as UTC
+    let time = new Date(`${date}T${match[1]}Z`);
+    if (isNaN(time.getTime())) {
+        return null;
+    }
+
+    let text = match[2];
+    let m;
+
+    if ((m = text.match(/^<([^>]+)> (.*)$/))) {
+        return createMessage('PRIVMSG', m[1], [buffer, m[2]], time);
+    }
+    if ((m = text.match(/^-([^-\s]+)- (.*)$/))) {
+        return createMessage('NOTICE', m[1], [buffer, m[2]], time);
+    }
+    if ((m = text.match(/^\* (\S+) (.*)$/))) {
+        return createMessage('PRIVMSG', m[1], [buffer, `\x01ACTION ${m[2]}\x01`], time);
+    }
+    if ((m = text.match(/^\*\*\* Joins: (\S+) \(([^)]*)\)$/))) {
+        return createMessage('JOIN', `${m[1]}!${m[2]}`, [buffer], time);
+    }
+    if ((m = text.match(/^\*\*\* Parts: (\S+) \(([^)]*)\) \((.*)\)$/))) {
+        return createMessage('PART', `${m[1]}!${m[2]}`, [buffer, m[3]], time);
+    }
+    if ((m = text.match(/^\*\*\* Quits: (\S+) \(([^)]*)\) \((.*)\)$/))) {
+        return createMessage('QUIT', `${m[1]}!${m[2]}`, [m[3]], time);
+    }
+    if ((m = text.match(/^\*\*\* (\S+) was kicked by (\S+) \((.*)\)$/))) {
+        return createMessage('KICK', m[2], [buffer, m[1], m[3]], time);
+    }
+    if ((m = text.match(/^\*\*\* (\S+) is now known as (\S+)$/))) {
+        return createMessage('NICK', m[1], [m[2]], time);
+    }
+    if ((m = text.match(/^\*\*\* (\S+) changes topic to '(.*)'$/))) {
+        return createMessage('TOPIC', m[1], [buffer, m[2]], time);
+    }
+    if ((m = text.match(/^\*\*\* (\S+) sets mode: (.+)$/))) {
+        return createMessage('MODE', m[1], [buffer, ...m[2].split(' ')], time);
+    }
+
+    return null;
+}
+
+/**
+ * Find the date and buffer of a ZNC log file from its path. ZNC writes either
+ * <buffer>/<YYYY-MM-DD>.log or <network>_<buffer>_<YYYYMMDD>.log depending on its config
+ * @returns {Object} {date: '2024-01-31', buffer: '#channel'} or null if unknown
+ */
+module.exports.parseZncLogPath = parseZncLogPath;
+function parseZncLogPath(filePath) {
+    let parts = filePath.split(/[\\/]/);
+    let fileName = parts[parts.length - 1];
+
+    let match = fileName.match(/^(\d{4}-\d{2}-\d{2})\.log$/);
+    if (match && parts.length > 1) {
+        return { date: match[1], buffer: parts[parts.length - 2] };
+    }
+
+    match = fileName.match(/^(?:.+?_)?(.+)_(\d{4})(\d{2})(\d{2})\.log$/);
+    if (match) {
+        return { date: `${match[2]}-${match[3]}-${match[4]}`, buffer: match[1] };
+    }
+
+    return null;
+}
+
+function messageTime(message) {
+    return new Date(message.tags.time).getTime();
+}
+
+function createMessage(command, prefix, params, time) {
+    let message = new IrcMessage(command, ...params);
+    message.prefix = prefix;
+    let mask = Helpers.parseMask(prefix);
+    message.nick = mask.nick;
+    message.ident = mask.user;
+    message.hostname = mask.host;
+    message.tags.time = Helpers.isoTime(time);
+    return message;
+}
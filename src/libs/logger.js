@@ -1,30 +1,89 @@
+const util = require('util');
+
+const levels = {
+    trace: 0,
+    debug: 1,
+    info: 2,
+    notice: 3,
+    warn: 4,
+    error: 5,
+};
+
 module.exports = function createLogger(label) {
+    let logger = makeLogger(null, label, {});
+    logger.level = levels.notice;
+    logger.colour = true;
+    // 'text' or 'json'. json writes one object per line for log collectors
+    logger.format = 'text';
+    // Levels for child loggers with a module context, eg. {connectionoutgoing: levels.debug}
+    logger.moduleLevels = Object.create(null);
+
+    return logger;
+};
+
+module.exports.levels = levels;
+
+// Child loggers share the level, colour and format of the root logger. Context values may be
+// functions so that they are read at the time of logging, eg. a user ID that is set after login
+function makeLogger(root, label, context) {
     let logLabel = `[${label||''}]`;
-    let out = function(...args) {
-        console.log(...[(new Date()).toISOString(), logLabel, ...args]);
-    };
-    let outErr = function(...args) {
-        console.error(...[(new Date()).toISOString(), logLabel, ...args]);
-    };
 
     // Allow logger() logger.warn() logger.info() etc
     let logger = function(...args) {
         logger.info(...args);
     };
+    root = root || logger;
 
-    let levels = logger.levels = {
-        trace: 0,
-        debug: 1,
-        info: 2,
-        notice: 3,
-        warn: 4,
-        error: 5,
+    logger.levels = levels;
+    logger.context = context;
+    logger.child = function child(childContext) {
+        return makeLogger(root, label, Object.assign({}, context, childContext));
     };
-    logger.level = logger.levels.notice;
-    logger.colour = true;
 
     let levelTooLow = (level) => {
-        return logger.level > level;
+        let moduleLevel = context.module ?
+            root.moduleLevels[context.module] :
+            undefined;
+        return (typeof moduleLevel === 'number' ? moduleLevel : root.level) > level;
+    };
+
+    let contextFields = () => {
+        let fields = {};
+        for (let key in context) {
+            let val = typeof context[key] === 'function' ?
+                context[key]() :
+                context[key];
+            // Leave out anything not known yet, eg. a user ID of 0 before logging in
+            if (val !== undefined && val !== null && val !== '' && val !== 0) {
+                fields[key] = val;
+            }
+        }
+        return fields;
+    };
+
+    let write = (levelName, colour, args) => {
+        let outFn = levelName === 'error' ? console.error : console.log;
+        let time = (new Date()).toISOString();
+
+        if (root.format === 'json') {
+            outFn(JSON.stringify({
+                time,
+                level: levelName,
+                label: label || '',
+                ...contextFields(),
+                msg: util.format(...args),
+            }));
+            return;
+        }
+
+        let fields = Object.entries(contextFields())
+            .filter(([key]) => key !== 'module')
+            .map(([key, val]) => `${key}=${val}`);
+        let prefix = [time, logLabel, colourWrap('l_' + levelName, colour)];
+        if (fields.length > 0) {
+            prefix.push(`[${fields.join(' ')}]`);
+        }
+        outFn(...prefix, ...args);
     };
 
     let colours = {
@@ -39,7 +98,7 @@ module.exports = function createLogger(label) {
         reset: '\x1b[0m',
     };
     let colourWrap = (text, colour) => {
-        return logger.colour ?
+        return root.colour ?
             colours[colour] + text + colours.reset :
             text;
     };
@@ -47,28 +106,28 @@ module.exports = function createLogger(label) {
     // Logging to different levels
     logger.trace = function(...args) {
         if (levelTooLow(levels.trace)) return;
-        out(colourWrap('l_trace', 'yellow'), ...args);
+        write('trace', 'yellow', args);
     };
     logger.debug = function(...args) {
         if (levelTooLow(levels.debug)) return;
-        out(colourWrap('l_debug', 'yellow'), ...args);
+        write('debug', 'yellow', args);
     };
     logger.info = function(...args) {
         if (levelTooLow(levels.info)) return;
-        out(colourWrap('l_info', 'green'), ...args);
+        write('info', 'green', args);
     };
     logger.notice = function(...args) {
         if (levelTooLow(levels.notice)) return;
-        out(colourWrap('l_notice', 'magenta'), ...args);
+        write('notice', 'magenta', args);
     };
     logger.warn = function(...args) {
         if (levelTooLow(levels.warn)) return;
-        out(colourWrap('l_warn', 'red'), ...args);
+        write('warn', 'red', args);
     };
     logger.error = function(...args) {
         if (levelTooLow(levels.error)) return;
-        outErr(colourWrap('l_error', 'red'), ...args);
+        write('error', 'red', args);
     };
 
     return logger;
-};
+}
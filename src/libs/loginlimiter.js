@@ -0,0 +1,184 @@
+const IpCidr = require('ip-cidr');
+
+let singletonInstance = null;
+
+/**
+ * Slows down and then locks out repeated failed logins from an IP address or against a username.
+ *
+ * Each failure blocks further attempts from the same IP and username for a delay that doubles
+ * with each failure. Once max_failures is reached within the window, they are locked out for the
+ * lockout time, which doubles each time they are locked out again. Blocked attempts are rejected
+ * before any password is checked and don't count as failures. The worker processes messages one
+ * at a time so attempts are rejected rather than made to wait.
+ *
+ * The limits are read from the config each time so that they can be changed without a restart:
+ *   [login_limits]
+ *   enabled = true
+ *   max_failures = 5
+ *   window = 900
+ *   delay = 1
+ *   lockout = 900
+ *   max_lockout = 86400
+ *   exempt = ["127.0.0.1/8"]
+ * Times are in seconds.
+ */
+class LoginLimiter {
+    constructor() {
+        // 'ip:<address>' or 'user:<username>' => {failures: [timestamps], blockedUntil, locked, lockouts}
+        this.entries = new Map();
+    }
+
+    static instance() {
+        if (!singletonInstance) {
+            singletonInstance = new LoginLimiter();
+        }
+
+        return singletonInstance;
+    }
+
+    limits() {
+        let conf = config.get('login_limits', {}) || {};
+        let num = (name, def) => {
+            let val = parseFloat(conf[name]);
+            return isNaN(val) || val < 0 ? def : val;
+        };
+
+        return {
+            enabled: conf.enabled !== false,
+            maxFailures: num('max_failures', 5),
+            window: num('window', 900) * 1000,
+            delay: num('delay', 1) * 1000,
+            lockout: num('lockout', 900) * 1000,
+            maxLockout: num('max_lockout', 86400) * 1000,
+            exempt: Array.isArray(conf.exempt) ? conf.exempt : ['127.0.0.1/8'],
+        };
+    }
+
+    // Entry keys for an attempt. Either of ip or username may be empty
+    keysFor(ip, username) {
+        let keys = [];
+        ip = normaliseIp(ip);
+        if (ip && !this.isExempt(ip)) {
+            keys.push('ip:' + ip);
+        }
+        if (username) {
+            keys.push('user:' + username.toLowerCase());
+        }
+
+        return keys;
+    }
+
+    isExempt(ip) {
+        return this.limits().exempt.some(range => {
+            try {
+                return new IpCidr(range.includes('/') ? range : range + (range.includes(':') ? '/128' : '/32')).contains(ip);
+            } catch (err) {
+                return false;
+            }
+        });
+    }
+
+    // Seconds until another attempt from ip or against username is allowed, 0 if it is allowed now
+    blockedFor(ip, username) {
+        if (!this.limits().enabled) {
+            return 0;
+        }
+
+        let now = Date.now();
+        let until = this.keysFor(ip, username).reduce((max, key) => {
+            let entry = this.entries.get(key);
+            return entry && entry.blockedUntil > max ? entry.blockedUntil : max;
+        }, now);
+
+        return Math.ceil((until - now) / 1000);
+    }
+
+    // Record a failed login. Returns true if this locked out the ip or username
+    failure(ip, username) {
+        let limits = this.limits();
+        if (!limits.enabled) {
+            return false;
+        }
+
+        let now = Date.now();
+        let lockedOut = false;
+        this.keysFor(ip, username).forEach(key => {
+            let entry = this.entries.get(key) || { failures: [], blockedUntil: 0, locked: false, lockouts: 0 };
+            entry.failures = entry.failures.filter(time => time > now - limits.window);
+            entry.failures.push(now);
+
+            if (limits.maxFailures && entry.failures.length >= limits.maxFailures) {
+                let lockout = Math.min(limits.lockout * (2 ** entry.lockouts), limits.maxLockout);
+                entry.blockedUntil = now + lockout;
+                entry.locked = true;
+                entry.lockouts++;
+                entry.failures = [];
+                lockedOut = true;
+                l.warn(`Too many failed logins, locking out ${key} for ${Math.round(lockout / 1000)}s`);
+            } else {
+                let delay = limits.delay * (2 ** (entry.failures.length - 1));
+                entry.blockedUntil = Math.max(entry.blockedUntil, now + delay);
+            }
+
+            this.entries.set(key, entry);
+        });
+
+        this.prune(now);
+        return lockedOut;
+    }
+
+    // A successful login clears the failures against the username. Failures from the IP are kept
+    // so that logging into one account doesn't reset the count while guessing at others
+    success(ip, username) {
+        if (username) {
+            this.entries.delete('user:' + username.toLowerCase());
+        }
+    }
+
+    // Current lockouts, soonest to expire first
+    bans() {
+        let now = Date.now();
+        let bans = [];
+        this.entries.forEach((entry, key) => {
+            if (entry.locked && entry.blockedUntil > now) {
+                let [type, ...name] = key.split(':');
+                bans.push({ type, name: name.join(':'), until: entry.blockedUntil, lockouts: entry.lockouts });
+            }
+        });
+
+        return bans.sort((a, b) => a.until - b.until);
+    }
+
+    // Clear the failures and lockout for an IP or username, or everything with *. Returns the
+    // number of entries cleared
+    clear(name) {
+        if (name === '*') {
+            let num = this.entries.size;
+            this.entries.clear();
+            return num;
+        }
+
+        let keys = ['ip:' + normaliseIp(name), 'user:' + name.toLowerCase()];
+        return keys.filter(key => this.entries.delete(key)).length;
+    }
+
+    // Forget entries that are no longer blocked and have no failures left in the window
+    prune(now) {
+        let limits = this.limits();
+        this.entries.forEach((entry, key) => {
+            let recentFailure = entry.failures.some(time => time > now - limits.window);
+            // Keep lockouts for a while after they expire so a repeat offender is locked out for longer
+            let recentLockout = entry.lockouts && entry.blockedUntil > now - limits.maxLockout;
+            if (entry.blockedUntil <= now && !recentFailure && !recentLockout) {
+                this.entries.delete(key);
+            }
+        });
+    }
+}
+
+// IPv4 addresses may arrive mapped into IPv6, eg. ::ffff:192.0.2.1
+function normaliseIp(ip) {
+    return (ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+module.exports = LoginLimiter;
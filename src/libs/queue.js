@@ -192,6 +192,11 @@ module.exports = class Queue extends EventEmitter {
         }
     }
 
+    // Number of messages currently being processed
+    pendingLength() {
+        return this.numInFlight || 0;
+    }
+
     async listenForEvents() {
         if (!this.channel) {
             await this.connect();
@@ -227,12 +232,14 @@ module.exports = class Queue extends EventEmitter {
             let messageTmr = this.stats.timerStart('message.received.' + event[0]);
 
             inFlight++;
+            this.numInFlight = inFlight;
             try {
                 await this.emit(event[0], event[1]);
             } catch (error) {
                 l.error(error.stack);
             }
             inFlight--;
+            this.numInFlight = inFlight;
 
             messageTmr.stop();
             qMessage.ack();
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Servers asking for more PBKDF2 iterations than this are not worth the CPU time
+const MAX_ITERATIONS = 1000000;
+
+/**
+ * The client side of SCRAM-SHA-256 (RFC 5802, RFC 7677). Each step returns what the next step
+ * needs so that the exchange can be kept in a connections state between messages.
+ */
+
+/**
+ * The first client message
+ * @returns {Object} {message, clientFirstBare, nonce}
+ */
+module.exports.clientFirst = clientFirst;
+function clientFirst(username) {
+    let nonce = crypto.randomBytes(18).toString('base64');
+    let clientFirstBare = `n=${escapeUsername(username)},r=${nonce}`;
+
+    return {
+        // No channel binding and no authorization identity
+        message: 'n,,' + clientFirstBare,
+        clientFirstBare,
+        nonce,
+    };
+}
+
+/**
+ * The final client message, proving we know the password
+ * @returns {Object} {message, serverSignature} The server signature checks the servers reply
+ */
+module.exports.clientFinal = clientFinal;
+async function clientFinal(password, clientFirstBare, nonce, serverFirst) {
+    let attrs = parseAttributes(serverFirst);
+    let iterations = parseInt(attrs.i, 10);
+
+    if (!attrs.r || !attrs.r.startsWith(nonce) || attrs.r.length <= nonce.length) {
+        throw new Error('Invalid server nonce');
+    }
+    if (!attrs.s) {
+        throw new Error('Missing salt');
+    }
+    if (isNaN(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+        throw new Error('Invalid iteration count');
+    }
+
+    let salt = Buffer.from(attrs.s, 'base64');
+    let saltedPassword = await pbkdf2(password, salt, iterations, 32, 'sha256');
+    let clientKey = hmac(saltedPassword, 'Client Key');
+    let storedKey = crypto.createHash('sha256').update(clientKey).digest();
+
+    // c=biws is the base64 of the "n,," header sent in the first message
+    let clientFinalBare = `c=biws,r=${attrs.r}`;
+    let authMessage = `${clientFirstBare},${serverFirst},${clientFinalBare}`;
+
+    let clientSignature = hmac(storedKey, authMessage);
+    let clientProof = Buffer.alloc(clientKey.length);
+    for (let i = 0; i < clientKey.length; i++) {
+        clientProof[i] = clientKey[i] ^ clientSignature[i];
+    }
+
+    let serverKey = hmac(saltedPassword, 'Server Key');
+
+    return {
+        message: `${clientFinalBare},p=${clientProof.toString('base64')}`,
+        serverSignature: hmac(serverKey, authMessage).toString('base64'),
+    };
+}
+
+/**
+ * Check the servers final message proves it also knows the password
+ */
+module.exports.verifyServerFinal = verifyServerFinal;
+function verifyServerFinal(serverFinal, serverSignature) {
+    let attrs = parseAttributes(serverFinal);
+    if (!attrs.v) {
+        return false;
+    }
+
+    let given = Buffer.from(attrs.v, 'base64');
+    let expected = Buffer.from(serverSignature, 'base64');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports.parseAttributes = parseAttributes;
+function parseAttributes(str) {
+    let attrs = Object.create(null);
+    String(str).split(',').forEach(part => {
+        let pos = part.indexOf('=');
+        if (pos > 0) {
+            attrs[part.substr(0, pos)] = part.substr(pos + 1);
+        }
+    });
+    return attrs;
+}
+
+function escapeUsername(username) {
+    return String(username).replace(/=/g, '=3D').replace(/,/g, '=2C');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
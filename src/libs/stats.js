@@ -2,6 +2,42 @@ const dgram = require('dgram');
 
 let instance = null;
 
+/**
+ * Keeps the current value of every metric so that they can be read by Prometheus. Keys are the
+ * same as the StatsD keys without the process prefix, eg. queue.sendtoworker
+ */
+class MetricsRegistry {
+    constructor() {
+        this.counters = new Map();
+        this.gauges = new Map();
+        this.timers = new Map();
+    }
+
+    increment(key, delta) {
+        this.counters.set(key, (this.counters.get(key) || 0) + delta);
+    }
+
+    gauge(key, value) {
+        this.gauges.set(key, value);
+    }
+
+    timer(key, ms) {
+        let timer = this.timers.get(key) || { count: 0, sum: 0 };
+        timer.count++;
+        timer.sum += ms;
+        this.timers.set(key, timer);
+    }
+
+    // A plain object that can be sent between processes
+    snapshot() {
+        return {
+            counters: Object.fromEntries(this.counters),
+            gauges: Object.fromEntries(this.gauges),
+            timers: Object.fromEntries(this.timers),
+        };
+    }
+}
+
 module.exports = class Stats {
     constructor(opts={}) {
         this.opts = opts;
@@ -29,18 +65,27 @@ module.exports = class Stats {
 
         // Keep a reference to the root Stats instance as makePrefix() creates new instances
         this.rootStats = opts.rootStats || this;
+
+        // Metrics are recorded in the root registry under keys without the process prefix
+        this.registry = this.rootStats === this ?
+            new MetricsRegistry() :
+            this.rootStats.registry;
+        this.metricPrefix = opts.metricPrefix || '';
     }
 
     increment(key, delta=1) {
         this.write(`${this.prefix}${key}:${delta}|c`);
+        this.registry.increment(this.metricPrefix + key, delta);
     }
 
     gauge(key, value) {
         this.write(`${this.prefix}${key}:${value}|g`);
+        this.registry.gauge(this.metricPrefix + key, value);
     }
 
     timer(key, ms) {
         this.write(`${this.prefix}${key}:${ms}|ms`);
+        this.registry.timer(this.metricPrefix + key, ms);
     }
 
     timerStart(key) {
@@ -63,6 +108,7 @@ module.exports = class Stats {
         return new Stats({
             ...this.opts,
             prefix: this.prefix + newPrefix,
+            metricPrefix: this.metricPrefix + newPrefix + '.',
             rootStats: this.rootStats,
         });
     }
@@ -71,4 +117,58 @@ module.exports = class Stats {
         instance = instance || new Stats(...args);
         return instance;
     }
+
+    /**
+     * Format registry snapshots in the Prometheus text format
+     * @param {Array} sources - [{labels: {process: 'worker'}, metrics: registry.snapshot()}]
+     */
+    static formatPrometheus(sources) {
+        // name => {type, lines: []}
+        let families = new Map();
+        let add = (name, type, line) => {
+            let family = families.get(name) || { type, lines: [] };
+            family.lines.push(line);
+            families.set(name, family);
+        };
+
+        sources.forEach(({ labels, metrics }) => {
+            let labelStr = formatLabels(labels || {});
+            Object.entries(metrics.counters || {}).forEach(([key, val]) => {
+                let name = metricName(key) + '_total';
+                add(name, 'counter', `${name}${labelStr} ${val}`);
+            });
+            Object.entries(metrics.gauges || {}).forEach(([key, val]) => {
+                let name = metricName(key);
+                add(name, 'gauge', `${name}${labelStr} ${val}`);
+            });
+            Object.entries(metrics.timers || {}).forEach(([key, val]) => {
+                let name = metricName(key) + '_seconds';
+                add(name, 'summary', `${name}_sum${labelStr} ${val.sum / 1000}`);
+                add(name, 'summary', `${name}_count${labelStr} ${val.count}`);
+            });
+        });
+
+        let out = '';
+        families.forEach((family, name) => {
+            out += `# TYPE ${name} ${family.type}\n`;
+            out += family.lines.join('\n') + '\n';
+        });
+
+        return out;
+    }
+}
+
+function metricName(key) {
+    return 'bnc_' + key.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+function formatLabels(labels) {
+    let parts = Object.entries(labels).map(([name, val]) => {
+        let escaped = String(val).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${escaped}"`;
+    });
+
+    return parts.length > 0 ?
+        `{${parts.join(',')}}` :
+        '';
 }
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const net = require('net');
+
+/**
+ * IPv6 address pools that users are given a stable bind address from, so that each user
+ * connects to networks from their own address
+ */
+
+/**
+ * Parse a prefix such as 2001:db8:1234::/64
+ * @returns {Object} {prefix, base, bits} or null if invalid
+ */
+module.exports.parsePrefix = parsePrefix;
+function parsePrefix(str) {
+    let [address, bits] = String(str).trim().split('/');
+    bits = parseInt(bits, 10);
+    if (!net.isIPv6(address) || isNaN(bits) || bits < 1 || bits > 127) {
+        return null;
+    }
+
+    // Clear any host bits so that the prefix is the start of the range
+    let hostBits = BigInt(128 - bits);
+    let base = (addressToBigInt(address) >> hostBits) << hostBits;
+
+    return {
+        prefix: `${bigIntToAddress(base)}/${bits}`,
+        base,
+        bits,
+    };
+}
+
+/**
+ * The prefixes in the config, skipping any that are invalid
+ */
+module.exports.configPrefixes = configPrefixes;
+function configPrefixes() {
+    let prefixes = config.get('vhosts.prefixes', []);
+    return (Array.isArray(prefixes) ? prefixes : [prefixes])
+        .map(str => {
+            let prefix = parsePrefix(str);
+            if (!prefix) {
+                l.error('Invalid vhost prefix in config:', str);
+            }
+            return prefix;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * The prefix an address is in, or null
+ */
+module.exports.findPrefix = findPrefix;
+function findPrefix(prefixes, address) {
+    if (!net.isIPv6(address)) {
+        return null;
+    }
+
+    let addr = addressToBigInt(address);
+    return prefixes.find(p => (addr >> BigInt(128 - p.bits)) === (p.base >> BigInt(128 - p.bits))) || null;
+}
+
+/**
+ * An address within a prefix picked from a seed, eg. the users ID. The same seed and attempt
+ * always give the same address so that users keep their address if their allocation is lost.
+ * Increase the attempt if the address is already taken.
+ */
+module.exports.addressForSeed = addressForSeed;
+function addressForSeed(prefix, seed, attempt = 0) {
+    let hostBits = BigInt(128 - prefix.bits);
+    let hash = crypto.createHash('sha256').update(`${seed}:${attempt}`).digest('hex');
+    let host = BigInt('0x' + hash.substr(0, 32)) & ((1n << hostBits) - 1n);
+
+    // Avoid the subnet-router anycast address at the start of the range
+    if (host === 0n) {
+        host = 1n;
+    }
+
+    return bigIntToAddress(prefix.base | host);
+}
+
+/**
+ * The canonical form of an IPv6 address so that the same address is always stored the same way
+ */
+module.exports.normaliseAddress = normaliseAddress;
+function normaliseAddress(address) {
+    return net.isIPv6(address) ?
+        bigIntToAddress(addressToBigInt(address)) :
+        null;
+}
+
+function addressToBigInt(address) {
+    // IPv4 mapped addresses end in dotted quads
+    let v4 = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (v4) {
+        let hex = v4.slice(1).map(n => parseInt(n, 10).toString(16).padStart(2, '0'));
+        address = address.replace(v4[0], hex[0] + hex[1] + ':' + hex[2] + hex[3]);
+    }
+
+    let [head, tail] = address.split('::');
+    let headParts = head ? head.split(':') : [];
+    let tailParts = tail ? tail.split(':') : [];
+    let parts = address.includes('::') ?
+        [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts] :
+        headParts;
+
+    return parts.reduce((val, part) => (val << 16n) | BigInt(parseInt(part, 16)), 0n);
+}
+
+function bigIntToAddress(val) {
+    let parts = [];
+    for (let i = 7; i >= 0; i--) {
+        parts.push(Number((val >> BigInt(i * 16)) & 0xffffn).toString(16));
+    }
+
+    // Compress the longest run of zeros (RFC 5952)
+    let bestStart = -1;
+    let bestLen = 1;
+    for (let i = 0; i < 8; i++) {
+        let len = 0;
+        while (i + len < 8 && parts[i + len] === '0') {
+            len++;
+        }
+        if (len > bestLen) {
+            bestStart = i;
+            bestLen = len;
+        }
+    }
+
+    if (bestStart === -1) {
+        return parts.join(':');
+    }
+
+    let head = parts.slice(0, bestStart).join(':');
+    let tail = parts.slice(bestStart + bestLen).join(':');
+    return `${head}::${tail}`;
+}
@@ -8,6 +8,9 @@ const actionAddUser = require('./actions/adduser');
 const actionListUsers = require('./actions/listusers');
 const actionUpdateDb = require('./actions/updatedb');
 const actionDeleteUser = require('./actions/deleteuser');
+const actionExportLogs = require('./actions/exportlogs');
+const actionImportLogs = require('./actions/importlogs');
+const actionEncryptLogs = require('./actions/encryptlogs');
 
 (async function() {
     // Make the args available globally
@@ -35,6 +38,25 @@ const actionDeleteUser = require('./actions/deleteuser');
         .description('Delete a user')
         .action(actionDeleteUser);
 
+    commander
+        .command('exportlogs <username> <file>')
+        .description('Export a users message logs to a JSON lines file')
+        .option('-n, --network <name>', 'Only export this network')
+        .option('-b, --buffer <name>', 'Only export this channel or query')
+        .action(actionExportLogs);
+
+    commander
+        .command('importlogs <username> <file>')
+        .description('Import message logs from an export or ZNC log files. <file> may be a directory')
+        .option('-n, --network <name>', 'Network to import into. Required for ZNC logs')
+        .option('-b, --buffer <name>', 'Channel or query to import ZNC logs into')
+        .action(actionImportLogs);
+
+    commander
+        .command('encryptlogs')
+        .description('Encrypt messages that were logged in plain text to the sqlite message database')
+        .action(actionEncryptLogs);
+
     commander
         .command('updatedb')
         .description('Update the database schema to the latest')
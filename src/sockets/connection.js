@@ -3,6 +3,7 @@ const tls = require('tls');
 const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const Throttler = require('../libs/throttler');
+const { parseProxyUrl, tunnel } = require('../libs/proxy');
 
 module.exports = class SocketConnection extends EventEmitter {
     constructor(conId, queue, sock, conf) {
@@ -30,7 +31,7 @@ module.exports = class SocketConnection extends EventEmitter {
         }
     }
 
-    socketLifecycle(tlsOpts) {
+    socketLifecycle(tlsOpts, proxyOpts) {
         let lastError = null;
 
         let completeConnection = () => {
@@ -108,13 +109,29 @@ module.exports = class SocketConnection extends EventEmitter {
 
         // Bind the socket events before we connect so that we catch any end/close events
         bindEvents();
-        this.sock.once('connect', () => {
+        this.sock.once('connect', async () => {
+            // Ask the proxy to connect us to the IRC server. Its replies are not for us
+            if (proxyOpts) {
+                this.sock.off('data', onData);
+                try {
+                    await tunnel(this.sock, proxyOpts.proxy, proxyOpts.host, proxyOpts.port);
+                } catch (err) {
+                    l.debug(`[proxy ${this.id}] ${err.message}`);
+                    lastError = err;
+                    this.sock.destroy();
+                    return;
+                }
+                this.sock.on('data', onData);
+            }
+
             // We only use the timeout to determine connection timeouts so stop handling that now
             this.sock.off('timeout', onTimeout);
 
             // If we don't need any TLS handshakes, then this connection is done and
             // we are ready to go
             if (!tlsOpts) {
+                // The proxy may have paused the socket with the first data from the server
+                this.sock.resume();
                 completeConnection();
                 return;
             }
@@ -124,7 +141,10 @@ module.exports = class SocketConnection extends EventEmitter {
             this.sock = tls.connect({
                 socket: this.sock,
                 servername: tlsOpts.servername || undefined,
-                rejectUnauthorized: tlsOpts.tlsverify
+                rejectUnauthorized: tlsOpts.tlsverify,
+                // A client certificate identifies us to the network for CertFP and SASL EXTERNAL
+                cert: tlsOpts.clientCert || undefined,
+                key: tlsOpts.clientKey || undefined,
             });
 
             bindEvents();
@@ -153,10 +173,30 @@ module.exports = class SocketConnection extends EventEmitter {
             family: opts.family || undefined,
         };
 
+        // Connect to the proxy instead, which then connects us to the server
+        let proxy = opts.proxy ? parseProxyUrl(opts.proxy) : null;
+        if (opts.proxy && !proxy) {
+            // Never fall back to connecting directly, the proxy may be hiding where we are
+            l.error(`Invalid proxy, not connecting ${this.id}`);
+            this.connecting = false;
+            this.queue.sendToWorker('connection.close', {id: this.id, error: 'Invalid proxy'});
+            this.emit('dispose');
+            return;
+        } else if (proxy) {
+            connectOpts.host = proxy.host;
+            connectOpts.port = proxy.port;
+            connectOpts.family = undefined;
+        }
+
         sock.setTimeout(opts.connectTimeout || 5000);
         sock.setNoDelay(true);  // Disable Nagle's algorithm for immediate writes
         sock.connect(connectOpts);
-        this.socketLifecycle(useTls ? { servername: opts.servername, tlsverify: opts.tlsverify } : null);
+        this.socketLifecycle(useTls ? {
+            servername: opts.servername,
+            tlsverify: opts.tlsverify,
+            clientCert: opts.clientCert,
+            clientKey: opts.clientKey,
+        } : null, proxy ? {proxy, host, port} : null);
     }
 
     close() {
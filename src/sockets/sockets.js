@@ -1,4 +1,5 @@
 const fs = require('fs');
+const net = require('net');
 const SocketConnection = require('./connection');
 const SocketServer = require('./socketserver');
 const Throttler = require('../libs/throttler');
@@ -26,7 +27,14 @@ async function run() {
 
     app.queue.on('config.reload', async (event) => {
         l.info('Reloading configuration');
-        app.conf.load();
+        try {
+            app.conf.load();
+        } catch (err) {
+            l.error('Error reloading the config, keeping the current config.', err.message);
+            return;
+        }
+
+        connectThrottler.interval = app.conf.get('connections.throttle', 1000);
     });
 
     // The worker asks, after a worker-only restart, which connections are still alive here so it
@@ -101,9 +109,13 @@ async function run() {
         throttledConnect(connectThrottler, con, event.host, event.port, event.tls, {
             bindAddress: event.bindAddress,
             bindPort: event.bindPort,
-            family: event.family,
+            // A bind address can only reach servers of the same family, eg. vhost pool addresses
+            family: event.family || (net.isIPv6(event.bindAddress || '') ? 6 : undefined),
             servername: event.servername,
             tlsverify: event.tlsverify,
+            clientCert: event.clientCert,
+            clientKey: event.clientKey,
+            proxy: event.proxy,
             connectTimeout: event.connectTimeout || 5000,
         });
     });
@@ -177,6 +189,7 @@ async function run() {
                 family: socket.remoteFamily,
                 origin: socket.httpOrigin,
                 server: srv.id,
+                certfp: clientCertFingerprint(socket),
             });
         });
     });
@@ -189,6 +202,17 @@ async function run() {
         console.error(`### Serious error (${origin}) - this should not happen but the BNC is still running. ${err.stack}`);
     });
 
+    // The sha256 fingerprint of a certificate the client presented to a TLS listener
+    function clientCertFingerprint(socket) {
+        let cert = typeof socket.getPeerCertificate === 'function' ?
+            socket.getPeerCertificate() :
+            null;
+
+        return (cert && cert.fingerprint256) ?
+            cert.fingerprint256.replace(/:/g, '').toLowerCase() :
+            '';
+    }
+
     function addCon(con) {
         cons.set(con.id, con);
         con.once('dispose', () => {
@@ -199,7 +223,23 @@ async function run() {
     function broadcastStats(app) {
         function broadcast() {
             app.stats.gauge('stats.connections', cons.size);
-    
+
+            let conTypes = { outgoing: 0, incoming: 0, listening: 0 };
+            cons.forEach(c => {
+                if (c.type === 1) {
+                    conTypes.outgoing++;
+                } else if (c.type === 2) {
+                    conTypes.incoming++;
+                } else if (c.type === 3) {
+                    conTypes.listening++;
+                }
+            });
+            for (let type in conTypes) {
+                app.stats.gauge('stats.connections.' + type, conTypes[type]);
+            }
+
+            app.stats.gauge('stats.queue_length', app.queue.pendingLength());
+
             let mem = process.memoryUsage();
             app.stats.gauge('stats.memoryheapused', mem.heapUsed);
             app.stats.gauge('stats.memoryheaptotal', mem.heapTotal);
@@ -211,6 +251,11 @@ async function run() {
                 app.stats.gauge('stats.fdcount', list.length);
             });
 
+            // The worker serves the metrics for both processes
+            if (app.conf.get('webserver.metrics_enabled', false)) {
+                app.queue.sendToWorker('stats.metrics', {metrics: app.stats.registry.snapshot()});
+            }
+
             setTimeout(broadcast, 10000);
         }
     
@@ -130,6 +130,10 @@ module.exports = class SocketServer extends EventEmitter {
             this.server = tls.createServer({
                 key: tlsOpts.key,
                 cert: tlsOpts.cert,
+                // Clients may present a certificate to log in with SASL EXTERNAL. They are
+                // identified by its fingerprint so any certificate is accepted
+                requestCert: true,
+                rejectUnauthorized: false,
             });
         }
 
@@ -1,11 +1,18 @@
 const { ircLineParser, Message } = require('irc-framework');
-const { mParam, mParamU, cloneIrcMessage } = require('../libs/helpers');
+const { mParam, mParamU, cloneIrcMessage, capList } = require('../libs/helpers');
 const msgIdGenerator = require('../libs/msgIdGenerator');
+const Tokens = require('../libs/tokens');
+const LoginLimiter = require('../libs/loginlimiter');
 const ClientControl = require('./clientcontrol');
 const hooks = require('./hooks');
 
 let commands = Object.create(null);
 
+// SASL mechanisms clients can log in with
+const SASL_MECHANISMS = ['PLAIN', 'EXTERNAL'];
+// Longest base64 SASL payload we accept from a client
+const SASL_MAX_PAYLOAD = 4000;
+
 module.exports.run = async function run(msg, con) {
     let command = msg.command.toUpperCase();
     l.debug('run() state:', [command, con.state.netRegistered, con.state.tempGet('capping'), con.state.tempGet('reg.state'), msg.source, con.state.nick]);
@@ -16,7 +23,8 @@ module.exports.run = async function run(msg, con) {
     // If we're in the CAP negotiating phase, don't allow any other commands to be processed yet.
     // Once CAP negotiations have ended, this queue will be run through.
     // If msg.source === queue, the message is being processed from the queue and should not be re-queued.
-    if (con.state.tempGet('capping') && command !== 'CAP' && msg.source !== 'queue') {
+    // AUTHENTICATE is part of CAP negotiation so it is let through too.
+    if (con.state.tempGet('capping') && command !== 'CAP' && command !== 'AUTHENTICATE' && msg.source !== 'queue') {
         let messageQueue = con.state.tempGet('reg.queue') || [];
         messageQueue.push(msg.to1459());
         await con.state.tempSet('reg.queue', messageQueue);
@@ -26,7 +34,8 @@ module.exports.run = async function run(msg, con) {
     // We're done capping, but not yet registered. Process registration commands
     if (!con.state.netRegistered) {
         // Only allow a subset of commands to be accepted at this point
-        let preRegisterCommands = ['USER', 'NICK', 'PASS', 'CAP'];
+        // BOUNCER is allowed so that clients can BIND to a network before logging in
+        let preRegisterCommands = ['USER', 'NICK', 'PASS', 'CAP', 'AUTHENTICATE', 'BOUNCER'];
         if (preRegisterCommands.indexOf(command) === -1) {
             return false;
         }
@@ -61,50 +70,209 @@ async function runCommand(command, msg, con) {
 }
 
 async function maybeProcessRegistration(con) {
-    // We can only register the client once we have all the info and CAP has ended
+    // We can only register the client once we have all the info and CAP has ended. Clients
+    // that logged in with SASL don't need a password
     let regState = con.state.tempGet('reg.state');
+    let saslAuthed = !!con.state.tempGet('sasl.authed');
     if (
         !regState.nick ||
         !regState.user ||
-        !regState.pass ||
+        (!regState.pass && !saslAuthed) ||
         con.state.tempGet('capping')
     ) {
         return;
     }
 
-    // get bnc username and password
-    let username = '';
-    let clientid = 'bnc';
-    let networkName = '';
-    let password = '';
     let network = null;
 
-    let m = regState.pass.match(/^(?<username>[^\/:@]+)(?:@(?<clientid>[a-z0-9]+))?(?:\/(?<network>[^:]*))?(?::(?<password>.*))?$/);
-    let mu = regState.user.match(/^(?<username>[^\/:@]+)(?:@(?<clientid>[a-z0-9]+))?(?:\/(?<network>.+))?$/);
-    if (m && regState.pass.includes(':')) {
-        // PASS user/network:pass or user/:pass or user:pass or user@clientid:pass etc
-        username = m.groups.username || '';
-        clientid = m.groups.clientid || '';
-        networkName = m.groups.network || '';
-        password = m.groups.password || '';
-    } else if (mu && regState.pass) {
-        // PASS pass
-        // USER user/network or user or user@clientid
-        username = mu.groups.username || '';
-        clientid = mu.groups.clientid || '';
-        networkName = mu.groups.network || '';
-        password = regState.pass || '';
+    if (saslAuthed) {
+        // soju.im/bouncer-networks clients BOUNCER BIND after AUTHENTICATE, so after the auth
+        // hook that picks up the bound network has already run
+        let bindNetId = con.state.tempGet('bouncer.bind');
+        if (!con.state.authNetworkId && bindNetId) {
+            network = await con.userDb.getUserNetwork(con.state.authUserId, bindNetId);
+            if (network) {
+                con.state.setNetwork(network);
+            }
+        } else if (con.state.authNetworkId) {
+            network = await con.userDb.getNetwork(con.state.authNetworkId);
+        }
     } else {
-        await con.writeMsg('ERROR', 'Invalid password');
-        con.close();
-        return false;
+        // get bnc username and password
+        let username = '';
+        let clientid = 'bnc';
+        let networkName = '';
+        let password = '';
+
+        let m = regState.pass.match(/^(?<username>[^\/:@]+)(?:@(?<clientid>[a-z0-9]+))?(?:\/(?<network>[^:]*))?(?::(?<password>.*))?$/);
+        let mu = parseLoginIdentity(regState.user);
+        if (m && regState.pass.includes(':')) {
+            // PASS user/network:pass or user/:pass or user:pass or user@clientid:pass etc
+            username = m.groups.username || '';
+            clientid = m.groups.clientid || '';
+            networkName = m.groups.network || '';
+            password = m.groups.password || '';
+        } else if (mu && regState.pass) {
+            // PASS pass
+            // USER user/network or user or user@clientid
+            username = mu.username;
+            clientid = mu.clientid;
+            networkName = mu.networkName;
+            password = regState.pass || '';
+        } else {
+            await con.writeMsg('ERROR', 'Invalid password');
+            con.close();
+            return false;
+        }
+
+        let auth = await authClient(con, {username, clientid, networkName, password});
+        if (!auth) {
+            return false;
+        }
+        if (auth.error) {
+            await con.writeMsg('ERROR', auth.error);
+            con.close();
+            return false;
+        }
+
+        network = auth.network;
+    }
+
+    // If CAP is in negotiation phase, that will start the upstream when ready
+    if (con.state.tempGet('capping')) {
+        return;
+    }
+
+    if (network) {
+        if (!con.upstream) {
+            con.makeUpstream(network);
+            con.writeStatus('Connecting to the network...');
+        } else if (!con.upstream.state.connected) {
+            // The upstream connection will call con.registerClient() once it's registered
+            con.writeStatus('Waiting for the network to connect...');
+            con.upstream.open();
+        } else {
+            if (con.upstream.state.receivedMotd) {
+                await con.registerClient();
+            }
+        }
+    } else {
+        con.writeStatus('Welcome to your BNC!');
+        await con.registerLocalClient();
+    }
+
+    await con.state.tempSet('reg.state', null);
+}
+
+
+// user or user/network or user@clientid/network
+function parseLoginIdentity(str) {
+    let m = str.match(/^(?<username>[^\/:@]+)(?:@(?<clientid>[a-z0-9]+))?(?:\/(?<network>.+))?$/);
+    if (!m) {
+        return null;
+    }
+
+    return {
+        username: m.groups.username || '',
+        clientid: m.groups.clientid || '',
+        networkName: m.groups.network || '',
+    };
+}
+
+// Log a client in and record the attempt in the audit log. Too many failed attempts from the
+// clients IP or against the username block any more for a while.
+// Clients often try the NickServ login for their network over SASL before falling back to PASS, so
+// with deferFailure the first failed attempt of a connection is only counted if the connection
+// closes or logs in to a different account. See clientClosed()
+async function authClient(con, login, {deferFailure = false} = {}) {
+    let limiter = LoginLimiter.instance();
+    let blockedFor = limiter.blockedFor(con.state.host, login.username);
+    if (blockedFor > 0) {
+        return {error: `Too many failed logins, try again in ${blockedFor} seconds`};
+    }
+
+    let auth = await loginClient(con, login);
+    if (!auth) {
+        return auth;
+    }
+
+    let method = 'password';
+    if (login.certfp) {
+        method = 'certfp';
+    } else if (Tokens.isUserToken(login.password || '')) {
+        method = 'token';
+    }
+
+    let target = login.username + (login.networkName ? '/' + login.networkName : '');
+    await con.userDb.addAuditEntry({
+        actorUserId: auth.error ? 0 : con.state.authUserId,
+        actor: login.username,
+        action: auth.error ? 'auth.failure' : 'auth.success',
+        target,
+        ip: con.state.host,
+        details: auth.error ? `${method}: ${auth.error}` : method,
+    });
+
+    // A network that doesn't exist after a correct username and password isn't a failed login
+    if (!auth.error || con.state.authUserId) {
+        limiter.success(con.state.host, login.username);
+
+        // Logging in to one account doesn't excuse a failure against another
+        let deferredFailure = con.state.tempGet('auth.deferred_failure');
+        if (deferredFailure) {
+            await con.state.tempSet('auth.deferred_failure', null);
+            if (deferredFailure.toLowerCase() !== (login.username || '').toLowerCase()) {
+                await loginFailed(con, deferredFailure);
+            }
+        }
+    } else if (deferFailure && !con.state.tempGet('auth.deferred_failure')) {
+        await con.state.tempSet('auth.deferred_failure', login.username);
+    } else {
+        await loginFailed(con, login.username);
     }
 
-    let hook = await hooks.emit('auth', {username, clientid, networkName, password, client: con, userId: null, network: null, isAdmin: false});
+    return auth;
+}
+
+// Count a failed login, recording in the audit log when it starts a lockout
+async function loginFailed(con, username) {
+    let lockedOut = LoginLimiter.instance().failure(con.state.host, username);
+    if (lockedOut) {
+        await con.userDb.addAuditEntry({
+            actor: username,
+            action: 'auth.lockout',
+            target: username,
+            ip: con.state.host,
+        });
+    }
+}
+
+// A client connection has closed
+module.exports.clientClosed = async function clientClosed(con) {
+    // Count a deferred failed login now that the client didn't manage to log in another way
+    let deferredFailure = con.state.tempGet('auth.deferred_failure');
+    if (deferredFailure) {
+        await con.state.tempSet('auth.deferred_failure', null);
+        await loginFailed(con, deferredFailure);
+    }
+};
+
+// Log a client in to a user and optionally one of its networks, giving extensions the first
+// chance via the auth hook. A certfp logs in with a client certificate in place of a password.
+// Returns {network} when logged in, {error} when not, or null if an extension has taken over
+async function loginClient(con, login) {
+    let {username, clientid, networkName, password} = login;
+    let certfp = login.certfp || '';
+    let network = null;
+
+    let hook = await hooks.emit('auth', {username, clientid, networkName, password, certfp, client: con, userId: null, network: null, isAdmin: false});
     if (hook.prevent) {
-        return false;
+        return null;
     }
 
+    // Extensions may pick the network for the client
+    networkName = hook.event.networkName || '';
+
     // Parts of the BNC may depend on the clientid as it's configuring itself, so make sure that's
     // set correctly before anything else. Defaulting to bnc
     con.state.clientid = hook.event.clientid || 'bnc';
@@ -129,76 +297,73 @@ async function maybeProcessRegistration(con) {
         // User has already logged in to a network
         network = await con.userDb.getNetwork(con.state.authNetworkId);
 
+    } else if (certfp) {
+        // Logging in with a client certificate
+        let user = await con.userDb.authUserCertFingerprint(certfp, username);
+        if (!user) {
+            return {error: 'Invalid password'};
+        }
+
+        con.state.authUserId = user.id;
+        con.state.authAdmin = !!user.admin;
+
+        if (networkName) {
+            network = await con.userDb.getNetworkByName(user.id, networkName);
+            if (network) {
+                con.state.setNetwork(network);
+            }
+        }
+
     } else if (networkName) {
         // Logging into a network
         let auth = await con.userDb.authUserNetwork(username, password, networkName);
-        if (!auth.network) {
-            await con.writeMsg('ERROR', 'Invalid password');
-            con.close();
-            return false;
-        }
+        if (auth.network) {
+            network = auth.network;
+            con.state.setNetwork(network);
+            con.state.authUserId = network.user_id;
+            con.state.authAdmin = auth.user && !!auth.user.admin;
+        } else {
+            // Tell a wrong password apart from a network that doesn't exist, which isn't counted
+            // as a failed login
+            let user = await con.userDb.authUser(username, password, con.state.host);
+            if (!user) {
+                return {error: 'Invalid password'};
+            }
 
-        network = auth.network;
-        con.state.setNetwork(network);
-        con.state.authUserId = network.user_id;
-        con.state.authAdmin = auth.user && !!auth.user.admin;
+            con.state.authUserId = user.id;
+            con.state.authAdmin = !!user.admin;
+        }
     } else {
         // Logging into a user only mode (no attached network)
         let user = await con.userDb.authUser(username, password, con.state.host);
         if (!user) {
-            await con.writeMsg('ERROR', 'Invalid password');
-            con.close();
-            return false;
+            return {error: 'Invalid password'};
         }
 
         con.state.authUserId = user.id;
         con.state.authAdmin = !!user.admin;
     }
 
-    con.state.markDirty();
+    // Logs for this client include the username it logged in with. Also marks the state dirty
+    con.state.tempSet('auth_username', username || null);
 
     // If after all the authing above we had a network name but couldn't find a network instance
     // to attach to, fail here
     if (networkName && !network) {
-        await con.writeMsg('ERROR', 'Network not found');
-        con.close();
-        return false;
-    }
-
-    // If CAP is in negotiation phase, that will start the upstream when ready
-    if (con.state.tempGet('capping')) {
-        return;
+        return {error: 'Network not found'};
     }
 
-    if (network) {
-        if (!con.upstream) {
-            con.makeUpstream(network);
-            con.writeStatus('Connecting to the network...');
-        } else if (!con.upstream.state.connected) {
-            // The upstream connection will call con.registerClient() once it's registered
-            con.writeStatus('Waiting for the network to connect...');
-            con.upstream.open();
-        } else {
-            if (con.upstream.state.receivedMotd) {
-                await con.registerClient();
-            }
-        }
-    } else {
-        con.writeStatus('Welcome to your BNC!');
-        await con.registerLocalClient();
-    }
-
-    await con.state.tempSet('reg.state', null);
+    return {network};
 }
 
-
 /**
  * Commands sent from the client get handled here
  */
 
 commands.CAP = async function(msg, con) {
     let availableCaps = new Set();
-    await hooks.emit('available_caps', {client: con, caps: availableCaps});
+    let capValues = Object.create(null);
+    await hooks.emit('available_caps', {client: con, caps: availableCaps, capValues});
 
     if (mParamU(msg, 0, '') === 'LIST') {
         con.writeFromBnc('CAP', '*', 'LIST', Array.from(con.state.caps).join(' '));
@@ -214,7 +379,7 @@ commands.CAP = async function(msg, con) {
 
         await con.state.tempSet('capping', true);
         await con.state.tempSet('caps_offered', Array.from(availableCaps));
-        con.writeFromBnc('CAP', '*', 'LS', Array.from(availableCaps).join(' '));
+        con.writeFromBnc('CAP', '*', 'LS', capList(availableCaps, capValues, con.state.tempGet('capver')).join(' '));
     }
 
     if (mParamU(msg, 0, '') === 'REQ') {
@@ -246,6 +411,105 @@ commands.PASS = async function(msg, con) {
     return false;
 };
 
+// SASL login to the BNC. The identity is the same user[@clientid][/network] as a PASS login.
+// EXTERNAL uses a client certificate the user has added with *bnc ADDCERT
+commands.AUTHENTICATE = async function(msg, con) {
+    let nick = con.state.nick || '*';
+    let param = mParam(msg, 0, '');
+    let mechanism = con.state.tempGet('sasl.mechanism');
+
+    if (con.state.netRegistered || con.state.tempGet('sasl.authed')) {
+        con.writeFromBnc('907', nick, 'You have already authenticated using SASL');
+        return false;
+    }
+
+    if (!con.state.caps.has('sasl')) {
+        con.writeFromBnc('904', nick, 'SASL authentication failed');
+        return false;
+    }
+
+    if (param === '*') {
+        await con.state.tempSet({'sasl.mechanism': null, 'sasl.received': null});
+        con.writeFromBnc('906', nick, 'SASL authentication aborted');
+        return false;
+    }
+
+    if (!mechanism) {
+        mechanism = param.toUpperCase();
+        if (!SASL_MECHANISMS.includes(mechanism)) {
+            con.writeFromBnc('908', nick, SASL_MECHANISMS.join(','), 'are available SASL mechanisms');
+            con.writeFromBnc('904', nick, 'SASL authentication failed');
+            return false;
+        }
+
+        await con.state.tempSet('sasl.mechanism', mechanism);
+        con.writeFromBnc('AUTHENTICATE', '+');
+        return false;
+    }
+
+    // Payloads are base64 split into 400 byte chunks, a shorter chunk or + ending it
+    let received = (con.state.tempGet('sasl.received') || '') + (param === '+' ? '' : param);
+    if (param.length > 400 || received.length > SASL_MAX_PAYLOAD) {
+        await con.state.tempSet({'sasl.mechanism': null, 'sasl.received': null});
+        con.writeFromBnc('905', nick, 'SASL message too long');
+        return false;
+    }
+    if (param.length === 400) {
+        await con.state.tempSet('sasl.received', received);
+        return false;
+    }
+
+    await con.state.tempSet({'sasl.mechanism': null, 'sasl.received': null});
+
+    let payload = Buffer.from(received, 'base64').toString('utf8');
+    let login = null;
+
+    if (mechanism === 'PLAIN') {
+        // authzid \0 authcid \0 password. We don't log in as anyone other than the authcid
+        let [authzid, authcid, password] = payload.split('\0');
+        let identity = parseLoginIdentity(authcid || '');
+        if (identity && password && (!authzid || authzid === authcid)) {
+            login = {...identity, password};
+        }
+    } else if (mechanism === 'EXTERNAL') {
+        // The identity is optional, the certificate is enough to find the user
+        let certfp = con.state.tempGet('tls_certfp');
+        let identity = payload ?
+            parseLoginIdentity(payload) :
+            {username: '', clientid: '', networkName: ''};
+        if (certfp && identity && !identity.username) {
+            let user = await con.userDb.authUserCertFingerprint(certfp);
+            identity.username = user ? user.username : '';
+        }
+        if (certfp && identity && identity.username) {
+            login = {...identity, password: '', certfp};
+        }
+    }
+
+    let auth = login ?
+        await authClient(con, login, {deferFailure: true}) :
+        {error: 'Invalid login'};
+    // An extension may have prevented the login, which leaves the client logged out
+    if (!auth || auth.error) {
+        // The client may try again so don't leave it half logged in
+        con.state.authUserId = 0;
+        con.state.authAdmin = false;
+        con.state.authNetworkId = 0;
+        con.state.authNetworkName = '';
+        con.state.tempSet('auth_username', null);
+        con.writeFromBnc('904', nick, 'SASL authentication failed');
+        return false;
+    }
+
+    await con.state.tempSet('sasl.authed', true);
+
+    let account = login.username;
+    con.writeFromBnc('900', nick, `${nick}!*@*`, account, `You are now logged in as ${account}`);
+    con.writeFromBnc('903', nick, 'SASL authentication successful');
+
+    return false;
+};
+
 commands.USER = async function(msg, con) {
     let regState = con.state.tempGet('reg.state');
     if (regState) {
@@ -348,7 +612,7 @@ commands.NICK = async function(msg, con) {
         }
 
         // A quick reminder for the client that they need to send a password
-        if (!regState.pass) {
+        if (!regState.pass && !con.state.tempGet('sasl.authed')) {
             con.writeMsgFrom('bnc', 464, con.state.nick, 'Password required');
             con.writeFromBnc('NOTICE', con.state.nick, 'You must send your password first. /quote PASS <username>/<network>:<password>');
         }
@@ -356,6 +620,21 @@ commands.NICK = async function(msg, con) {
         return false;
     }
 
+    // The user picked their own nick so stop trying to get the networks nick back for them
+    let upstream = con.upstream;
+    if (upstream && upstream.state.tempGet('desired_nick')) {
+        let monitored = upstream.state.tempGet('nick_monitor');
+        if (monitored) {
+            upstream.writeLine('MONITOR', '-', monitored);
+        }
+        await upstream.state.tempSet({
+            desired_nick: null,
+            nick_attempt: null,
+            nick_monitor: null,
+            nick_regain_sent: null,
+        });
+    }
+
     return true;
 };
 
@@ -1,6 +1,12 @@
 const ParseDuration = require('parse-duration');
 const Tokens = require('../libs/tokens');
 const keyvals = require('keyvals');
+const ClientCert = require('../libs/clientcert');
+const { parseProxyUrl } = require('../libs/proxy');
+const Vhosts = require('../libs/vhosts');
+const LoginLimiter = require('../libs/loginlimiter');
+const { BncError } = require('../libs/errors');
+const hooks = require('./hooks');
 
 let commands = Object.create(null);
 
@@ -262,7 +268,14 @@ commands.CHANGENETWORK = {
             account: 'sasl_account',
             account_pass: 'sasl_pass',
             account_password: 'sasl_pass',
-            channels: 'channels'
+            channels: 'channels',
+            proxy: 'proxy',
+            alt_nicks: 'alt_nicks',
+            nick_suffix: 'nick_suffix',
+            nickserv_regain: 'nickserv_regain',
+            auto_away: {column: 'auto_away', type: 'bool'},
+            away_message: 'away_message',
+            away_nick: 'away_nick',
         };
 
         let options = keyvals.parse(input);
@@ -301,16 +314,35 @@ commands.CHANGENETWORK = {
             }
         }
 
+        if (toUpdate.proxy && toUpdate.proxy !== 'none' && !parseProxyUrl(toUpdate.proxy)) {
+            con.writeStatus('Invalid proxy. Use socks5://host:port, http://host:port or none');
+            return;
+        }
+
+        if (toUpdate.nick_suffix && !['underscore', 'digits'].includes(toUpdate.nick_suffix)) {
+            con.writeStatus('Invalid nick_suffix. Use underscore or digits');
+            return;
+        }
+
+        if (toUpdate.nickserv_regain === 'off') {
+            toUpdate.nickserv_regain = '';
+        }
+        if (toUpdate.nickserv_regain && !['ghost', 'regain'].includes(toUpdate.nickserv_regain)) {
+            con.writeStatus('Invalid nickserv_regain. Use ghost, regain or off');
+            return;
+        }
+
         if (Object.keys(toUpdate).length > 0) {
             for (let prop in toUpdate) {
                 network[prop] = toUpdate[prop];
             }
             await network.save();
+            con.audit('network.change', network.name, Object.keys(toUpdate).join(', '));
 
             con.writeStatus(`Updated network`);
         } else {
             con.writeStatus(`Usage: changenetwork server=irc.example.net port=6697 tls=yes`);
-            con.writeStatus(`Available fields: name, server, port, tls, tlsverify, nick, username, realname, password, account, account_password, channels`);
+            con.writeStatus(`Available fields: name, server, port, tls, tlsverify, nick, username, realname, password, account, account_password, channels, proxy, alt_nicks, nick_suffix, nickserv_regain, auto_away, away_message, away_nick`);
         }
     },
 };
@@ -347,6 +379,13 @@ commands.ADDNETWORK = {
             account_pass: 'sasl_pass',
             account_password: 'sasl_pass',
             channels: 'channels',
+            proxy: 'proxy',
+            alt_nicks: 'alt_nicks',
+            nick_suffix: 'nick_suffix',
+            nickserv_regain: 'nickserv_regain',
+            auto_away: {column: 'auto_away', type: 'bool'},
+            away_message: 'away_message',
+            away_nick: 'away_nick',
         };
 
         let options = keyvals.parse(input);
@@ -385,6 +424,24 @@ commands.ADDNETWORK = {
             }
         }
 
+        if (toUpdate.proxy && toUpdate.proxy !== 'none' && !parseProxyUrl(toUpdate.proxy)) {
+            con.writeStatus('Invalid proxy. Use socks5://host:port, http://host:port or none');
+            return;
+        }
+
+        if (toUpdate.nick_suffix && !['underscore', 'digits'].includes(toUpdate.nick_suffix)) {
+            con.writeStatus('Invalid nick_suffix. Use underscore or digits');
+            return;
+        }
+
+        if (toUpdate.nickserv_regain === 'off') {
+            toUpdate.nickserv_regain = '';
+        }
+        if (toUpdate.nickserv_regain && !['ghost', 'regain'].includes(toUpdate.nickserv_regain)) {
+            con.writeStatus('Invalid nickserv_regain. Use ghost, regain or off');
+            return;
+        }
+
         let missingFields = [];
         let requiredFields = ['name', 'host', 'port', 'nick'];
         requiredFields.forEach(f => {
@@ -396,7 +453,7 @@ commands.ADDNETWORK = {
         if (missingFields.length > 0) {
             con.writeStatus('Missing fields: ' + missingFields.join(', '));
             con.writeStatus(`Usage: addnetwork name=example server=irc.example.net port=6697 tls=yes nick=mynick`);
-            con.writeStatus(`Available fields: name, server, port, tls, tlsverify, nick, username, realname, password, account, account_password, channels`);
+            con.writeStatus(`Available fields: name, server, port, tls, tlsverify, nick, username, realname, password, account, account_password, channels, proxy, alt_nicks, nick_suffix, nickserv_regain, auto_away, away_message, away_nick`);
             return;
         }
 
@@ -409,6 +466,7 @@ commands.ADDNETWORK = {
 
         try {
             await con.userDb.addNetwork(con.state.authUserId, toUpdate);
+            con.audit('network.add', toUpdate.name);
             con.writeStatus(`New network saved. You can now login using your_username/${toUpdate.name}:your_password`);
 
         } catch (err) {
@@ -455,11 +513,162 @@ commands.DELNETWORK = {
         }
 
 
-        await con.db.dbUsers('user_networks').where('id', network.id).delete();
+        await con.userDb.deleteNetwork(network.id);
+        con.audit('network.delete', network.name);
         con.writeStatus(`Network ${network.name} deleted`);
     },
 };
 
+commands.ADDSERVER = {
+    requiresNetworkAuth: false,
+    description: 'Add a fallback server to the active network, or another under your account. It is connected to if the other servers fail. Usage: "addserver [network_name] server=irc.example.net port=6697 tls=yes"',
+    fn: async function(input, con, msg) {
+        let parts = input.split(' ').filter(part => !!part);
+        let network = await findCommandNetwork(con, parts[0] && parts[0].indexOf('=') === -1 ? parts[0] : '');
+        if (!network) {
+            return;
+        }
+
+        let options = keyvals.parse(input);
+        let server = { port: 6697, tls: true };
+        for (let optionName in options) {
+            let field = optionName.toLowerCase();
+            let val = options[optionName];
+
+            if (['host', 'server', 'address'].includes(field)) {
+                server.host = val;
+            } else if (field === 'port') {
+                server.port = parseInt(val, 10);
+            } else if (['tls', 'ssl', 'secure'].includes(field)) {
+                server.tls = ['0', 'no', 'off', 'false'].indexOf(val.toLowerCase()) === -1;
+            }
+        }
+
+        if (!server.host || isNaN(server.port) || server.port <= 0 || server.port > 65535) {
+            con.writeStatus('Usage: addserver [network_name] server=irc.example.net port=6697 tls=yes');
+            return;
+        }
+
+        await con.userDb.addNetworkServer(network.id, server);
+        con.audit('network.addserver', network.name, formatServer(server));
+        con.writeStatus(`Added server ${formatServer(server)} to ${network.name}`);
+    },
+};
+
+commands.LISTSERVERS = {
+    requiresNetworkAuth: false,
+    description: 'List the servers of the active network, or another under your account. Usage: "listservers [network_name]"',
+    fn: async function(input, con, msg) {
+        let network = await findCommandNetwork(con, input.trim());
+        if (!network) {
+            return;
+        }
+
+        let servers = await con.userDb.getNetworkServers(network.id);
+        let upstream = con.conDict.findUsersOutgoingConnection(con.state.authUserId, network.id);
+        let currentIdx = upstream ?
+            (upstream.state.tempGet('server_index') || 0) % (servers.length + 1) :
+            -1;
+
+        con.writeStatus(`Servers for ${network.name}, tried in this order:`);
+        [network, ...servers].forEach((server, idx) => {
+            let notes = [];
+            if (idx === 0) {
+                notes.push('network server');
+            }
+            if (idx === currentIdx) {
+                notes.push('current');
+            }
+
+            let line = `${idx + 1}: ${formatServer(server)}`;
+            if (notes.length > 0) {
+                line += ` (${notes.join(', ')})`;
+            }
+            con.writeStatus(line);
+        });
+    },
+};
+
+commands.DELSERVER = {
+    requiresNetworkAuth: false,
+    description: 'Remove a fallback server from the active network, or another under your account. Usage: "delserver [network_name] <number from listservers>"',
+    fn: async function(input, con, msg) {
+        let parts = input.split(' ').filter(part => !!part);
+        let num = parseInt(parts.pop(), 10);
+        if (isNaN(num)) {
+            con.writeStatus('Usage: delserver [network_name] <number from listservers>');
+            return;
+        }
+
+        let network = await findCommandNetwork(con, parts[0] || '');
+        if (!network) {
+            return;
+        }
+
+        if (num === 1) {
+            con.writeStatus('The network server can be changed with: changenetwork server=irc.example.net');
+            return;
+        }
+
+        let servers = await con.userDb.getNetworkServers(network.id);
+        let server = servers[num - 2];
+        if (!server) {
+            con.writeStatus(`Server ${num} could not be found`);
+            return;
+        }
+
+        await con.userDb.removeNetworkServer(network.id, server.id);
+        con.audit('network.delserver', network.name, formatServer(server));
+        con.writeStatus(`Removed server ${formatServer(server)} from ${network.name}`);
+    },
+};
+
+commands.CLIENTCERT = {
+    requiresNetworkAuth: false,
+    description: 'Show, generate or delete the TLS client certificate used to identify to the active network, or another under your account, with CertFP and SASL EXTERNAL. Usage: "clientcert [network_name] [show|generate|delete]"',
+    fn: async function(input, con, msg) {
+        let parts = input.split(' ').filter(part => !!part);
+        let action = 'SHOW';
+        if (parts.length > 0 && ['SHOW', 'GENERATE', 'DELETE'].includes(parts[parts.length - 1].toUpperCase())) {
+            action = parts.pop().toUpperCase();
+        }
+
+        let network = await findCommandNetwork(con, parts[0] || '');
+        if (!network) {
+            return;
+        }
+
+        if (action === 'GENERATE') {
+            let generated = await ClientCert.generateClientCert(network.nick || network.name);
+            network.tls_client_cert = generated.cert;
+            network.tls_client_key = generated.key;
+            await network.save();
+            con.audit('clientcert.generate', network.name);
+            con.writeStatus(`New client certificate generated for ${network.name}`);
+        } else if (action === 'DELETE') {
+            network.tls_client_cert = '';
+            network.tls_client_key = '';
+            await network.save();
+            con.audit('clientcert.delete', network.name);
+            con.writeStatus(`Client certificate deleted for ${network.name}. Reconnect to stop using it`);
+            return;
+        }
+
+        let fingerprints = network.tls_client_cert ?
+            ClientCert.certFingerprints(network.tls_client_cert) :
+            null;
+        if (!fingerprints) {
+            con.writeStatus(`${network.name} has no client certificate. Create one with: clientcert ${network.name} generate`);
+            return;
+        }
+
+        con.writeStatus(`SHA-512 fingerprint: ${fingerprints.sha512}`);
+        con.writeStatus(`SHA-256 fingerprint: ${fingerprints.sha256}`);
+        con.writeStatus(`SHA-1 fingerprint: ${fingerprints.sha1}`);
+        con.writeStatus('Add the fingerprint your network uses to your account, eg. /msg NickServ CERT ADD <fingerprint>, then reconnect. The certificate is only sent over TLS connections');
+    },
+};
+
 commands.SETPASS = {
     description: 'Change the password for your BNC account. Usage: "setpass <newpass>"',
     fn: async function(input, con, msg) {
@@ -472,6 +681,7 @@ commands.SETPASS = {
 
         try {
             await con.userDb.changeUserPassword(con.state.authUserId, newPass);
+            con.audit('user.setpass', con.state.tempGet('auth_username'));
             con.writeStatus('New password set');
         } catch (err) {
             l.error('Error setting new password:', err.message);
@@ -489,6 +699,7 @@ commands.ADDTOKEN = {
 
         try {
             let token = await con.userDb.generateUserToken(con.state.authUserId, duration, comment, con.state.host);
+            con.audit('token.add', maskToken(token), comment);
             con.writeStatusWithTags(
                 'Created new token for your account. You can use it in place of your password: ' + token,
                 { '+auth_token': token }
@@ -517,6 +728,7 @@ commands.CHANGETOKEN = {
         try {
             const res = await con.userDb.updateUserToken(con.state.authUserId, token, duration, comment);
             if (res === 1) {
+                con.audit('token.change', maskToken(token), comment);
                 con.writeStatus('Token changed!');
             } else {
                 con.writeStatus('Failed to change token :(');
@@ -562,6 +774,7 @@ commands.DELTOKEN = {
 
         try {
             await con.userDb.removeUserToken(con.state.authUserId, token);
+            con.audit('token.delete', maskToken(token));
             con.writeStatus('Token deleted');
         } catch (err) {
             l.error('Error deleting user token:', err.message);
@@ -570,6 +783,75 @@ commands.DELTOKEN = {
     },
 };
 
+commands.ADDCERT = {
+    description: 'Let a TLS client certificate log into your BNC account with SASL EXTERNAL. Without a fingerprint, the certificate this client connected with is added. Usage: "addcert [sha256 fingerprint]"',
+    fn: async function(input, con, msg) {
+        let fingerprint = (input.split(' ')[0] || con.state.tempGet('tls_certfp') || '')
+            .replace(/:/g, '')
+            .toLowerCase();
+        if (!fingerprint.match(/^[0-9a-f]{64}$/)) {
+            con.writeStatus('Usage: addcert [sha256 fingerprint]. Connect with your client certificate to add it without the fingerprint');
+            return false;
+        }
+
+        try {
+            await con.userDb.addUserCertFingerprint(con.state.authUserId, fingerprint);
+            con.audit('cert.add', fingerprint);
+            con.writeStatus(`Certificate ${fingerprint} added`);
+        } catch (err) {
+            if (err.code === 'certfp_exists') {
+                con.writeStatus('That certificate is already in use');
+            } else {
+                l.error('Error adding user certificate:', err.message);
+                con.writeStatus('There was an error adding the certificate to your account');
+            }
+        }
+    },
+};
+
+commands.LISTCERTS = {
+    description: 'List the TLS client certificates that can log into your BNC account',
+    fn: async function(input, con, msg) {
+        try {
+            let certfps = await con.userDb.getUserCertFingerprints(con.state.authUserId);
+            certfps.forEach(c => {
+                let str = c.fingerprint;
+                str += ' Added: ' + new Date(c.created_at * 1000).toLocaleString('en-GB', { timeZone: 'UTC', hour12: false }) + '.';
+                if (c.fingerprint === con.state.tempGet('tls_certfp')) {
+                    str += ' (this client)';
+                }
+                con.writeStatus(str);
+            });
+            con.writeStatus('No more certificates.');
+        } catch (err) {
+            l.error('Error reading user certificates:', err.message);
+            con.writeStatus('There was an error reading the certificates for your account');
+        }
+    },
+};
+
+commands.DELCERT = {
+    description: 'Stop a TLS client certificate logging into your BNC account. Usage: "delcert <sha256 fingerprint>"',
+    fn: async function(input, con, msg) {
+        let fingerprint = (input.split(' ')[0] || '').replace(/:/g, '').toLowerCase();
+        if (!fingerprint) {
+            con.writeStatus('Usage: delcert <sha256 fingerprint>');
+            return false;
+        }
+
+        try {
+            let deleted = await con.userDb.removeUserCertFingerprint(con.state.authUserId, fingerprint);
+            if (deleted) {
+                con.audit('cert.delete', fingerprint);
+            }
+            con.writeStatus(deleted ? 'Certificate deleted' : 'Certificate not found');
+        } catch (err) {
+            l.error('Error deleting user certificate:', err.message);
+            con.writeStatus('There was an error deleting the certificate from your account');
+        }
+    },
+};
+
 commands.ADDUSER = {
     requiresAdmin: true,
     description: 'Add a BNC user account. Usage: "adduser <username> <password>"',
@@ -590,6 +872,7 @@ commands.ADDUSER = {
 
         try {
             await con.userDb.addUser(username, password);
+            con.audit('admin.adduser', username);
             con.writeStatus(`Added new user, ${username}`);
         } catch (err) {
             l.error('Error adding new user:', err.message);
@@ -598,6 +881,87 @@ commands.ADDUSER = {
     },
 };
 
+commands.ASSIGNVHOST = {
+    requiresAdmin: true,
+    description: 'Give a user an IPv6 address from the vhost pools to connect to networks from. Without an address a free one is picked. Usage: "assignvhost <username> [address]"',
+    fn: async function(input, con, msg) {
+        let parts = input.split(' ').filter(part => !!part);
+        let username = parts[0] || '';
+        if (!username) {
+            con.writeStatus('Usage: assignvhost <username> [address]');
+            return false;
+        }
+
+        let user = await con.userDb.getUser(username);
+        if (!user) {
+            con.writeStatus(`User ${username} could not be found`);
+            return;
+        }
+
+        try {
+            let address = await con.userDb.assignUserVhost(user.id, parts[1] || '');
+            con.audit('admin.assignvhost', user.username, address);
+            con.writeStatus(`${user.username} now connects from ${address}. Networks use it when they next connect`);
+        } catch (err) {
+            if (err instanceof BncError) {
+                con.writeStatus(err.message);
+            } else {
+                l.error('Error assigning vhost:', err.message);
+                con.writeStatus('There was an error assigning the vhost');
+            }
+        }
+    },
+};
+
+commands.RELEASEVHOST = {
+    requiresAdmin: true,
+    description: 'Release the vhost pool address given to a user. Usage: "releasevhost <username>"',
+    fn: async function(input, con, msg) {
+        let username = input.split(' ')[0] || '';
+        if (!username) {
+            con.writeStatus('Usage: releasevhost <username>');
+            return false;
+        }
+
+        let user = await con.userDb.getUser(username);
+        if (!user) {
+            con.writeStatus(`User ${username} could not be found`);
+            return;
+        }
+
+        let released = await con.userDb.releaseUserVhost(user.id);
+        if (released) {
+            con.audit('admin.releasevhost', user.username);
+        }
+        con.writeStatus(released ?
+            `Released the vhost for ${user.username}` :
+            `${user.username} does not have a vhost`);
+    },
+};
+
+commands.LISTVHOSTS = {
+    requiresAdmin: true,
+    description: 'List the vhost pool prefixes and the addresses given to users',
+    fn: async function(input, con, msg) {
+        let prefixes = Vhosts.configPrefixes();
+        if (prefixes.length === 0) {
+            con.writeStatus('No vhost prefixes are configured');
+        } else {
+            con.writeStatus('Prefixes: ' + prefixes.map(p => p.prefix).join(', '));
+        }
+
+        let vhosts = await con.userDb.getVhosts();
+        vhosts.forEach(v => {
+            let str = `${v.username}: ${v.address}`;
+            if (prefixes.length > 0 && !Vhosts.findPrefix(prefixes, v.address)) {
+                str += ' (no longer in a prefix)';
+            }
+            con.writeStatus(str);
+        });
+        con.writeStatus(`${vhosts.length} vhost(s) assigned`);
+    },
+};
+
 commands.STATUS = {
     description: 'Show the connection status for the active network',
     fn: async function(input, con, msg) {
@@ -617,15 +981,276 @@ commands.STATUS = {
     },
 };
 
+commands.SEARCH = {
+    requiresNetworkAuth: true,
+    description: 'Search the message history of a buffer, or * for all buffers. Usage: "search <buffer> [nick=somenick] [after=2d] [before=2024-01-31] [limit=20] <text>"',
+    fn: async function(input, con, msg) {
+        let parts = input.split(' ').filter(part => !!part);
+        let buffer = parts.shift() || '';
+        let opts = { buffer: buffer === '*' ? '' : buffer };
+        let limit = 20;
+        let words = [];
+
+        for (let part of parts) {
+            let match = part.match(/^(nick|after|before|limit)=(.+)$/i);
+            if (!match) {
+                words.push(part);
+                continue;
+            }
+
+            let key = match[1].toLowerCase();
+            if (key === 'nick') {
+                opts.nick = match[2];
+            } else if (key === 'limit') {
+                limit = Math.min(parseInt(match[2], 10) || limit, 100);
+            } else {
+                opts[key] = parseSearchTime(match[2]);
+                if (!opts[key]) {
+                    con.writeStatus(`Invalid time for ${key}. Use a date such as 2024-01-31 or a duration such as 2d`);
+                    return;
+                }
+            }
+        }
+
+        if (!buffer || words.length === 0) {
+            con.writeStatus('Usage: search <buffer> [nick=somenick] [after=2d] [before=2024-01-31] [limit=20] <text>');
+            return;
+        }
+
+        let results = await con.messages.searchMessages(
+            con.state.authUserId,
+            con.state.authNetworkId,
+            words.join(' '),
+            opts,
+            limit,
+        );
+
+        con.writeStatus(`${results.length} result(s)`);
+        results.reverse().forEach(({ buffer: resultBuffer, message }) => {
+            let time = (message.tags.time || '').replace('T', ' ').substr(0, 19);
+            let nick = message.prefix.split('!')[0];
+            let text = message.params[message.params.length - 1];
+            con.writeStatus(`[${time}] ${resultBuffer} <${nick}> ${text}`);
+        });
+    },
+};
+
+commands.RETENTION = {
+    description: 'Set how long messages are logged for. Use "nolog" to stop logging and remove existing messages, or "default" to remove a setting. Usage: "retention [<days>|forever|nolog|default] [network=<network_name>|*] [buffer=<buffer>|channels|pms|*]"',
+    fn: async function(input, con, msg) {
+        let retention = con.messages.retention;
+        if (!retention) {
+            con.writeStatus('Message retention settings are not available');
+            return;
+        }
+
+        let parts = input.split(' ').filter(part => !!part);
+        let userId = con.state.authUserId;
+        let networks = await con.userDb.getUserNetworks(userId);
+
+        if (parts.length === 0) {
+            let rules = await retention.listRules(userId);
+            rules.forEach(rule => {
+                let network = networks.find(n => n.id === rule.network_id);
+                let networkName = network ? network.name : 'All networks';
+                con.writeStatus(`${networkName}, ${describeRetentionBuffer(rule.buffer)}: ${describeRetentionDays(rule.days)}`);
+            });
+            con.writeStatus(rules.length > 0 ? 'No more retention settings.' : 'No retention settings. Messages are kept for the server default');
+            return;
+        }
+
+        let days = parts.shift().toLowerCase();
+        // Default to the active network
+        let networkId = con.state.authNetworkId || 0;
+        let buffer = '*';
+
+        for (let part of parts) {
+            let match = part.match(/^(network|buffer)=(.+)$/i);
+            if (!match) {
+                con.writeStatus(`Unknown option: ${part}`);
+                return;
+            }
+
+            if (match[1].toLowerCase() === 'buffer') {
+                let groups = { channels: '*channels', pms: '*pms' };
+                buffer = groups[match[2].toLowerCase()] || match[2];
+            } else if (match[2] === '*') {
+                networkId = 0;
+            } else {
+                let network = networks.find(n => n.name.toLowerCase() === match[2].toLowerCase());
+                if (!network) {
+                    con.writeStatus(`Network ${match[2]} could not be found`);
+                    return;
+                }
+                networkId = network.id;
+            }
+        }
+
+        if (networkId === 0 && buffer[0] !== '*') {
+            con.writeStatus('A network must be given when setting a buffer\'s retention');
+            return;
+        }
+
+        let scopeNetwork = networks.find(n => n.id === networkId);
+        let scope = `${scopeNetwork ? scopeNetwork.name : 'all networks'}, ${describeRetentionBuffer(buffer)}`;
+
+        if (days === 'default') {
+            let removed = await retention.removeRule(userId, networkId, buffer);
+            con.writeStatus(removed ? `Retention setting removed for ${scope}` : `No retention setting for ${scope}`);
+            return;
+        }
+
+        let numDays = -2;
+        if (days === 'forever') {
+            numDays = 0;
+        } else if (days === 'nolog') {
+            numDays = -1;
+        } else if (/^\d+$/.test(days)) {
+            numDays = parseInt(days, 10);
+        }
+
+        if (numDays < -1) {
+            con.writeStatus('Usage: retention [<days>|forever|nolog|default] [network=<network_name>|*] [buffer=<buffer>|channels|pms|*]');
+            return;
+        }
+
+        try {
+            await retention.setRule(userId, networkId, buffer, numDays);
+            con.writeStatus(`Retention for ${scope} set to: ${describeRetentionDays(numDays)}`);
+        } catch (err) {
+            l.error('Error setting message retention:', err.message);
+            con.writeStatus('There was an error saving the retention setting');
+        }
+    },
+};
+
+commands.AUDIT = {
+    requiresAdmin: true,
+    description: 'Show the audit log of logins, account changes and admin actions. The most recent entries are shown, oldest first. An action ending with . matches all of them, eg. action=auth. Usage: "audit [user=username] [action=auth.failure] [target=name] [ip=address] [after=2d] [limit=20]"',
+    fn: async function(input, con, msg) {
+        let filter = { limit: 20 };
+        for (let part of input.split(' ').filter(part => !!part)) {
+            let match = part.match(/^(user|action|target|ip|after|limit)=(.+)$/i);
+            if (!match) {
+                con.writeStatus('Usage: audit [user=username] [action=auth.failure] [target=name] [ip=address] [after=2d] [limit=20]');
+                return;
+            }
+
+            let key = match[1].toLowerCase();
+            if (key === 'user') {
+                filter.actor = match[2];
+            } else if (key === 'limit') {
+                filter.limit = Math.min(parseInt(match[2], 10) || filter.limit, 200);
+            } else if (key === 'after') {
+                let time = parseSearchTime(match[2]);
+                if (!time) {
+                    con.writeStatus('Invalid time for after. Use a date such as 2024-01-31 or a duration such as 2d');
+                    return;
+                }
+                filter.since = Math.floor(time / 1000);
+            } else {
+                filter[key] = match[2];
+            }
+        }
+
+        // The most recent entries come newest first. Show them in the order they happened so that
+        // the newest ends up last, as with messages
+        let entries = await con.userDb.getAuditEntries(filter);
+        entries.reverse().forEach(e => {
+            let time = new Date(e.created_at * 1000).toISOString().replace('T', ' ').substr(0, 19);
+            let line = `[${time}] ${e.actor || '-'} ${e.action}`;
+            if (e.target) {
+                line += ' ' + e.target;
+            }
+            if (e.source_ip) {
+                line += ` from ${e.source_ip}`;
+            }
+            if (e.details) {
+                line += ` (${e.details})`;
+            }
+            con.writeStatus(line);
+        });
+        con.writeStatus(`${entries.length} audit log entries`);
+    },
+};
+
+commands.LISTBANS = {
+    requiresAdmin: true,
+    description: 'List the IP addresses and usernames locked out after too many failed logins',
+    fn: async function(input, con, msg) {
+        let bans = LoginLimiter.instance().bans();
+        bans.forEach(ban => {
+            let mins = Math.ceil((ban.until - Date.now()) / 1000 / 60);
+            let type = ban.type === 'ip' ? 'IP' : 'User';
+            con.writeStatus(`${type} ${ban.name}: locked out for ${mins} more minute(s). Locked out ${ban.lockouts} time(s)`);
+        });
+        con.writeStatus(`${bans.length} lockout(s)`);
+    },
+};
+
+commands.DELBAN = {
+    requiresAdmin: true,
+    description: 'Clear the failed logins and lockout for an IP address or username, or * for all of them. Usage: "delban <ip or username or *>"',
+    fn: async function(input, con, msg) {
+        let name = input.split(' ')[0] || '';
+        if (!name) {
+            con.writeStatus('Usage: delban <ip or username or *>');
+            return false;
+        }
+
+        let cleared = LoginLimiter.instance().clear(name);
+        if (cleared) {
+            con.audit('admin.delban', name);
+        }
+        con.writeStatus(cleared ? `Cleared ${name}` : `${name} has no failed logins`);
+    },
+};
+
 commands.KILL = {
     requiresAdmin: true,
     description: 'Kill the BNC worker process and automatically restart it, applying any new configuration. Does not close any IRC connections',
     fn: async function(input, con, msg) {
+        await con.audit('admin.kill', '');
         con.queue.stopListening().then(process.exit);
         return false;
     },
 };
 
+commands.RELOADCONFIG = {
+    requiresAdmin: true,
+    description: 'Reload the config file and apply any changes that do not need a restart',
+    fn: async function(input, con, msg) {
+        let { event } = await hooks.emit('reload_config', {});
+        let result = event.result;
+        if (result && !result.error) {
+            con.audit('admin.reloadconfig', '', [...result.applied, ...result.restart].join(', '));
+        }
+        if (!result) {
+            con.writeStatus('The config cannot be reloaded');
+            return false;
+        }
+
+        if (result.error) {
+            con.writeStatus('Error reloading the config: ' + result.error);
+            return false;
+        }
+
+        if (result.applied.length === 0 && result.restart.length === 0) {
+            con.writeStatus('Config reloaded. No changes');
+            return false;
+        }
+
+        if (result.applied.length > 0) {
+            con.writeStatus('Applied: ' + result.applied.join(', '));
+        }
+        if (result.restart.length > 0) {
+            con.writeStatus('Needs a restart to apply (*bnc KILL): ' + result.restart.join(', '));
+        }
+
+        return false;
+    },
+};
+
 commands.RELOAD = {
     requiresAdmin: true,
     fn: async function(input, con, msg) {
@@ -633,3 +1258,59 @@ commands.RELOAD = {
         return false;
     },
 };
+
+// Parse a date (eg. 2024-01-31) or a duration into the past (eg. 2d for 2 days ago) into a time
+function parseSearchTime(str) {
+    // Dates would otherwise be read as durations by parse-duration
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) {
+        let ts = new Date(str).getTime();
+        return isNaN(ts) ? 0 : ts;
+    }
+
+    let duration = ParseDuration(str);
+    return duration ? Date.now() - duration : 0;
+}
+
+// The network named in a command, or the active network when no name is given
+async function findCommandNetwork(con, networkName) {
+    let network = null;
+    if (networkName) {
+        network = await con.userDb.getNetworkByName(con.state.authUserId, networkName);
+        if (!network) {
+            con.writeStatus(`Network ${networkName} could not be found`);
+        }
+    } else {
+        network = con.state.authNetworkId ?
+            await con.userDb.getUserNetwork(con.state.authUserId, con.state.authNetworkId) :
+            null;
+        if (!network) {
+            con.writeStatus('Not logged into a network');
+        }
+    }
+
+    return network;
+}
+
+// Enough of a token to tell it apart in the audit log without recording the token itself
+function maskToken(token) {
+    return token.substr(0, 10) + '...';
+}
+
+function formatServer(server) {
+    return server.host + ':' + (server.tls ? '+' : '') + server.port;
+}
+
+function describeRetentionBuffer(buffer) {
+    let groups = { '*': 'all buffers', '*channels': 'channels', '*pms': 'private messages' };
+    return groups[buffer] || buffer;
+}
+
+function describeRetentionDays(days) {
+    if (days === 0) {
+        return 'kept forever';
+    }
+    if (days === -1) {
+        return 'not logged';
+    }
+    return `${days} day(s)`;
+}
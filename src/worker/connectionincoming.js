@@ -4,7 +4,7 @@ const { ConnectionState } = require('./connectionstate');
 const ConnectionOutgoing = require('./connectionoutgoing');
 const hooks = require('./hooks');
 const strftime = require('strftime');
-const { isoTime } = require('../libs/helpers');
+const { isoTime, capList } = require('../libs/helpers');
 
 const yieldToLoop = () => new Promise(r => setImmediate(r));
 
@@ -41,28 +41,55 @@ class ConnectionIncoming {
         return this.state.conId;
     }
 
+    // Logs with this connection and the user it is logged in as
+    get log() {
+        if (!this._log) {
+            this._log = l.child({
+                module: 'connectionincoming',
+                conid: () => this.id,
+                userId: () => this.state.authUserId,
+                networkId: () => this.state.authNetworkId,
+                username: () => this.state.tempGet('auth_username'),
+            });
+        }
+
+        return this._log;
+    }
+
+    // Record an action by the user logged in on this connection in the audit log
+    audit(action, target, details) {
+        return this.userDb.addAuditEntry({
+            actorUserId: this.state.authUserId,
+            actor: this.state.tempGet('auth_username'),
+            action,
+            target,
+            details,
+            ip: this.state.host,
+        });
+    }
+
     get upstream() {
         // Not logged in = no upstream connection possible
         if (!this.state.authUserId) {
-            l.trace('upstream() no authUserId');
+            this.log.trace('upstream() no authUserId');
             return null;
         }
 
         // Not authed into a network = user mode only
         if (!this.state.authNetworkId) {
-            l.trace('upstream() no authNetworkId');
+            this.log.trace('upstream() no authNetworkId');
             return null;
         }
 
         if (this.cachedUpstreamId) {
             let con = this.conDict.get(this.cachedUpstreamId);
             if (con) {
-                l.trace('upstream() Found cached upstream');
+                this.log.trace('upstream() Found cached upstream');
                 return con;
             }
 
             // this.conDict may no longer contain cachedUpstreamId if that con was disconnected
-            l.trace('upstream() Clearing cached upstream');
+            this.log.trace('upstream() Clearing cached upstream');
             this.cachedUpstreamId = false;
         }
 
@@ -70,11 +97,11 @@ class ConnectionIncoming {
 
         // If we found an upstream, add this incoming connection to it
         if (upstream) {
-            l.trace('upstream() Found upstream, caching');
+            this.log.trace('upstream() Found upstream, caching');
             this.cachedUpstreamId = upstream.id;
             upstream.state.linkIncomingConnection(this.id);
         } else {
-            l.trace('upstream() Upstream not found');
+            this.log.trace('upstream() Upstream not found');
         }
 
         return upstream;
@@ -166,7 +193,7 @@ class ConnectionIncoming {
 
             // Shouldn't happen but cover the case where an extension sets an empty message
             if (!hook.event.message) {
-                l.error('Extension removed the message object before write');
+                this.log.error('Extension removed the message object before write');
                 return;
             }
 
@@ -185,7 +212,7 @@ class ConnectionIncoming {
             try {
                 toWrite = hook.event.raw || hook.event.message.to1459() + '\r\n';
             } catch (err) {
-                l.error('Error building IRC message for write', err.stack);
+                this.log.error('Error building IRC message for write', err.stack);
                 return;
             }
 
@@ -281,7 +308,7 @@ class ConnectionIncoming {
         try {
             toWrite = msgObj.to1459() + '\r\n';
         } catch (err) {
-            l.error('Error building IRC message for fast write', err.stack);
+            this.log.error('Error building IRC message for fast write', err.stack);
             return;
         }
 
@@ -309,7 +336,8 @@ class ConnectionIncoming {
 
     async syncAvailableCaps() {
         let availableCaps = new Set();
-        await hooks.emit('available_caps', {client: this, caps: availableCaps});
+        let capValues = Object.create(null);
+        await hooks.emit('available_caps', {client: this, caps: availableCaps, capValues});
         let availableList = Array.from(availableCaps);
         let previouslyOffered = this.state.tempGet('caps_offered') || [];
         let previouslyOfferedSet = new Set(previouslyOffered);
@@ -334,7 +362,8 @@ class ConnectionIncoming {
 
         if (this.supportsCapNotify()) {
             if (addedCaps.length > 0) {
-                this.writeMsgFrom(serverPrefix, 'CAP', this.state.nick, 'NEW', addedCaps.join(' '));
+                let capVer = this.state.tempGet('capver');
+                this.writeMsgFrom(serverPrefix, 'CAP', this.state.nick, 'NEW', capList(addedCaps, capValues, capVer).join(' '));
             }
             if (removedCaps.length > 0) {
                 this.writeMsgFrom(serverPrefix, 'CAP', this.state.nick, 'DEL', removedCaps.join(' '));
@@ -450,12 +479,6 @@ class ConnectionIncoming {
             this.flushBuffer();  // Ensure NAMES data is sent before registration continues
         }
 
-        // If we previously set them away, now bring them back
-        if (await upstream.state.tempGet('set_away')) {
-            upstream.writeLine('AWAY');
-            await upstream.state.tempSet('set_away', null);
-        }
-
         await this.syncAvailableCaps();
 
         this.state.markDirty();
@@ -628,7 +651,7 @@ class ConnectionIncoming {
             }
             this.upstream.write(raw + '\n');
         } else {
-            l.debug('No connected upstream, not forwarding client data');
+            this.log.debug('No connected upstream, not forwarding client data');
         }
     }
 
@@ -669,17 +692,8 @@ class ConnectionIncoming {
     }
 
     async onClientClosed() {
-        let upstream = this.upstream;
-        if (upstream && upstream.state.netRegistered) {
-            // If there are no other clients connected, mark this user as away
-            let otherClients = [];
-            upstream.forEachClient(c => otherClients.push(c), this);
-            if (otherClients.length === 0) {
-                upstream.writeLine('AWAY', 'away');
-                await upstream.state.tempSet('set_away', true);
-            }
-        }
-
+        await ClientCommands.clientClosed(this);
+        // The network may be marked as away if this was its last client. See hooks.js
         await hooks.emit('client_disconnected', {client: this});
         this.destroy();
     }
@@ -2,6 +2,7 @@ const { v4: uuidv4 } = require('uuid');
 const Irc = require('irc-framework');
 const hooks = require('./hooks');
 const Helpers = require('../libs/helpers');
+const ConnectScheduler = require('../libs/connectscheduler');
 const { ConnectionState, IrcBuffer } = require('./connectionstate');
 
 const yieldToLoop = () => new Promise(r => setImmediate(r));
@@ -31,6 +32,9 @@ function hotReloadUpstreamCommands() {
 
 hotReloadUpstreamCommands();
 
+// Limits connection attempts to each IRC server across all users
+const connectScheduler = new ConnectScheduler();
+
 function rand(min, max) {
     return Math.floor(Math.random() * (max - min) + min);
 }
@@ -58,12 +62,30 @@ class ConnectionOutgoing {
         return this.state.conId;
     }
 
+    // Logs with this connection and the users network it belongs to
+    get log() {
+        if (!this._log) {
+            this._log = l.child({
+                module: 'connectionoutgoing',
+                conid: () => this.id,
+                userId: () => this.state.authUserId,
+                networkId: () => this.state.authNetworkId,
+                network: () => this.state.authNetworkName,
+            });
+        }
+
+        return this._log;
+    }
+
     destroy() {
+        connectScheduler.release(this.id);
         this.conDict.delete(this.id);
         this.state.destroy();
     }
 
     close() {
+        // Don't connect later if we're still waiting for our turn
+        connectScheduler.release(this.id);
         this.state.tempSet('requested_close', true);
         this.queue.sendToSockets('connection.close', {
             id: this.id,
@@ -74,7 +96,7 @@ class ConnectionOutgoing {
         await this.state.loadConnectionInfo();
 
         const sendForbidden = () => {
-            l.info('Attempted connection to forbidden network, ' + this.state.host);
+            this.log.info('Attempted connection to forbidden network, ' + this.state.host);
             this.forEachClient((client) => {
                 if (client.state.netRegistered) {
                     client.writeStatus('This network is forbidden');
@@ -108,6 +130,10 @@ class ConnectionOutgoing {
             family: undefined,
             // servername - force a specific TLS servername
             servername: undefined,
+            clientCert: this.state.tlsClientCert || undefined,
+            clientKey: this.state.tlsClientKey || undefined,
+            // The proxy connects us to host:port, which is what the black/whitelists apply to
+            proxy: this.state.proxy || undefined,
             connectTimeout: 5000,
         };
 
@@ -118,11 +144,27 @@ class ConnectionOutgoing {
             return;
         }
 
-        if (connection.host && connection.port) {
+        if (!connection.host || !connection.port) {
+            return;
+        }
+
+        if (connectScheduler.isQueued(connection.host)) {
+            this.forEachClient((client) => {
+                client.writeStatus('Waiting for other connections to this network to complete..');
+            });
+        }
+
+        let canConnect = await connectScheduler.acquire(this.id, connection.host);
+        if (canConnect) {
             this.queue.sendToSockets('connection.open', connection);
         }
     }
 
+    // The sockets layer has finished connecting, successfully or not
+    connectAttemptFinished() {
+        connectScheduler.release(this.id);
+    }
+
     throttle(interval) {
         this.queue.sendToSockets('connection.throttle', {id: this.id, interval});
     }
@@ -155,7 +197,7 @@ class ConnectionOutgoing {
             } catch (err) {
                 // This should only ever happen if an extension has incorrectly modified the
                 // message in some way
-                l.error('Error constructing line for upstream.', err.stack, '\n', msgObj);
+                this.log.error('Error constructing line for upstream.', err.stack, '\n', msgObj);
                 return;
             }
 
@@ -247,6 +289,8 @@ class ConnectionOutgoing {
     }
 
     async onUpstreamConnected() {
+        this.connectAttemptFinished();
+
         // Reset some state. They will be re-populated when upstream sends its registration burst again
         this.state.connected = true;
         this.state.netRegistered = false;
@@ -258,6 +302,14 @@ class ConnectionOutgoing {
         await this.state.tempSet('reconnecting', null);
         await this.state.tempSet('irc_error', null);
 
+        // Remember the nick we want in case we have to use another one while registering
+        await this.state.tempSet({
+            desired_nick: this.state.nick,
+            nick_attempt: null,
+            nick_monitor: null,
+            nick_regain_sent: null,
+        });
+
         hooks.emit('connection_open', {upstream: this});
 
         this.writeLine('CAP LS 302');
@@ -276,14 +328,21 @@ class ConnectionOutgoing {
     }
 
     async onUpstreamClosed(err) {
+        this.connectAttemptFinished();
+
+        // A failed connection or an ERROR from the server moves on to the next server
+        let serverFailed = !this.state.tempGet('requested_close') &&
+            (!this.state.netRegistered || !!this.state.tempGet('irc_error'));
+        let untriedServers = serverFailed && await this.nextServer();
+
         // If we were trying to reconnect, continue with that instead
         if (this.state.tempGet('reconnecting')) {
             this.reconnect();
             return;
         }
 
-        let shouldReconnect = this.state.connected &&
-            this.state.netRegistered;
+        let shouldReconnect = (this.state.connected && this.state.netRegistered) ||
+            untriedServers;
 
         if (this.state.tempGet('requested_close')) {
             shouldReconnect = false;
@@ -341,7 +400,7 @@ class ConnectionOutgoing {
         await this.state.tempSet('reconnecting', numAttempts);
 
         let reconnectTimeout = (Math.min(numAttempts ** 2, 60) * 1000) + rand(300, 5000);
-        l('Reconnection attempt ' + numAttempts + ' in ' + reconnectTimeout + 'ms');
+        this.log('Reconnection attempt ' + numAttempts + ' in ' + reconnectTimeout + 'ms');
 
         setTimeout(() => {
             // The user may have forced a reconnect since
@@ -353,6 +412,17 @@ class ConnectionOutgoing {
         }, reconnectTimeout);
     }
 
+    // Switch to the next of the networks servers for the next connection. Returns false once
+    // every server has failed since the last successful connection
+    async nextServer() {
+        let numServers = this.state.numServers || 1;
+        let index = ((this.state.tempGet('server_index') || 0) + 1) % numServers;
+        let attempts = (this.state.tempGet('server_attempts') || 0) + 1;
+        await this.state.tempSet({ server_index: index, server_attempts: attempts });
+
+        return attempts < numServers;
+    }
+
     async makeUserAndRealNames() {
         let username = config.get('users.username', '{{username}}');
         let realname = config.get('users.realname', '{{realname}}');
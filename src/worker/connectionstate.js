@@ -162,6 +162,17 @@ class ConnectionState {
         this.tls = false;
         this.tlsverify = true;
         this.bindHost = '';
+        // tlsClientCert/tlsClientKey - outgoingcon = PEM client certificate to present. Not saved
+        this.tlsClientCert = '';
+        this.tlsClientKey = '';
+        // proxy - outgoingcon = socks5:// or http:// proxy to connect through. Not saved
+        this.proxy = '';
+        // altNicks, nickSuffix, nickservRegain - outgoingcon = how to handle our nick being in use. Not saved
+        this.altNicks = [];
+        this.nickSuffix = '';
+        this.nickservRegain = '';
+        // numServers - outgoingcon = the networks own server plus any fallback servers
+        this.numServers = 1;
         this.type = 0; // 0 = outgoing, 1 = incoming, 2 = server
         this.connected = false;
         this.sasl = {
@@ -256,23 +267,43 @@ class ConnectionState {
         let net = await this.db.users.getNetwork(this.authNetworkId);
         let bindHost = '';
 
-        // If a network doesn't have a bindHost, check if it's user has a global one instead
+        // If a network doesn't have a bindHost, check if it's user has a global one instead,
+        // then their address from the vhost pools
         if (net && net.bind_host) {
             bindHost = net.bind_host;
         } else if (net && !net.bind_host) {
             let user = await this.db.factories.User.query().where('id', this.authUserId).first();
             if (user && user.bind_host) {
                 bindHost = user.bind_host;
+            } else if (user) {
+                bindHost = await this.db.users.getUserBindVhost(user.id);
             }
         }
 
         if (net) {
+            // Failed connections rotate through the networks own server then its fallback servers
+            let servers = [
+                { host: net.host, port: net.port, tls: net.tls },
+                ...await this.db.users.getNetworkServers(net.id),
+            ];
+            let server = servers[(this.tempGet('server_index') || 0) % servers.length];
+
             this.bindHost = bindHost || '';
-            this.host = net.host;
-            this.port = net.port;
-            this.tls = !!net.tls;
+            this.host = server.host;
+            this.port = server.port;
+            this.tls = !!server.tls;
+            this.numServers = servers.length;
             this.tlsverify = !!net.tlsverify;
-            this.sasl = { account: net.sasl_account || '', password: net.sasl_pass || '' };
+            this.tlsClientCert = net.tls_client_cert || '';
+            this.tlsClientKey = this.tlsClientCert ? net.tls_client_key : '';
+            this.proxy = net.proxy === 'none' ?
+                '' :
+                net.proxy || config.get('connections.proxy', '');
+            this.sasl = {
+                account: net.sasl_account || '',
+                password: net.sasl_pass || '',
+                external: !!(this.tlsClientCert && this.tlsClientKey),
+            };
             this.authNetworkName = net.name;
 
             // Add any channels that we don't already have
@@ -289,6 +320,10 @@ class ConnectionState {
                 this.nick = net.nick;
             }
 
+            this.altNicks = (net.alt_nicks || '').split(',').map(n => n.trim()).filter(Boolean);
+            this.nickSuffix = net.nick_suffix || '';
+            this.nickservRegain = net.nickserv_regain || '';
+
             this.username = net.username || net.nick || 'kiwibnc';
             this.realname = net.realname || net.nick || 'kiwibnc';
             this.password = net.password || '';
@@ -298,7 +333,13 @@ class ConnectionState {
             this.host = '';
             this.port = 0;
             this.tls = false;
+            this.tlsClientCert = '';
+            this.tlsClientKey = '';
+            this.proxy = '';
             this.sasl = { account: '', password: '' };
+            this.altNicks = [];
+            this.nickSuffix = '';
+            this.nickservRegain = '';
 
             // We don't update the current nick if we're connected already as that would then
             // take us out of sync with the current IRC state
@@ -17,6 +17,12 @@ commandHooks.addBuiltInHooks = function addBuiltInHooks() {
         event.caps.add('cap-notify');
     });
 
+    // Clients may log in to the BNC with SASL. The mechanisms are SASL_MECHANISMS in clientcommands.js
+    commandHooks.on('available_caps', event => {
+        event.caps.add('sasl');
+        event.capValues.sasl = 'PLAIN,EXTERNAL';
+    });
+
     // server-time support
     commandHooks.on('message_to_client', event => {
         let caps = event.client.state.caps;
@@ -253,6 +259,54 @@ commandHooks.addBuiltInHooks = function addBuiltInHooks() {
         };
     }
 
+    // Auto away. Mark the network as away when its last client detaches and back when one attaches
+    commandHooks.on('client_disconnected', async event => {
+        let client = event.client;
+        let upstream = client.upstream;
+        if (!upstream || !upstream.state.netRegistered) {
+            return;
+        }
+
+        let otherClients = [];
+        upstream.forEachClient(c => otherClients.push(c), client);
+        if (otherClients.length > 0) {
+            return;
+        }
+
+        let network = await client.userDb.getNetwork(upstream.state.authNetworkId);
+        if (!network || network.auto_away === false || network.auto_away === 0) {
+            return;
+        }
+
+        // Kept so that the network can be marked away again if it reconnects while detached
+        let message = network.away_message || 'away';
+        upstream.writeLine('AWAY', message);
+        await upstream.state.tempSet('set_away', message);
+
+        let awayNick = network.away_nick || '';
+        if (awayNick && awayNick.toLowerCase() !== upstream.state.nick.toLowerCase()) {
+            await upstream.state.tempSet('away_nick_from', upstream.state.nick);
+            upstream.writeLine('NICK', awayNick);
+        }
+    });
+    commandHooks.on('client_registered', async event => {
+        let upstream = event.client.upstream;
+        if (!upstream) {
+            return;
+        }
+
+        if (upstream.state.tempGet('set_away')) {
+            upstream.writeLine('AWAY');
+            await upstream.state.tempSet('set_away', null);
+        }
+
+        let nick = upstream.state.tempGet('away_nick_from');
+        if (nick) {
+            upstream.writeLine('NICK', nick);
+            await upstream.state.tempSet('away_nick_from', null);
+        }
+    });
+
     // Message highlights + notifications
     commandHooks.on('message_from_upstream', async event => {
         const client = event.client;
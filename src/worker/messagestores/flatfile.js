@@ -1,53 +1,189 @@
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const Helpers = require('../../libs/helpers');
 
 const IrcMessage = require('irc-framework').Message;
 
 const MSG_TYPE_PRIVMSG = 1;
 const MSG_TYPE_NOTICE = 2;
+const MSG_TYPE_JOIN = 3;
+const MSG_TYPE_PART = 4;
+const MSG_TYPE_QUIT = 5;
+const MSG_TYPE_KICK = 6;
+const MSG_TYPE_NICK = 7;
+const MSG_TYPE_TOPIC = 8;
+const MSG_TYPE_MODE = 9;
 
+const MSG_TYPES = {
+    PRIVMSG: MSG_TYPE_PRIVMSG,
+    NOTICE: MSG_TYPE_NOTICE,
+    JOIN: MSG_TYPE_JOIN,
+    PART: MSG_TYPE_PART,
+    QUIT: MSG_TYPE_QUIT,
+    KICK: MSG_TYPE_KICK,
+    NICK: MSG_TYPE_NICK,
+    TOPIC: MSG_TYPE_TOPIC,
+    MODE: MSG_TYPE_MODE,
+};
+
+// Each index entry: time (double), offset into the log file, line length and message type (uint32s)
+const INDEX_ENTRY_SIZE = 20;
+
+// Days of logs searched for a msgid, newest first
+const MSGID_SEARCH_DAYS = 31;
+
+/**
+ * Logs are written to <files>/<user id>/<network id>/<buffer>/<YYYY-MM-DD>.log with one JSON
+ * encoded message per line, the day being in UTC. Next to each log file is a .idx file holding
+ * the time, position and type of every line so that history can be read without parsing
+ * whole days of messages.
+ *
+ * Older versions wrote plain text to <files>/<user id>/<network name>/<buffer>.log. These are
+ * converted when the store starts, see migrateLegacyLogs().
+ */
 class FlatfileMessageStore {
-    constructor(conf) {
+    constructor(conf, db) {
         this.supportsWrite = true;
-        this.supportsRead = false;
-        this.logsDir = config.relativePath(conf.get('logging.files', ''));
+        this.supportsRead = true;
+        this.logsDir = conf.relativePath(conf.get('logging.files', ''));
+        // The users database, to find the network IDs of logs in the old layout
+        this.db = db || null;
+
+        let connectHistory = conf.get('logging.connect_history');
+        this.connectHistory = connectHistory !== undefined ?
+            parseInt(connectHistory, 10) :
+            50; // Messages to replay on client connect (0 = disabled)
     }
 
     async init() {
+        if (this.logsDir) {
+            await this.migrateLegacyLogs();
+        }
+    }
+
+    // Convert logs in the old <user id>/<network name>/<buffer>.log layout. Each is renamed to
+    // <buffer>.log.migrated once converted so that it is only converted once, and can be deleted
+    // after checking the history is there
+    async migrateLegacyLogs() {
+        let legacyFiles = listLegacyLogs(this.logsDir);
+        if (legacyFiles.length === 0) {
+            return;
+        }
+        if (!this.db) {
+            l.warn('Flat file logs in the old layout were found but need the users database to be converted');
+            return;
+        }
+
+        l.info(`Converting ${legacyFiles.length} flat file logs to the new layout. This may take a while`);
+        let userNetworks = new Map();
+        for (let file of legacyFiles) {
+            if (!userNetworks.has(file.userId)) {
+                userNetworks.set(file.userId, await this.db.dbUsers('user_networks').where('user_id', file.userId));
+            }
+            let network = userNetworks.get(file.userId).find(n => n.name.toLowerCase() === file.networkName);
+            if (!network) {
+                l.warn(`Not converting ${file.path}, user ${file.userId} has no network named ${file.networkName}`);
+                continue;
+            }
+
+            let lines = readline.createInterface({ input: fs.createReadStream(file.path), crlfDelay: Infinity });
+            for await (let line of lines) {
+                let stored = parseLegacyLine(line, file.buffer);
+                if (stored) {
+                    let type = MSG_TYPES[stored.command];
+                    let json = Buffer.from(JSON.stringify(stored) + '\n');
+                    this.appendLine(file.userId, network.id, file.buffer, stored.time, type, json);
+                }
+            }
+
+            fs.renameSync(file.path, file.path + '.migrated');
+        }
     }
 
-    async getMessagesFromMsgId(userId, networkId, buffer, fromMsgId, length) {
+    async getMessagesFromMsgId(userId, networkId, buffer, fromMsgId, length, opts) {
+        let time = await this.msgIdTime(userId, networkId, buffer, fromMsgId);
+        if (time === null) {
+            return [];
+        }
+
+        return this.readMessages(userId, networkId, buffer, time + 1, Infinity, length, false, opts);
     }
 
-    async getMessagesFromTime(userId, networkId, buffer, fromTime, length) {
+    async getMessagesFromTime(userId, networkId, buffer, fromTime, length, opts) {
+        return this.readMessages(userId, networkId, buffer, fromTime + 1, Infinity, length, false, opts);
     }
 
-    async getMessagesBeforeMsgId(userId, networkId, buffer, msgId, length) {
+    async getMessagesBeforeMsgId(userId, networkId, buffer, msgId, length, opts) {
+        let time = await this.msgIdTime(userId, networkId, buffer, msgId);
+        if (time === null) {
+            return [];
+        }
+
+        return this.readMessages(userId, networkId, buffer, -Infinity, time, length, true, opts);
     }
 
-    async getMessagesBeforeTime(userId, networkId, buffer, fromTime, length) {
+    async getMessagesBeforeTime(userId, networkId, buffer, fromTime, length, opts) {
+        return this.readMessages(userId, networkId, buffer, -Infinity, fromTime, length, true, opts);
+    }
+
+    async getMessagesBetween(userId, networkId, buffer, from, to, length, opts) {
+        // from is inclusive, to is excluding
+        let fromTime = await this.referenceTime(userId, networkId, buffer, from, -Infinity);
+        let toTime = await this.referenceTime(userId, networkId, buffer, to, Infinity);
+        if (fromTime === null || toTime === null) {
+            return [];
+        }
+
+        return this.readMessages(userId, networkId, buffer, fromTime, toTime - 1, length, true, opts);
+    }
+
+    async countMessagesSince(userId, networkId, buffer, fromTime) {
+        let dir = this.bufferDir(userId, networkId, buffer);
+        let count = 0;
+
+        this.listDays(dir, fromTime + 1, Infinity).forEach(day => {
+            readIndex(path.join(dir, day + '.idx')).forEach(entry => {
+                if (entry.time > fromTime && isMessageType(entry.type)) {
+                    count++;
+                }
+            });
+        });
+
+        return count;
     }
 
-    async getMessagesBetween(userId, networkId, buffer, from, to, length) {
+    async getNthLatestMessageTime(userId, networkId, buffer, n) {
+        // Same as the SQLite store, the time of the (n+1)th most recent message so that
+        // countMessagesSince() from this time gives n messages
+        let dir = this.bufferDir(userId, networkId, buffer);
+        let toSkip = Math.max(0, n);
+
+        for (let day of this.listDays(dir, -Infinity, Infinity).reverse()) {
+            let times = readIndex(path.join(dir, day + '.idx'))
+                .filter(entry => isMessageType(entry.type))
+                .map(entry => entry.time)
+                .sort((a, b) => b - a);
+
+            if (toSkip < times.length) {
+                return times[toSkip];
+            }
+            toSkip -= times.length;
+        }
+
+        return 0;
     }
 
-    async storeMessage(message, upstreamCon, clientCon) {
+    async storeMessage(message, upstreamCon, clientCon, opts = {}) {
         if (!this.logsDir) {
             return;
         }
 
-        let line = '';
-        let bufferName = Helpers.extractBufferName(upstreamCon, message, 0);
-        // Messages such as this we don't want to log
-        // :2.chimera.network.irc.com NOTICE * :*** Looking up your hostname...
-        if (bufferName === '*') {
+        let type = MSG_TYPES[message.command];
+        if (!type) {
             return;
         }
 
-        let prefix = clientCon ? clientCon.state.nick : message.nick;
-        let time = message.tags.time ? Helpers.isoTime(new Date(message.tags.time)) : Helpers.isoTime();
-
         // Ignore CTCP request/responses
         if (
             (message.command === 'PRIVMSG' || message.command === 'NOTICE') &&
@@ -55,41 +191,308 @@ class FlatfileMessageStore {
         ) {
             // We do want to log ACTIONs though
             if (!message.params[1].startsWith('\x01ACTION ')) {
-                l.error('Ignoring CTCP');
                 return;
             }
         }
 
-        if (message.command === 'PRIVMSG') {
-            line = `[${time}] <${prefix}> ${message.params[1]}`;
-        } else if (message.command === 'NOTICE') {
-            line = `[${time}] <${prefix}> ${message.params[1]}`;
-        } else if (message.command === 'NICK') {
-            line = `[${time}] ${message.nick} is now known as ${message.params[0]}`;
-        } else if (message.command === 'JOIN') {
-            line = `[${time}] *** JOIN: ${message.nick} (${message.ident}@${message.hostname})`;
-        } else if (message.command === 'PART') {
-            line = `[${time}] *** PART: ${message.nick} (${message.ident}@${message.hostname})`;
-            if (message.params[1]) {
-                line += ` (${message.params[1]})`;
+        let bufferNames = [];
+        // If no prefix, it's because we're sending it upstream (from the client)
+        let prefix = clientCon ? clientCon.state.nick : message.nick;
+        // opts.bufferNames is set when some buffers are excluded from logging by retention rules
+        if (type === MSG_TYPE_PRIVMSG || type === MSG_TYPE_NOTICE) {
+            bufferNames = opts.bufferNames || [Helpers.extractBufferName(upstreamCon, message, 0)];
+        } else {
+            bufferNames = opts.bufferNames || ((type === MSG_TYPE_QUIT || type === MSG_TYPE_NICK) ?
+                Helpers.extractSharedBufferNames(upstreamCon, message.nick) :
+                [message.params[0]]);
+            prefix = message.prefix || message.nick;
+        }
+
+        // Messages such as this we don't want to log
+        // :2.chimera.network.irc.com NOTICE * :*** Looking up your hostname...
+        bufferNames = bufferNames.filter(name => name && name !== '*');
+
+        let time = message.tags.time ? new Date(message.tags.time).getTime() : Date.now();
+        let line = Buffer.from(JSON.stringify({
+            time,
+            msgid: message.tags['draft/msgid'] || message.tags['msgid'] || '',
+            prefix,
+            command: message.command,
+            params: message.params,
+            tags: message.tags,
+        }) + '\n');
+
+        try {
+            bufferNames.forEach(bufferName => {
+                let conState = upstreamCon.state;
+                this.appendLine(conState.authUserId, conState.authNetworkId, bufferName, time, type, line);
+            });
+        } catch (err) {
+            l.error('storeMessage error', err);
+        }
+    }
+
+    deleteUserMessages(userId) {
+        if (!this.logsDir) {
+            return;
+        }
+
+        fs.rmSync(path.join(this.logsDir, String(userId)), { recursive: true, force: true });
+    }
+
+    appendLine(userId, networkId, buffer, time, type, line) {
+        let dir = this.bufferDir(userId, networkId, buffer);
+        let day = dayName(time);
+        let logFile = path.join(dir, day + '.log');
+
+        fs.mkdirSync(dir, {recursive: true});
+
+        let offset = 0;
+        try {
+            offset = fs.statSync(logFile).size;
+        } catch (err) {
+            // The first message of the day
+        }
+
+        let entry = Buffer.alloc(INDEX_ENTRY_SIZE);
+        entry.writeDoubleBE(time, 0);
+        entry.writeUInt32BE(offset, 8);
+        entry.writeUInt32BE(line.length, 12);
+        entry.writeUInt32BE(type, 16);
+
+        fs.appendFileSync(logFile, line);
+        fs.appendFileSync(path.join(dir, day + '.idx'), entry);
+    }
+
+    // Read up to length messages with a time between minTime and maxTime, both inclusive. The
+    // earliest of them are taken, or the latest if fromEnd is set. Returned in time order
+    readMessages(userId, networkId, buffer, minTime, maxTime, length, fromEnd, opts) {
+        let dir = this.bufferDir(userId, networkId, buffer);
+        let limit = length || 50;
+        let events = !!(opts && opts.events);
+        let days = this.listDays(dir, minTime, maxTime);
+        if (fromEnd) {
+            days.reverse();
+        }
+
+        let messages = [];
+        for (let day of days) {
+            let entries = readIndex(path.join(dir, day + '.idx'))
+                .filter(entry => entry.time >= minTime && entry.time <= maxTime)
+                .filter(entry => events || isMessageType(entry.type))
+                .sort((a, b) => a.time - b.time);
+
+            let wanted = limit - messages.length;
+            entries = fromEnd ?
+                entries.slice(-wanted) :
+                entries.slice(0, wanted);
+
+            let dayMessages = readLines(path.join(dir, day + '.log'), entries).map(lineToMessage);
+            messages = fromEnd ?
+                dayMessages.concat(messages) :
+                messages.concat(dayMessages);
+
+            if (messages.length >= limit) {
+                break;
+            }
+        }
+
+        return messages;
+    }
+
+    // The time of a CHATHISTORY style {type, value} reference, or null if the msgid is unknown
+    async referenceTime(userId, networkId, buffer, ref, defaultTime) {
+        if (ref.type === 'timestamp') {
+            return ref.value;
+        } else if (ref.type === 'msgid') {
+            return this.msgIdTime(userId, networkId, buffer, ref.value);
+        }
+
+        return defaultTime;
+    }
+
+    // Find the time of a message by its msgid, searching the newest days first. Only the latest
+    // MSGID_SEARCH_DAYS days of logs are searched so that an unknown msgid doesn't read them all
+    async msgIdTime(userId, networkId, buffer, msgId) {
+        if (!msgId) {
+            return null;
+        }
+
+        let dir = this.bufferDir(userId, networkId, buffer);
+        let needle = '"msgid":' + JSON.stringify(msgId) + ',';
+        let days = this.listDays(dir, -Infinity, Infinity).reverse().slice(0, MSGID_SEARCH_DAYS);
+
+        for (let day of days) {
+            let content = '';
+            try {
+                content = await fs.promises.readFile(path.join(dir, day + '.log'), 'utf8');
+            } catch (err) {
+                continue;
             }
-        } else if (message.command === 'QUIT') {
-            line = `[${time}] *** QUIT: ${message.nick} (${message.ident}@${message.hostname})`;
-            if (message.params[1]) {
-                line += ` (${message.params[1]})`;
+            let pos = content.indexOf(needle);
+            if (pos === -1) {
+                continue;
             }
+
+            let lineStart = content.lastIndexOf('\n', pos) + 1;
+            let lineEnd = content.indexOf('\n', pos);
+            return JSON.parse(content.substring(lineStart, lineEnd)).time;
         }
 
-        if (!line) {
-            return;
+        return null;
+    }
+
+    bufferDir(userId, networkId, buffer) {
+        // Keep buffer names safe to use as a directory name
+        let dirName = buffer.toLowerCase().replace(/[%\/\\\x00]|^\./g, c => {
+            return '%' + c.charCodeAt(0).toString(16).padStart(2, '0');
+        });
+        return path.join(this.logsDir, String(userId), String(networkId), dirName);
+    }
+
+    // The days that have logs in a buffer directory between two times, oldest first
+    listDays(dir, minTime, maxTime) {
+        let files = [];
+        try {
+            files = fs.readdirSync(dir);
+        } catch (err) {
+            return [];
         }
 
-        let netName = upstreamCon.state.authNetworkName.toLowerCase();
-        let logsDir = path.join(this.logsDir, String(upstreamCon.state.authUserId), netName);
-        let logFile = path.join(logsDir, bufferName.toLowerCase() + '.log');
-        fs.mkdirSync(logsDir, {recursive: true});
-        fs.appendFileSync(logFile, line + '\n');
+        let minDay = minTime === -Infinity ? '' : dayName(minTime);
+        let maxDay = maxTime === Infinity ? '9999-99-99' : dayName(maxTime);
+
+        return files
+            .filter(file => file.endsWith('.idx'))
+            .map(file => file.substr(0, file.length - 4))
+            .filter(day => day >= minDay && day <= maxDay)
+            .sort();
     }
 }
 
 module.exports = FlatfileMessageStore;
+
+// Log files in the old layout, <user id>/<network name>/<buffer>.log
+function listLegacyLogs(logsDir) {
+    let readDir = dir => {
+        try {
+            return fs.readdirSync(dir, { withFileTypes: true });
+        } catch (err) {
+            return [];
+        }
+    };
+
+    let files = [];
+    readDir(logsDir).filter(userDir => userDir.isDirectory() && /^\d+$/.test(userDir.name)).forEach(userDir => {
+        readDir(path.join(logsDir, userDir.name)).filter(netDir => netDir.isDirectory()).forEach(netDir => {
+            let netPath = path.join(logsDir, userDir.name, netDir.name);
+            readDir(netPath).filter(file => file.isFile() && file.name.endsWith('.log')).forEach(file => {
+                files.push({
+                    path: path.join(netPath, file.name),
+                    userId: parseInt(userDir.name, 10),
+                    networkName: netDir.name,
+                    buffer: file.name.substr(0, file.name.length - 4),
+                });
+            });
+        });
+    });
+
+    return files;
+}
+
+// A line of an old plain text log in the same form as the current JSON lines. Notices were logged
+// the same as PRIVMSGs so they are read back as PRIVMSGs
+//   [2024-01-01T12:00:00.000Z] <nick> message
+//   [2024-01-01T12:00:00.000Z] *** JOIN: nick (ident@host)
+//   [2024-01-01T12:00:00.000Z] *** PART: nick (ident@host) (reason)
+//   [2024-01-01T12:00:00.000Z] *** QUIT: nick (ident@host) (reason)
+//   [2024-01-01T12:00:00.000Z] nick is now known as newnick
+function parseLegacyLine(line, buffer) {
+    let match = line.match(/^\[([^\]]+)\] (.*)$/);
+    let time = match ? new Date(match[1]).getTime() : NaN;
+    if (isNaN(time)) {
+        return null;
+    }
+
+    let stored = (command, prefix, params) => ({ time, msgid: '', prefix, command, params, tags: {} });
+    let text = match[2];
+    let m;
+
+    if ((m = text.match(/^<([^>]*)> (.*)$/))) {
+        return stored('PRIVMSG', m[1], [buffer, m[2]]);
+    }
+    if ((m = text.match(/^\*\*\* (JOIN|PART|QUIT): (\S+) \(([^)]*)\)(?: \((.*)\))?$/))) {
+        let prefix = `${m[2]}!${m[3]}`;
+        if (m[1] === 'JOIN') {
+            return stored('JOIN', prefix, [buffer]);
+        }
+        let reason = m[4] === undefined ? [] : [m[4]];
+        return m[1] === 'PART' ?
+            stored('PART', prefix, [buffer, ...reason]) :
+            stored('QUIT', prefix, reason);
+    }
+    if ((m = text.match(/^(\S+) is now known as (\S+)$/))) {
+        return stored('NICK', m[1], [m[2]]);
+    }
+
+    return null;
+}
+
+function isMessageType(type) {
+    return type === MSG_TYPE_PRIVMSG || type === MSG_TYPE_NOTICE;
+}
+
+function dayName(time) {
+    return new Date(time).toISOString().substr(0, 10);
+}
+
+function readIndex(indexFile) {
+    let data;
+    try {
+        data = fs.readFileSync(indexFile);
+    } catch (err) {
+        return [];
+    }
+
+    let entries = [];
+    // Ignore any partially written entry at the end
+    for (let pos = 0; pos + INDEX_ENTRY_SIZE <= data.length; pos += INDEX_ENTRY_SIZE) {
+        entries.push({
+            time: data.readDoubleBE(pos),
+            offset: data.readUInt32BE(pos + 8),
+            length: data.readUInt32BE(pos + 12),
+            type: data.readUInt32BE(pos + 16),
+        });
+    }
+
+    return entries;
+}
+
+// Read the lines of index entries from a log file, only reading the part of the file needed
+function readLines(logFile, entries) {
+    if (entries.length === 0) {
+        return [];
+    }
+
+    let start = Math.min(...entries.map(e => e.offset));
+    let end = Math.max(...entries.map(e => e.offset + e.length));
+    let data = Buffer.alloc(end - start);
+
+    let fd = fs.openSync(logFile, 'r');
+    try {
+        fs.readSync(fd, data, 0, data.length, start);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return entries.map(e => data.toString('utf8', e.offset - start, e.offset - start + e.length));
+}
+
+function lineToMessage(line) {
+    let stored = JSON.parse(line);
+    let m = new IrcMessage(stored.command, ...stored.params);
+    m.prefix = stored.prefix;
+    m.tags = stored.tags || {};
+    m.tags.time = m.tags.time || Helpers.isoTime(new Date(stored.time));
+    return m;
+}
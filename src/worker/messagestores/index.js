@@ -1,20 +1,31 @@
 const MessageStoreSqlite = require('./sqlite');
 const MessageStoreFlatfile = require('./flatfile');
+const MessageStoreKnex = require('./knex');
+const LogRetention = require('./retention');
+const Helpers = require('../../libs/helpers');
 
 class MessageStores {
-    constructor(config) {
+    constructor(config, db) {
         this.conf = config;
+        this.db = db;
         this.stores = [];
+        // Per user, network and buffer retention rules are kept in the users database
+        this.retention = db ? new LogRetention(config, db) : null;
     }
 
     async init() {
         if (this.conf.get('logging.database')) {
-            let m = new MessageStoreSqlite(this.conf);
+            let m = new MessageStoreSqlite(this.conf, this.retention);
+            await m.init();
+            this.stores.push(m);
+        }
+        if (this.conf.get('logging.users_database')) {
+            let m = new MessageStoreKnex(this.conf, this.db.dbUsers, this.retention);
             await m.init();
             this.stores.push(m);
         }
         if (this.conf.get('logging.files')) {
-            let m = new MessageStoreFlatfile(this.conf);
+            let m = new MessageStoreFlatfile(this.conf, this.db);
             await m.init();
             this.stores.push(m);
         }
@@ -72,6 +83,42 @@ class MessageStores {
         return await readable.getMessagesBetween(...args);
     }
 
+    async getMessagesAroundMsgId(...args) {
+        let readable = this.stores.find(s => s.supportsRead);
+        if (!readable || typeof readable.getMessagesAroundMsgId !== 'function') {
+            return [];
+        }
+
+        return await readable.getMessagesAroundMsgId(...args);
+    }
+
+    async getMessagesAroundTime(...args) {
+        let readable = this.stores.find(s => s.supportsRead);
+        if (!readable || typeof readable.getMessagesAroundTime !== 'function') {
+            return [];
+        }
+
+        return await readable.getMessagesAroundTime(...args);
+    }
+
+    async getBufferTargets(...args) {
+        let readable = this.stores.find(s => s.supportsRead);
+        if (!readable || typeof readable.getBufferTargets !== 'function') {
+            return [];
+        }
+
+        return await readable.getBufferTargets(...args);
+    }
+
+    async searchMessages(...args) {
+        let readable = this.stores.find(s => s.supportsRead);
+        if (!readable || typeof readable.searchMessages !== 'function') {
+            return [];
+        }
+
+        return await readable.searchMessages(...args);
+    }
+
     async countMessagesSince(...args) {
         let readable = this.stores.find(s => s.supportsRead);
         if (!readable || typeof readable.countMessagesSince !== 'function') {
@@ -95,12 +142,74 @@ class MessageStores {
         return readable ? readable.connectHistory : 50;
     }
 
-    async storeMessage(...args) {
+    async storeMessage(message, upstreamCon, clientCon) {
+        let opts = {};
+
+        if (this.retention) {
+            // Worked out before waiting on the retention rules as QUIT and NICK users are
+            // removed from their buffers once they have been stored
+            let bufferNames = messageBufferNames(message, upstreamCon);
+            let conState = upstreamCon.state;
+            let loggedNames = [];
+
+            try {
+                for (let bufferName of bufferNames) {
+                    let shouldLog = await this.retention.shouldLog(
+                        conState.authUserId,
+                        conState.authNetworkId,
+                        bufferName,
+                    );
+                    if (shouldLog) {
+                        loggedNames.push(bufferName);
+                    }
+                }
+            } catch (err) {
+                l.error('Error reading log retention rules', err);
+                loggedNames = bufferNames;
+            }
+
+            if (bufferNames.length > 0 && loggedNames.length === 0) {
+                return;
+            }
+            if (bufferNames.length > 0) {
+                opts.bufferNames = loggedNames;
+            }
+        }
+
         this.stores.filter(s => s.supportsWrite).forEach(async store => {
-            await store.storeMessage(...args);
+            await store.storeMessage(message, upstreamCon, clientCon, opts);
         });
     }
 
+    // Store a message that was logged elsewhere, such as from an import, into a known buffer
+    async importMessage(userId, networkId, bufferName, message) {
+        let upstreamCon = { state: { authUserId: userId, authNetworkId: networkId } };
+        for (const store of this.stores.filter(s => s.supportsWrite)) {
+            await store.storeMessage(message, upstreamCon, null, { bufferNames: [bufferName] });
+        }
+    }
+
+    // Re-read the [logging] retention settings after the config has been reloaded
+    applyRetentionConfig() {
+        if (this.retention) {
+            this.retention.applyConfig(this.conf);
+        }
+        for (const store of this.stores) {
+            if (typeof store.applyRetentionConfig === 'function') {
+                store.applyRetentionConfig(this.conf);
+            }
+        }
+    }
+
+    // Write any messages that stores have queued up
+    async flush() {
+        for (const store of this.stores) {
+            if (typeof store.flush === 'function') {
+                await store.flush();
+            }
+        }
+    }
+
     async deleteUserMessages(userId) {
         for (const store of this.stores) {
             if (typeof store.deleteUserMessages === 'function') {
@@ -111,3 +220,18 @@ class MessageStores {
 }
 
 module.exports = MessageStores;
+
+// The buffers a message would be logged in
+function messageBufferNames(message, upstreamCon) {
+    if (message.command === 'PRIVMSG' || message.command === 'NOTICE') {
+        return [Helpers.extractBufferName(upstreamCon, message, 0)].filter(name => !!name);
+    }
+    if (message.command === 'QUIT' || message.command === 'NICK') {
+        return Helpers.extractSharedBufferNames(upstreamCon, message.nick);
+    }
+    if (['JOIN', 'PART', 'KICK', 'TOPIC', 'MODE'].includes(message.command)) {
+        return [message.params[0]].filter(name => !!name);
+    }
+
+    return [];
+}
@@ -0,0 +1,584 @@
+const path = require('path');
+const Stats = require('../../libs/stats');
+const Helpers = require('../../libs/helpers');
+
+const IrcMessage = require('irc-framework').Message;
+
+const MSG_TYPE_PRIVMSG = 1;
+const MSG_TYPE_NOTICE = 2;
+const MSG_TYPE_JOIN = 3;
+const MSG_TYPE_PART = 4;
+const MSG_TYPE_QUIT = 5;
+const MSG_TYPE_KICK = 6;
+const MSG_TYPE_NICK = 7;
+const MSG_TYPE_TOPIC = 8;
+const MSG_TYPE_MODE = 9;
+
+const MSG_TYPES = {
+    PRIVMSG: MSG_TYPE_PRIVMSG,
+    NOTICE: MSG_TYPE_NOTICE,
+    JOIN: MSG_TYPE_JOIN,
+    PART: MSG_TYPE_PART,
+    QUIT: MSG_TYPE_QUIT,
+    KICK: MSG_TYPE_KICK,
+    NICK: MSG_TYPE_NICK,
+    TOPIC: MSG_TYPE_TOPIC,
+    MODE: MSG_TYPE_MODE,
+};
+
+const TYPE_COMMANDS = Object.create(null);
+Object.keys(MSG_TYPES).forEach(command => {
+    TYPE_COMMANDS[MSG_TYPES[command]] = command;
+});
+
+/**
+ * Stores messages in the users database (SQLite, PostgreSQL or MySQL via knex) so that multiple
+ * workers can share the same message history. Messages are queued and written in batches.
+ */
+class KnexMessageStore {
+    constructor(config, db, retention) {
+        this.supportsWrite = true;
+        this.supportsRead = true;
+
+        let loggingConf = config.get('logging', {});
+        this.db = db;
+        // Per user, network and buffer retention rules (LogRetention), if available
+        this.retention = retention || null;
+        this.retentionDaysChannels = loggingConf.retention_days_channels || 0;
+        this.retentionDaysPMs = loggingConf.retention_days_pms || 0;
+        this.retentionCleanupInterval = loggingConf.retention_cleanup_interval || 1440; // Default 24h
+        this.batchSize = loggingConf.users_database_batch_size || 100;
+        this.batchInterval = loggingConf.users_database_batch_interval || 1000; // in ms
+        this.connectHistory = loggingConf.connect_history !== undefined
+            ? parseInt(loggingConf.connect_history, 10)
+            : 50; // Messages to replay on client connect (0 = disabled)
+        this.stats = Stats.instance().makePrefix('messages');
+
+        this.storeQueue = [];
+        this.flushTmr = null;
+        this.flushing = Promise.resolve();
+    }
+
+    async init() {
+        await this.db.migrate.latest({
+            directory: path.join(__dirname, '..', '..', 'dbschemas', 'messages'),
+            // The users db has its own migrations so keep track of ours separately
+            tableName: 'knex_migrations_messages',
+        });
+
+        if (this.retentionDaysChannels > 0 || this.retentionDaysPMs > 0 || this.retention) {
+            const runCleanupTask = async () => {
+                if (this.cleanupRunning) return;
+                this.cleanupRunning = true;
+                l.info('Running message retention cleanup');
+                let startTime = Date.now();
+                let totalDeleted = 0;
+                this.stats.increment('retention.cleanup.runs');
+
+                try {
+                    // Users with their own retention rules are cleaned up separately
+                    let ruleUserIds = this.retention ? await this.retention.userIdsWithRules() : [];
+                    totalDeleted += await this.runRetentionCleanup(this.retentionDaysChannels, true, 0, ruleUserIds);
+                    totalDeleted += await this.runRetentionCleanup(this.retentionDaysPMs, false, 0, ruleUserIds);
+                    for (let userId of ruleUserIds) {
+                        totalDeleted += await this.runUserRetentionCleanup(userId);
+                    }
+
+                    this.stats.gauge('retention.cleanup.rows_deleted', totalDeleted);
+                    this.stats.gauge('retention.cleanup.duration_ms', Date.now() - startTime);
+                } catch (err) {
+                    l.error('Error running retention cleanup', err);
+                    this.stats.increment('retention.cleanup.errors');
+                } finally {
+                    this.cleanupRunning = false;
+                }
+            };
+
+            runCleanupTask();
+            // Run cleanup periodically
+            this.runCleanupTask = runCleanupTask;
+            this.cleanupTimer = setInterval(runCleanupTask, this.retentionCleanupInterval * 60 * 1000);
+        }
+    }
+
+    // Pick up new retention settings after the config has been reloaded
+    applyRetentionConfig(config) {
+        let loggingConf = config.get('logging', {});
+        let interval = loggingConf.retention_cleanup_interval || 1440;
+        this.retentionDaysChannels = loggingConf.retention_days_channels || 0;
+        this.retentionDaysPMs = loggingConf.retention_days_pms || 0;
+
+        if (this.cleanupTimer && interval !== this.retentionCleanupInterval) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = setInterval(this.runCleanupTask, interval * 60 * 1000);
+        }
+        this.retentionCleanupInterval = interval;
+    }
+
+    /**
+     * Deletes messages exceeding the retention period in batches
+     * @param {number} days - Number of retention days
+     * @param {boolean} isChannel - true for channels (#, &), false for PMs
+     * @param {number} limit - Max number of rows to delete per batch
+     * @param {Array} excludeUserIds - Users to leave alone
+     * @returns {number} The number of deleted messages
+     */
+    async runRetentionCleanup(days, isChannel, limit, excludeUserIds) {
+        if (days <= 0) return 0;
+
+        let cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+        let cutoffTime = cutoffDate.getTime();
+        let batchSize = limit || 1000;
+        let totalDeleted = 0;
+
+        while (true) {
+            // Select the IDs first as MySQL doesn't support LIMIT within a DELETE subquery
+            let query = this.db('message_logs')
+                .where('time', '<', cutoffTime)
+                .limit(batchSize);
+            if (excludeUserIds && excludeUserIds.length > 0) {
+                query.whereNotIn('user_id', excludeUserIds);
+            }
+            if (isChannel) {
+                query.where(q => q.where('buffer', 'like', '#%').orWhere('buffer', 'like', '&%'));
+            } else {
+                query.where('buffer', 'not like', '#%').where('buffer', 'not like', '&%');
+            }
+
+            let ids = await query.pluck('id');
+            if (ids.length > 0) {
+                await this.db('message_logs').whereIn('id', ids).del();
+                totalDeleted += ids.length;
+            }
+
+            if (ids.length < batchSize) {
+                break;
+            }
+        }
+
+        l.info(`Retention cleanup (${isChannel ? 'channels' : 'PMs'}, >${days} days) removed ${totalDeleted} messages`);
+        return totalDeleted;
+    }
+
+    /**
+     * Deletes a users messages exceeding the retention period of each of their buffers, as set
+     * by their retention rules
+     * @param {number} userId - The user to clean up
+     * @param {number} limit - Max number of rows to delete per batch
+     * @returns {number} The number of deleted messages
+     */
+    async runUserRetentionCleanup(userId, limit) {
+        let rules = await this.retention.listRules(userId);
+        let buffers = await this.db('message_logs')
+            .distinct('network_id', 'buffer')
+            .where('user_id', userId);
+        let batchSize = limit || 1000;
+        let totalDeleted = 0;
+
+        for (let row of buffers) {
+            let days = this.retention.bufferDaysFromRules(rules, row.network_id, row.buffer);
+            let cutoffTime = this.retention.cutoffTime(days);
+            if (!cutoffTime) {
+                continue;
+            }
+
+            let ids = [];
+            do {
+                ids = await this.db('message_logs')
+                    .where('user_id', userId)
+                    .where('network_id', row.network_id)
+                    .where('buffer', row.buffer)
+                    .where('time', '<', cutoffTime)
+                    .limit(batchSize)
+                    .pluck('id');
+                if (ids.length > 0) {
+                    await this.db('message_logs').whereIn('id', ids).del();
+                    totalDeleted += ids.length;
+                }
+            } while (ids.length === batchSize);
+        }
+
+        l.info(`Retention cleanup (user ${userId}) removed ${totalDeleted} messages`);
+        return totalDeleted;
+    }
+
+    async getMessagesFromMsgId(userId, networkId, buffer, fromMsgId, length, opts) {
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let rows = [];
+        let time = await this.msgIdTime(fromMsgId);
+        if (time !== null) {
+            rows = await this.bufferQuery(userId, networkId, buffer, opts)
+                .where('time', '>', time)
+                .orderBy([{ column: 'time' }, { column: 'id' }])
+                .limit(length || 50);
+        }
+
+        let messages = dbRowsToMessage(rows);
+
+        messagesTmr.stop();
+        return messages;
+    }
+
+    async getMessagesFromTime(userId, networkId, buffer, fromTime, length, opts) {
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let rows = await this.bufferQuery(userId, networkId, buffer, opts)
+            .where('time', '>', fromTime)
+            .orderBy([{ column: 'time' }, { column: 'id' }])
+            .limit(length || 50);
+
+        let messages = dbRowsToMessage(rows);
+
+        messagesTmr.stop();
+        return messages;
+    }
+
+    async getMessagesBeforeMsgId(userId, networkId, buffer, msgId, length, opts) {
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let rows = [];
+        let time = await this.msgIdTime(msgId);
+        if (time !== null) {
+            rows = await this.bufferQuery(userId, networkId, buffer, opts)
+                .where('time', '<=', time)
+                .orderBy([{ column: 'time', order: 'desc' }, { column: 'id', order: 'desc' }])
+                .limit(length || 50);
+        }
+        // We ordered the messages DESC in the query, so reverse them back into the correct order
+        rows.reverse();
+
+        let messages = dbRowsToMessage(rows);
+
+        messagesTmr.stop();
+        return messages;
+    }
+
+    async getMessagesBeforeTime(userId, networkId, buffer, fromTime, length, opts) {
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let rows = await this.bufferQuery(userId, networkId, buffer, opts)
+            .where('time', '<=', fromTime)
+            .orderBy([{ column: 'time', order: 'desc' }, { column: 'id', order: 'desc' }])
+            .limit(length || 50);
+        // We ordered the messages DESC in the query, so reverse them back into the correct order
+        rows.reverse();
+
+        let messages = dbRowsToMessage(rows);
+
+        messagesTmr.stop();
+        return messages;
+    }
+
+    async getMessagesBetween(userId, networkId, buffer, from, to, length, opts) {
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let query = this.bufferQuery(userId, networkId, buffer, opts);
+
+        // from is inclusive
+        let fromTime = from.type === 'msgid' ? await this.msgIdTime(from.value) : from.value;
+        // to is excluding
+        let toTime = to.type === 'msgid' ? await this.msgIdTime(to.value) : to.value;
+
+        let rows = [];
+        if (fromTime !== null && toTime !== null) {
+            if (from.type === 'timestamp' || from.type === 'msgid') {
+                query.where('time', '>=', fromTime);
+            }
+            if (to.type === 'timestamp' || to.type === 'msgid') {
+                query.where('time', '<', toTime);
+            }
+
+            rows = await query
+                .orderBy([{ column: 'time', order: 'desc' }, { column: 'id', order: 'desc' }])
+                .limit(length || 50);
+            // We ordered the messages DESC in the query, so reverse them back into the correct order
+            rows.reverse();
+        }
+
+        let messages = dbRowsToMessage(rows);
+
+        messagesTmr.stop();
+        return messages;
+    }
+
+    // Messages centred on a msgid, the same as the SQLite store
+    async getMessagesAroundMsgId(userId, networkId, buffer, msgId, length, opts) {
+        let limit = length || 50;
+        let numBefore = Math.ceil(limit / 2);
+
+        let before = await this.getMessagesBeforeMsgId(userId, networkId, buffer, msgId, numBefore, opts);
+        if (before.length === 0) {
+            return [];
+        }
+
+        let numAfter = limit - before.length;
+        let after = numAfter > 0 ?
+            await this.getMessagesFromMsgId(userId, networkId, buffer, msgId, numAfter, opts) :
+            [];
+
+        if (after.length < numAfter && before.length === numBefore) {
+            before = await this.getMessagesBeforeMsgId(userId, networkId, buffer, msgId, limit - after.length, opts);
+        }
+
+        return before.concat(after);
+    }
+
+    // Messages centred on a timestamp, the same as the SQLite store
+    async getMessagesAroundTime(userId, networkId, buffer, time, length, opts) {
+        let limit = length || 50;
+        let numBefore = Math.ceil(limit / 2);
+
+        let before = await this.getMessagesBeforeTime(userId, networkId, buffer, time, numBefore, opts);
+        let numAfter = limit - before.length;
+        let after = numAfter > 0 ?
+            await this.getMessagesFromTime(userId, networkId, buffer, time, numAfter, opts) :
+            [];
+
+        if (after.length < numAfter && before.length === numBefore) {
+            before = await this.getMessagesBeforeTime(userId, networkId, buffer, time, limit - after.length, opts);
+        }
+
+        return before.concat(after);
+    }
+
+    // List the buffers that have had messages between two times along with their latest message
+    // time. Ordered oldest first, or newest first if fromTime is later than toTime
+    async getBufferTargets(userId, networkId, fromTime, toTime, length) {
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let rows = await this.db('message_logs')
+            .select('buffer')
+            .max('time as time')
+            .where('user_id', userId)
+            .where('network_id', networkId)
+            .where('time', '>=', Math.min(fromTime, toTime))
+            .where('time', '<', Math.max(fromTime, toTime))
+            .whereIn('type', [MSG_TYPE_PRIVMSG, MSG_TYPE_NOTICE])
+            .groupBy('buffer')
+            .orderByRaw(`MAX(time) ${fromTime > toTime ? 'DESC' : 'ASC'}`)
+            .limit(length || 50);
+
+        messagesTmr.stop();
+        return rows.map(row => ({ buffer: row.buffer, time: Number(row.time) }));
+    }
+
+    // Search PRIVMSG/NOTICE text for all of the words, newest matches first.
+    // [{buffer: '#channel', message: IrcMessage}]
+    async searchMessages(userId, networkId, text, opts = {}, length) {
+        let words = (text || '').split(/\s+/).filter(word => !!word);
+        if (words.length === 0) {
+            return [];
+        }
+
+        await this.flush();
+        let messagesTmr = this.stats.timerStart('search.time');
+
+        let query = this.db('message_logs')
+            .where('user_id', userId)
+            .where('network_id', networkId)
+            .whereIn('type', [MSG_TYPE_PRIVMSG, MSG_TYPE_NOTICE]);
+
+        words.forEach(word => {
+            // LIKE is used as full text search differs between each database
+            let pattern = '%' + word.toLowerCase().replace(/[!%_]/g, '!$&') + '%';
+            query.whereRaw(`LOWER(data) LIKE ? ESCAPE '!'`, [pattern]);
+        });
+
+        if (opts.buffer) {
+            query.where('buffer', opts.buffer);
+        }
+        if (opts.nick) {
+            query.whereRaw('LOWER(prefix) = ?', [opts.nick.toLowerCase()]);
+        }
+        if (opts.after) {
+            query.where('time', '>', opts.after);
+        }
+        if (opts.before) {
+            query.where('time', '<', opts.before);
+        }
+
+        let rows = await query
+            .orderBy([{ column: 'time', order: 'desc' }, { column: 'id', order: 'desc' }])
+            .limit(length || 50);
+
+        let messages = dbRowsToMessage(rows);
+        let results = rows.map((row, idx) => ({
+            buffer: row.buffer,
+            message: messages[idx],
+        }));
+
+        messagesTmr.stop();
+        return results;
+    }
+
+    async getNthLatestMessageTime(userId, networkId, buffer, n) {
+        await this.flush();
+
+        // OFFSET n so that countMessagesSince() from this time gives n messages, the same as
+        // the SQLite store
+        let row = await this.bufferQuery(userId, networkId, buffer)
+            .orderBy('time', 'desc')
+            .offset(Math.max(0, n))
+            .first('time');
+        return row ? Number(row.time) : 0;
+    }
+
+    async countMessagesSince(userId, networkId, buffer, fromTime) {
+        await this.flush();
+
+        let row = await this.bufferQuery(userId, networkId, buffer)
+            .where('time', '>', fromTime)
+            .count('* as cnt')
+            .first();
+        return row ? Number(row.cnt) : 0;
+    }
+
+    async storeMessage(message, upstreamCon, clientCon, opts = {}) {
+        let rows = messageToRows(message, upstreamCon, clientCon, opts.bufferNames);
+        if (rows.length === 0) {
+            return;
+        }
+
+        this.storeQueue.push(...rows);
+        this.stats.gauge('messagestore.queue_length', this.storeQueue.length);
+
+        if (this.storeQueue.length >= this.batchSize) {
+            await this.flush();
+        } else if (!this.flushTmr) {
+            this.flushTmr = setTimeout(() => this.flush(), this.batchInterval);
+        }
+    }
+
+    // Write any queued messages to the database. Batches are written one after the other so
+    // that messages keep their order
+    flush() {
+        clearTimeout(this.flushTmr);
+        this.flushTmr = null;
+
+        this.flushing = this.flushing.then(() => this.writeQueue());
+        return this.flushing;
+    }
+
+    async writeQueue() {
+        while (this.storeQueue.length > 0) {
+            let rows = this.storeQueue.splice(0, this.batchSize);
+            let messagesTmr = this.stats.timerStart('store.time');
+
+            try {
+                await this.db('message_logs').insert(rows);
+            } catch (err) {
+                l.error('storeMessage error', err);
+            }
+
+            messagesTmr.stop();
+        }
+
+        this.stats.gauge('messagestore.queue_length', this.storeQueue.length);
+    }
+
+    async deleteUserMessages(userId) {
+        await this.flush();
+        await this.db('message_logs').where('user_id', userId).del();
+    }
+
+    // Messages in a buffer. Only PRIVMSG and NOTICE unless opts.events is set
+    bufferQuery(userId, networkId, buffer, opts) {
+        let query = this.db('message_logs')
+            .where('user_id', userId)
+            .where('network_id', networkId)
+            .where('buffer', buffer);
+
+        if (!opts || !opts.events) {
+            query.whereIn('type', [MSG_TYPE_PRIVMSG, MSG_TYPE_NOTICE]);
+        }
+
+        return query;
+    }
+
+    // The time of a message by its msgid, or null if it isn't known
+    async msgIdTime(msgId) {
+        let row = await this.db('message_logs')
+            .where('msgid', msgId)
+            .first('time');
+        return row ? Number(row.time) : null;
+    }
+}
+
+module.exports = KnexMessageStore;
+
+// Convert a message into the rows to be inserted, one for each buffer it belongs to. loggedBuffers
+// is set when some buffers are excluded from logging by retention rules
+function messageToRows(message, upstreamCon, clientCon, loggedBuffers) {
+    let type = MSG_TYPES[message.command];
+    if (!type) {
+        return [];
+    }
+
+    // Ignore CTCP request/responses
+    if (
+        (message.command === 'PRIVMSG' || message.command === 'NOTICE') &&
+        message.params[1] && message.params[1][0] === '\x01'
+    ) {
+        // We do want to log ACTIONs though
+        if (!message.params[1].startsWith('\x01ACTION')) {
+            return [];
+        }
+    }
+
+    let bufferNames = [];
+    // If no prefix, it's because we're sending it upstream (from the client)
+    let prefix = clientCon ? clientCon.state.nick : message.nick;
+    if (type === MSG_TYPE_PRIVMSG || type === MSG_TYPE_NOTICE) {
+        bufferNames = loggedBuffers || [Helpers.extractBufferName(upstreamCon, message, 0)];
+    } else {
+        bufferNames = loggedBuffers || ((type === MSG_TYPE_QUIT || type === MSG_TYPE_NICK) ?
+            Helpers.extractSharedBufferNames(upstreamCon, message.nick) :
+            [message.params[0]]);
+        // Keep the full mask so that playback shows who joined or left, or the server for MODEs
+        prefix = message.prefix || message.nick;
+    }
+
+    let conState = upstreamCon.state;
+    let time = new Date(message.tags.time || Helpers.isoTime());
+
+    return bufferNames.filter(bufferName => !!bufferName).map(bufferName => ({
+        user_id: conState.authUserId,
+        network_id: conState.authNetworkId,
+        buffer: bufferName,
+        time: time.getTime(),
+        type,
+        msgid: message.tags['draft/msgid'] || message.tags['msgid'] || '',
+        tags: JSON.stringify(message.tags),
+        prefix: prefix || '',
+        params: message.params.slice(0, message.params.length - 1).join(' '),
+        data: message.params[message.params.length - 1] || '',
+    }));
+}
+
+function dbRowsToMessage(rows) {
+    return rows.map((row) => {
+        let m = new IrcMessage();
+        if (TYPE_COMMANDS[row.type]) {
+            m.command = TYPE_COMMANDS[row.type];
+        } else {
+            l.error('Read message from the database with unknown command:', row.type);
+        }
+
+        m.prefix = row.prefix;
+        m.tags = JSON.parse(row.tags || '{}');
+        // Postgres returns bigint columns as strings
+        m.tags.time = m.tags.time || Helpers.isoTime(new Date(Number(row.time)));
+        m.params = row.params ? row.params.split(' ') : [];
+        m.params.push(row.data);
+
+        return m;
+    });
+}
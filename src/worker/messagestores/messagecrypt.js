@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Marks a data blob as encrypted so that plaintext and encrypted blobs can live side by side
+const MAGIC = Buffer.from('KBE1');
+const IV_LENGTH = 16;
+
+/**
+ * Encrypts logged message text with a key per user, derived from the database crypt_key.
+ *
+ * The IV is an HMAC of the text so that the same text from the same user always encrypts to the
+ * same blob. This keeps deduplication in the data table working within a user without revealing
+ * anything across users, and doubles as an integrity check when decrypting.
+ */
+class MessageCrypt {
+    constructor(cryptKey) {
+        this.cryptKey = Buffer.from(cryptKey);
+        this.userKeys = new Map();
+    }
+
+    keysForUser(userId) {
+        let keys = this.userKeys.get(userId);
+        if (!keys) {
+            keys = {
+                enc: crypto.createHmac('sha256', this.cryptKey).update('messages-enc:' + userId).digest(),
+                mac: crypto.createHmac('sha256', this.cryptKey).update('messages-mac:' + userId).digest(),
+            };
+            this.userKeys.set(userId, keys);
+        }
+
+        return keys;
+    }
+
+    encrypt(userId, text) {
+        let keys = this.keysForUser(userId);
+        let plain = Buffer.from(text || '');
+        let iv = crypto.createHmac('sha256', keys.mac).update(plain).digest().subarray(0, IV_LENGTH);
+        let cipher = crypto.createCipheriv('aes-256-cbc', keys.enc, iv);
+
+        return Buffer.concat([MAGIC, iv, cipher.update(plain), cipher.final()]);
+    }
+
+    // Returns the text of an encrypted blob, or '' if it could not be decrypted
+    decrypt(userId, data) {
+        let keys = this.keysForUser(userId);
+
+        try {
+            let iv = data.subarray(MAGIC.length, MAGIC.length + IV_LENGTH);
+            let decipher = crypto.createDecipheriv('aes-256-cbc', keys.enc, iv);
+            let plain = Buffer.concat([
+                decipher.update(data.subarray(MAGIC.length + IV_LENGTH)),
+                decipher.final(),
+            ]);
+
+            let expectedIv = crypto.createHmac('sha256', keys.mac).update(plain).digest().subarray(0, IV_LENGTH);
+            if (!crypto.timingSafeEqual(iv, expectedIv)) {
+                return '';
+            }
+
+            return plain.toString();
+        } catch (err) {
+            return '';
+        }
+    }
+
+    static isEncrypted(data) {
+        return Buffer.isBuffer(data) &&
+            data.length > MAGIC.length + IV_LENGTH &&
+            data.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+}
+
+module.exports = MessageCrypt;
@@ -0,0 +1,136 @@
+// Keep messages forever
+const RETENTION_FOREVER = 0;
+// Don't log messages at all
+const RETENTION_NOLOG = -1;
+
+// How long a users rules are cached before being read from the database again. Other workers
+// sharing the users database may have changed them
+const CACHE_TTL = 60 * 1000;
+
+/**
+ * Per user, network and buffer overrides of the [logging] retention config, stored in the
+ * users database. Rules with a network_id of 0 apply to all of a users networks. The buffer
+ * of a rule is either a buffer name or one of * (all buffers), *channels or *pms.
+ */
+class LogRetention {
+    constructor(config, db) {
+        this.applyConfig(config);
+        this.db = db;
+        this.cache = new Map();
+    }
+
+    applyConfig(config) {
+        let loggingConf = config.get('logging', {});
+        this.retentionDaysChannels = loggingConf.retention_days_channels || 0;
+        this.retentionDaysPMs = loggingConf.retention_days_pms || 0;
+    }
+
+    async getRules(userId) {
+        let cached = this.cache.get(userId);
+        if (cached && cached.expires > Date.now()) {
+            return cached.rules;
+        }
+
+        // Cache the pending lookup so that messages arriving while it runs share it
+        let rules = this.listRules(userId);
+        this.cache.set(userId, { rules, expires: Date.now() + CACHE_TTL });
+        rules.catch(() => this.cache.delete(userId));
+        return rules;
+    }
+
+    async listRules(userId) {
+        return this.db.dbUsers('log_retention')
+            .where('user_id', userId)
+            .orderBy(['network_id', 'buffer']);
+    }
+
+    async setRule(userId, networkId, buffer, days) {
+        let where = { user_id: userId, network_id: networkId || 0, buffer: normaliseBuffer(buffer) };
+        let updated = await this.db.dbUsers('log_retention').where(where).update({ days });
+        if (!updated) {
+            await this.db.dbUsers('log_retention').insert({ ...where, days });
+        }
+
+        this.cache.delete(userId);
+    }
+
+    async removeRule(userId, networkId, buffer) {
+        let removed = await this.db.dbUsers('log_retention')
+            .where('user_id', userId)
+            .where('network_id', networkId || 0)
+            .where('buffer', normaliseBuffer(buffer))
+            .delete();
+
+        this.cache.delete(userId);
+        return removed;
+    }
+
+    // All users that have a rule. The retention cleanup handles these separately
+    async userIdsWithRules() {
+        return this.db.dbUsers('log_retention').distinct('user_id').pluck('user_id');
+    }
+
+    // The number of days messages in a buffer are kept for. 0 keeps them forever and -1 means
+    // they should not be logged at all
+    async bufferDays(userId, networkId, buffer) {
+        let rules = await this.getRules(userId);
+        return this.bufferDaysFromRules(rules, networkId, buffer);
+    }
+
+    bufferDaysFromRules(rules, networkId, buffer) {
+        let isChannel = isChannelBuffer(buffer);
+        let bufferName = normaliseBuffer(buffer);
+        let group = isChannel ? '*channels' : '*pms';
+
+        // The most specific rule wins
+        let candidates = [
+            [networkId, bufferName],
+            [networkId, group],
+            [networkId, '*'],
+            [0, group],
+            [0, '*'],
+        ];
+        for (let [ruleNetworkId, ruleBuffer] of candidates) {
+            let rule = rules.find(r => r.network_id === ruleNetworkId && r.buffer === ruleBuffer);
+            if (rule) {
+                return rule.days;
+            }
+        }
+
+        return isChannel ? this.retentionDaysChannels : this.retentionDaysPMs;
+    }
+
+    // Messages older than this time should be removed, or null if they should all be kept
+    cutoffTime(days) {
+        if (days === RETENTION_FOREVER) {
+            return null;
+        }
+        if (days === RETENTION_NOLOG) {
+            // Logging is disabled so remove anything logged before it was
+            return Date.now();
+        }
+
+        let cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+        return cutoffDate.getTime();
+    }
+
+    async shouldLog(userId, networkId, buffer) {
+        return (await this.bufferDays(userId, networkId, buffer)) !== RETENTION_NOLOG;
+    }
+}
+
+LogRetention.RETENTION_FOREVER = RETENTION_FOREVER;
+LogRetention.RETENTION_NOLOG = RETENTION_NOLOG;
+LogRetention.isChannelBuffer = isChannelBuffer;
+
+module.exports = LogRetention;
+
+function isChannelBuffer(buffer) {
+    return buffer[0] === '#' || buffer[0] === '&';
+}
+
+// Buffer names are matched case insensitively
+function normaliseBuffer(buffer) {
+    return (buffer || '*').toLowerCase();
+}
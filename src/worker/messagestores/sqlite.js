@@ -2,18 +2,56 @@ const sqlite3 = require('better-sqlite3');
 const LRU = require('lru-cache');
 const Stats = require('../../libs/stats');
 const Helpers = require('../../libs/helpers');
+const MessageCrypt = require('./messagecrypt');
 
 const IrcMessage = require('irc-framework').Message;
 
 const MSG_TYPE_PRIVMSG = 1;
 const MSG_TYPE_NOTICE = 2;
+const MSG_TYPE_JOIN = 3;
+const MSG_TYPE_PART = 4;
+const MSG_TYPE_QUIT = 5;
+const MSG_TYPE_KICK = 6;
+const MSG_TYPE_NICK = 7;
+const MSG_TYPE_TOPIC = 8;
+const MSG_TYPE_MODE = 9;
+
+// Channel events that are logged alongside messages
+const EVENT_TYPES = {
+    JOIN: MSG_TYPE_JOIN,
+    PART: MSG_TYPE_PART,
+    QUIT: MSG_TYPE_QUIT,
+    KICK: MSG_TYPE_KICK,
+    NICK: MSG_TYPE_NICK,
+    TOPIC: MSG_TYPE_TOPIC,
+    MODE: MSG_TYPE_MODE,
+};
+
+const TYPE_COMMANDS = {
+    [MSG_TYPE_PRIVMSG]: 'PRIVMSG',
+    [MSG_TYPE_NOTICE]: 'NOTICE',
+};
+Object.keys(EVENT_TYPES).forEach(command => {
+    TYPE_COMMANDS[EVENT_TYPES[command]] = command;
+});
 
 class SqliteMessageStore {
-    constructor(config) {
+    constructor(config, retention) {
         this.supportsWrite = true;
         this.supportsRead = true;
 
         let loggingConf = config.get('logging', {});
+        // Per user, network and buffer retention rules (LogRetention), if available
+        this.retention = retention || null;
+        // Encrypted messages can still be read after turning encryption off as long as the
+        // crypt_key stays the same
+        let cryptKey = config.get('database.crypt_key', '');
+        this.crypt = typeof cryptKey === 'string' && cryptKey ? new MessageCrypt(cryptKey) : null;
+        this.encrypt = !!loggingConf.encrypt;
+        if (this.encrypt && !this.crypt) {
+            l.error('Message logs cannot be encrypted without a database.crypt_key. Logging in plain text');
+            this.encrypt = false;
+        }
         this.db = new sqlite3(config.relativePath(loggingConf.database));
         this.retentionDaysChannels = loggingConf.retention_days_channels || 0;
         this.retentionDaysPMs = loggingConf.retention_days_pms || 0;
@@ -34,7 +72,9 @@ class SqliteMessageStore {
         });
     }
 
-    async init() {
+    // Tools working on the database directly pass {retentionCleanup: false} so that messages aren't
+    // deleted from under them and no cleanup timer keeps the process running
+    async init({ retentionCleanup = true } = {}) {
         // SQLite performance optimizations
         this.db.pragma('journal_mode = WAL');
         this.db.pragma('synchronous = NORMAL');     // Safe with WAL, reduces fsync calls
@@ -74,6 +114,48 @@ class SqliteMessageStore {
             data BLOB UNIQUE
         )`);
 
+        // Full text index for searching messages. Only the text of PRIVMSG and NOTICE messages is
+        // indexed, so not nicks, hostmasks or message tags from the shared data table. Rows are keyed
+        // by their data id and the index keeps no copy of the text. Triggers add the text as messages
+        // are logged and remove it once its data has been cleaned up. Encrypted text is stored as a
+        // blob and can't be searched so it is left out of the index
+        let hasSearchIndex = !!this.db.prepare(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'message_fts'"
+        ).get();
+        // Replaced by message_fts, which indexed every row of the data table
+        this.db.exec(`DROP TRIGGER IF EXISTS data_fts_insert`);
+        this.db.exec(`DROP TRIGGER IF EXISTS data_fts_delete`);
+        this.db.exec(`DROP TABLE IF EXISTS data_fts`);
+
+        this.db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS message_fts USING fts5(text, content='', contentless_delete=1)`);
+        this.db.exec(`DROP TRIGGER IF EXISTS message_fts_insert`);
+        this.db.exec(`
+        CREATE TRIGGER message_fts_insert AFTER INSERT ON logs
+        WHEN new.type IN (${MSG_TYPE_PRIVMSG}, ${MSG_TYPE_NOTICE}) BEGIN
+            INSERT INTO message_fts(rowid, text)
+                SELECT id, data FROM data
+                WHERE id = new.dataref
+                    AND typeof(data) = 'text'
+                    AND NOT EXISTS (SELECT 1 FROM message_fts WHERE rowid = new.dataref);
+        END`);
+        this.db.exec(`DROP TRIGGER IF EXISTS message_fts_delete`);
+        this.db.exec(`
+        CREATE TRIGGER message_fts_delete AFTER DELETE ON data WHEN typeof(old.data) = 'text' BEGIN
+            DELETE FROM message_fts WHERE rowid = old.id;
+        END`);
+        if (!hasSearchIndex) {
+            l.info('Building the message search index. This may take a while on a large database');
+            this.db.exec(`
+                INSERT INTO message_fts(rowid, text)
+                SELECT id, data FROM data
+                WHERE
+                    typeof(data) = 'text'
+                    AND id IN (
+                        SELECT dataref FROM logs WHERE type IN (${MSG_TYPE_PRIVMSG}, ${MSG_TYPE_NOTICE})
+                    )
+            `);
+        }
+
         this.stmtInsertData = this.db.prepare("INSERT INTO data(data) values(?)");
         this.stmtInsertLogWithId = this.db.prepare(`
             INSERT INTO logs (
@@ -91,7 +173,8 @@ class SqliteMessageStore {
         `);
         this.stmtGetExistingDataId = this.db.prepare("SELECT id FROM data WHERE data = ?");
 
-        if (this.retentionDaysChannels > 0 || this.retentionDaysPMs > 0) {
+        let hasRetention = this.retentionDaysChannels > 0 || this.retentionDaysPMs > 0 || this.retention;
+        if (retentionCleanup && hasRetention) {
             const runCleanupTask = async () => {
                 if (this.cleanupRunning) return;
                 this.cleanupRunning = true;
@@ -108,6 +191,13 @@ class SqliteMessageStore {
                     // to avoid running expensive NOT EXISTS queries after every small batch
                     let allDeletedRows = [];
 
+                    // Users with their own retention rules are cleaned up separately below
+                    let ruleUserIds = this.retention ? await this.retention.userIdsWithRules() : [];
+                    this.db.exec('DROP TABLE IF EXISTS tmp_ret_users');
+                    this.db.exec('CREATE TEMP TABLE tmp_ret_users (id INTEGER PRIMARY KEY)');
+                    let stmtAddRuleUser = this.db.prepare('INSERT INTO tmp_ret_users (id) VALUES (?)');
+                    ruleUserIds.forEach(userId => stmtAddRuleUser.run(userId));
+
                     const processRetention = async (days, isChannel) => {
                         if (days <= 0) return;
                         let more = true;
@@ -149,7 +239,7 @@ class SqliteMessageStore {
                             while (true) {
                                 try {
                                     this.db.transaction(() => {
-                                        rows = this.runRetentionCleanup(days, isChannel, BATCH_SIZE, tempBufs);
+                                        rows = this.runRetentionCleanup(days, isChannel, BATCH_SIZE, tempBufs, 'tmp_ret_users');
                                     })();
                                     break;
                                 } catch (err) {
@@ -186,6 +276,14 @@ class SqliteMessageStore {
                         await processRetention(this.retentionDaysPMs, false);
                     }
 
+                    this.db.exec('DROP TABLE IF EXISTS tmp_ret_users');
+
+                    for (let userId of ruleUserIds) {
+                        let rows = await this.runUserRetentionCleanup(userId, BATCH_SIZE);
+                        allDeletedRows.push(...rows);
+                        totalDeleted += rows.length;
+                    }
+
                     // Run orphaned data cleanup once at the end instead of per-batch.
                     // runDataCleanup uses synchronous NOT EXISTS queries that block the
                     // event loop; doing it once reduces that blocking significantly.
@@ -216,10 +314,30 @@ class SqliteMessageStore {
 
             runCleanupTask();
             // Run cleanup periodically
-            setInterval(runCleanupTask, this.retentionCleanupInterval * 60 * 1000);
+            this.runCleanupTask = runCleanupTask;
+            this.cleanupTimer = setInterval(runCleanupTask, this.retentionCleanupInterval * 60 * 1000);
         }
     }
 
+    stop() {
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
+    }
+
+    // Pick up new retention settings after the config has been reloaded
+    applyRetentionConfig(config) {
+        let loggingConf = config.get('logging', {});
+        let interval = loggingConf.retention_cleanup_interval || 1440;
+        this.retentionDaysChannels = loggingConf.retention_days_channels || 0;
+        this.retentionDaysPMs = loggingConf.retention_days_pms || 0;
+
+        if (this.cleanupTimer && interval !== this.retentionCleanupInterval) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = setInterval(this.runCleanupTask, interval * 60 * 1000);
+        }
+        this.retentionCleanupInterval = interval;
+    }
+
     /**
      * Cleans up orphaned data in the 'data' table
      * @param {Array} deletedRows - The rows deleted from the 'logs' table
@@ -279,15 +397,21 @@ class SqliteMessageStore {
      * @param {number} days - Number of retention days
      * @param {boolean} isChannel - true for channels (#, &), false for PMs
      * @param {number} limit - Max number of rows to delete per batch
+     * @param {string} bufTableName - Optional temp table of matching buffer IDs
+     * @param {string} excludeUsersTable - Optional temp table of user IDs to leave alone
      * @returns {Array} Deleted rows with their references
      */
-    runRetentionCleanup(days, isChannel, limit, bufTableName) {
+    runRetentionCleanup(days, isChannel, limit, bufTableName, excludeUsersTable) {
         if (days <= 0) return [];
 
         let cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days);
         let cutoffTime = cutoffDate.getTime();
 
+        let excludeUsersSql = excludeUsersTable ?
+            `AND user_id NOT IN (SELECT id FROM ${excludeUsersTable})` :
+            '';
+
         let sql;
         if (bufTableName) {
             // Use the pre-computed temp table of buffer IDs (avoids repeated full table
@@ -298,6 +422,7 @@ class SqliteMessageStore {
                     SELECT l.rowid FROM logs l
                     INNER JOIN ${bufTableName} b ON l.bufferref = b.id
                     WHERE l.time < ?
+                    ${excludeUsersSql}
                     LIMIT ?
                 )
                 RETURNING bufferref, msgtagsref, dataref, prefixref, paramsref
@@ -312,6 +437,7 @@ class SqliteMessageStore {
                         SELECT id FROM data
                         WHERE data LIKE '#%' OR data LIKE '&%'
                     )
+                    ${excludeUsersSql}
                     LIMIT ?
                 )
                 RETURNING bufferref, msgtagsref, dataref, prefixref, paramsref
@@ -326,6 +452,7 @@ class SqliteMessageStore {
                         SELECT id FROM data
                         WHERE data NOT LIKE '#%' AND data NOT LIKE '&%'
                     )
+                    ${excludeUsersSql}
                     LIMIT ?
                 )
                 RETURNING bufferref, msgtagsref, dataref, prefixref, paramsref
@@ -337,9 +464,60 @@ class SqliteMessageStore {
         return rows;
     }
 
+    /**
+     * Deletes a users messages exceeding the retention period of each of their buffers, as set
+     * by their retention rules
+     * @param {number} userId - The user to clean up
+     * @param {number} limit - Max number of rows to delete per batch
+     * @returns {Array} Deleted rows with their references
+     */
+    async runUserRetentionCleanup(userId, limit) {
+        let rules = await this.retention.listRules(userId);
+        let buffers = this.db.prepare(`
+            SELECT DISTINCT logs.network_id, logs.bufferref, data.data as buffer
+            FROM logs
+            INNER JOIN data ON data.id = logs.bufferref
+            WHERE logs.user_id = ?
+        `).all(userId);
+
+        let stmt = this.db.prepare(`
+            DELETE FROM logs
+            WHERE rowid IN (
+                SELECT rowid FROM logs
+                WHERE user_id = ? AND bufferref = ? AND network_id = ? AND time < ?
+                LIMIT ?
+            )
+            RETURNING bufferref, msgtagsref, dataref, prefixref, paramsref
+        `);
+
+        let deletedRows = [];
+        for (let row of buffers) {
+            let days = this.retention.bufferDaysFromRules(rules, row.network_id, String(row.buffer));
+            let cutoffTime = this.retention.cutoffTime(days);
+            if (!cutoffTime) {
+                continue;
+            }
+
+            let rows = [];
+            do {
+                rows = stmt.all(userId, row.bufferref, row.network_id, cutoffTime, limit);
+                deletedRows.push(...rows);
+                if (rows.length > 0) {
+                    // Yield to the event loop between batches, the same as the global cleanup
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                }
+            } while (rows.length === limit);
+        }
+
+        l.info(`Retention cleanup (user ${userId}) removed ${deletedRows.length} messages`);
+        return deletedRows;
+    }
+
     // Insert a chunk of data into the data table if it doesn't already exist, returning its ID
     dataId(data) {
-        let cached = this.dataCache.get(data);
+        // Encrypted blobs aren't cached as Buffers can't be used as cache keys
+        let useCache = !Buffer.isBuffer(data);
+        let cached = useCache && this.dataCache.get(data);
         if (cached) {
             return cached;
         }
@@ -352,14 +530,16 @@ class SqliteMessageStore {
 
         let row = this.stmtGetExistingDataId.get(data);
         if (row && row.id) {
-            this.dataCache.set(data, row.id);
+            if (useCache) {
+                this.dataCache.set(data, row.id);
+            }
             return row.id;
         }
 
         return null;
     }
 
-    async getMessagesFromMsgId(userId, networkId, buffer, fromMsgId, length) {
+    async getMessagesFromMsgId(userId, networkId, buffer, fromMsgId, length, opts) {
         let messagesTmr = this.stats.timerStart('lookup.time');
 
         let stmt = this.db.prepare(`
@@ -384,6 +564,7 @@ class SqliteMessageStore {
                 logs.user_id = :user_id
                 AND logs.network_id = :network_id
                 AND logs.bufferref = (SELECT id FROM data WHERE data = :buffer)
+                ${typesSql(opts)}
                 AND logs.time > (SELECT time FROM logs WHERE msgid = :msgid)
             ORDER BY logs.time
             LIMIT :limit
@@ -396,13 +577,13 @@ class SqliteMessageStore {
             limit: length || 50,
         });
 
-        let messages = dbRowsToMessage(rows);
+        let messages = dbRowsToMessage(this.decryptRows(rows));
 
         messagesTmr.stop();
         return messages;
     }
 
-    async getMessagesFromTime(userId, networkId, buffer, fromTime, length) {
+    async getMessagesFromTime(userId, networkId, buffer, fromTime, length, opts) {
         let messagesTmr = this.stats.timerStart('lookup.time');
 
         let stmt = this.db.prepare(`
@@ -427,6 +608,7 @@ class SqliteMessageStore {
                 logs.user_id = :user_id
                 AND logs.network_id = :network_id
                 AND logs.bufferref = (SELECT id FROM data WHERE data = :buffer)
+                ${typesSql(opts)}
                 AND logs.time > :time
             ORDER BY logs.time
             LIMIT :limit
@@ -439,13 +621,13 @@ class SqliteMessageStore {
             limit: length || 50,
         });
 
-        let messages = dbRowsToMessage(rows);
+        let messages = dbRowsToMessage(this.decryptRows(rows));
 
         messagesTmr.stop();
         return messages;
     }
 
-    async getMessagesBeforeMsgId(userId, networkId, buffer, msgId, length) {
+    async getMessagesBeforeMsgId(userId, networkId, buffer, msgId, length, opts) {
         let messagesTmr = this.stats.timerStart('lookup.time');
 
         let stmt = this.db.prepare(`
@@ -470,6 +652,7 @@ class SqliteMessageStore {
                 logs.user_id = :user_id
                 AND logs.network_id = :network_id
                 AND logs.bufferref = (SELECT id FROM data WHERE data = :buffer)
+                ${typesSql(opts)}
                 AND logs.time <= (SELECT time FROM logs WHERE msgid = :msgid)
             ORDER BY logs.time DESC
             LIMIT :limit
@@ -484,13 +667,13 @@ class SqliteMessageStore {
         // We ordered the messages DESC in the query, so reverse them back into the correct order
         rows.reverse();
 
-        let messages = dbRowsToMessage(rows);
+        let messages = dbRowsToMessage(this.decryptRows(rows));
 
         messagesTmr.stop();
         return messages;
     }
 
-    async getMessagesBeforeTime(userId, networkId, buffer, fromTime, length) {
+    async getMessagesBeforeTime(userId, networkId, buffer, fromTime, length, opts) {
         let messagesTmr = this.stats.timerStart('lookup.time');
 
         let stmt = this.db.prepare(`
@@ -515,6 +698,7 @@ class SqliteMessageStore {
                 logs.user_id = :user_id
                 AND logs.network_id = :network_id
                 AND logs.bufferref = (SELECT id FROM data WHERE data = :buffer)
+                ${typesSql(opts)}
                 AND logs.time <= :time
             ORDER BY logs.time DESC
             LIMIT :limit
@@ -529,13 +713,13 @@ class SqliteMessageStore {
         // We ordered the messages DESC in the query, so reverse them back into the correct order
         rows.reverse();
 
-        let messages = dbRowsToMessage(rows);
+        let messages = dbRowsToMessage(this.decryptRows(rows));
 
         messagesTmr.stop();
         return messages;
     }
 
-    async getMessagesBetween(userId, networkId, buffer, from, to, length) {
+    async getMessagesBetween(userId, networkId, buffer, from, to, length, opts) {
         let messagesTmr = this.stats.timerStart('lookup.time');
 
         let fromSql = '';
@@ -587,6 +771,7 @@ class SqliteMessageStore {
                 logs.user_id = :user_id
                 AND logs.network_id = :network_id
                 AND logs.bufferref = (SELECT id FROM data WHERE data = :buffer)
+                ${typesSql(opts)}
                 ${fromSql}
                 ${toSql}
             ORDER BY logs.time DESC
@@ -596,12 +781,171 @@ class SqliteMessageStore {
         // We ordered the messages DESC in the query, so reverse them back into the correct order
         rows.reverse();
 
-        let messages = dbRowsToMessage(rows);
+        let messages = dbRowsToMessage(this.decryptRows(rows));
 
         messagesTmr.stop();
         return messages;
     }
 
+    // Messages centred on a msgid. The referenced message itself is included in the earlier
+    // half so that a client jumping to it always receives it
+    async getMessagesAroundMsgId(userId, networkId, buffer, msgId, length, opts) {
+        let limit = length || 50;
+        let numBefore = Math.ceil(limit / 2);
+
+        let before = await this.getMessagesBeforeMsgId(userId, networkId, buffer, msgId, numBefore, opts);
+        if (before.length === 0) {
+            // Unknown msgid, there is nothing to centre on
+            return [];
+        }
+
+        // A length of 0 means the default to the other lookups, so only ask when there is room
+        let numAfter = limit - before.length;
+        let after = numAfter > 0 ?
+            await this.getMessagesFromMsgId(userId, networkId, buffer, msgId, numAfter, opts) :
+            [];
+
+        // Near the end of the buffer, use the unused space for more of the earlier messages
+        if (after.length < numAfter && before.length === numBefore) {
+            before = await this.getMessagesBeforeMsgId(userId, networkId, buffer, msgId, limit - after.length, opts);
+        }
+
+        return before.concat(after);
+    }
+
+    // Messages centred on a timestamp. Messages at the exact time are included in the earlier half
+    async getMessagesAroundTime(userId, networkId, buffer, time, length, opts) {
+        let limit = length || 50;
+        let numBefore = Math.ceil(limit / 2);
+
+        let before = await this.getMessagesBeforeTime(userId, networkId, buffer, time, numBefore, opts);
+        let numAfter = limit - before.length;
+        let after = numAfter > 0 ?
+            await this.getMessagesFromTime(userId, networkId, buffer, time, numAfter, opts) :
+            [];
+
+        if (after.length < numAfter && before.length === numBefore) {
+            before = await this.getMessagesBeforeTime(userId, networkId, buffer, time, limit - after.length, opts);
+        }
+
+        return before.concat(after);
+    }
+
+    // List the buffers that have had messages between two times along with their latest message
+    // time. [{buffer: '#channel', time: 1234}]
+    // Ordered oldest first, or newest first if fromTime is later than toTime
+    async getBufferTargets(userId, networkId, fromTime, toTime, length) {
+        let messagesTmr = this.stats.timerStart('lookup.time');
+
+        let descending = fromTime > toTime;
+        let stmt = this.db.prepare(`
+            SELECT
+                d_buffer.data as buffer,
+                MAX(logs.time) as time
+            FROM logs
+            LEFT JOIN data d_buffer ON logs.bufferref = d_buffer.id
+            WHERE
+                logs.user_id = :user_id
+                AND logs.network_id = :network_id
+                AND logs.time >= :from_time
+                AND logs.time < :to_time
+                AND logs.type IN (:type_privmsg, :type_notice)
+            GROUP BY logs.bufferref
+            ORDER BY time ${descending ? 'DESC' : 'ASC'}
+            LIMIT :limit
+        `);
+        let rows = stmt.all({
+            user_id: userId,
+            network_id: networkId,
+            from_time: Math.min(fromTime, toTime),
+            to_time: Math.max(fromTime, toTime),
+            type_privmsg: MSG_TYPE_PRIVMSG,
+            type_notice: MSG_TYPE_NOTICE,
+            limit: length || 50,
+        });
+
+        messagesTmr.stop();
+        return rows
+            .filter(row => row.buffer)
+            .map(row => ({ buffer: row.buffer.toString(), time: row.time }));
+    }
+
+    // Full text search over PRIVMSG/NOTICE text, newest matches first. Returns the matching
+    // messages along with the buffer each one belongs to. [{buffer: '#channel', message: IrcMessage}]
+    // opts: {buffer, nick, after, before} with after/before as times, all optional
+    async searchMessages(userId, networkId, text, opts = {}, length) {
+        let query = ftsQuery(text);
+        if (!query) {
+            return [];
+        }
+
+        let messagesTmr = this.stats.timerStart('search.time');
+
+        let filterSql = [];
+        let sqlParams = {
+            user_id: userId,
+            network_id: networkId,
+            query: query,
+            limit: length || 50,
+        };
+
+        if (opts.buffer) {
+            filterSql.push('AND logs.bufferref = (SELECT id FROM data WHERE data = :buffer)');
+            sqlParams.buffer = opts.buffer;
+        }
+        if (opts.nick) {
+            filterSql.push('AND LOWER(CAST(d_prefix.data AS TEXT)) = LOWER(:nick)');
+            sqlParams.nick = opts.nick;
+        }
+        if (opts.after) {
+            filterSql.push('AND logs.time > :after');
+            sqlParams.after = opts.after;
+        }
+        if (opts.before) {
+            filterSql.push('AND logs.time < :before');
+            sqlParams.before = opts.before;
+        }
+
+        let stmt = this.db.prepare(`
+            SELECT
+                logs.user_id,
+                logs.network_id,
+                d_buffer.data as buffer,
+                logs.time,
+                logs.type,
+                logs.msgid,
+                d_msgtags.data as msgtags,
+                d_params.data as params,
+                d_data.data as data,
+                d_prefix.data as prefix
+            FROM message_fts
+            INNER JOIN logs ON logs.dataref = message_fts.rowid
+            LEFT JOIN data d_buffer ON logs.bufferref = d_buffer.id
+            LEFT JOIN data d_msgtags ON logs.msgtagsref = d_msgtags.id
+            LEFT JOIN data d_params ON logs.paramsref = d_params.id
+            LEFT JOIN data d_data ON logs.dataref = d_data.id
+            LEFT JOIN data d_prefix ON logs.prefixref = d_prefix.id
+            WHERE
+                message_fts MATCH :query
+                AND logs.user_id = :user_id
+                AND logs.network_id = :network_id
+                ${typesSql()}
+                ${filterSql.join('\n')}
+            ORDER BY logs.time DESC
+            LIMIT :limit
+        `);
+        let rows = stmt.all(sqlParams);
+
+        let messages = dbRowsToMessage(this.decryptRows(rows));
+        let results = rows.map((row, idx) => ({
+            buffer: String(row.buffer),
+            message: messages[idx],
+        }));
+
+        messagesTmr.stop();
+        return results;
+    }
+
     getNthLatestMessageTime(userId, networkId, buffer, n) {
         // OFFSET n returns the (n+1)th most recent message; combined with
         // `time > result` in countMessagesSince this yields exactly n messages
@@ -669,7 +1013,7 @@ class SqliteMessageStore {
         let userId = conState.authUserId;
         let networkId = conState.authNetworkId;
 
-        let bufferName = '';
+        let bufferNames = [];
         let type = 0;
         let data = '';
         let params = '';
@@ -692,20 +1036,29 @@ class SqliteMessageStore {
 
         if (message.command === 'PRIVMSG') {
             type = MSG_TYPE_PRIVMSG;
-            bufferName = Helpers.extractBufferName(upstreamCon, message, 0);
+            bufferNames = args.bufferNames || [Helpers.extractBufferName(upstreamCon, message, 0)];
             data = message.params[1];
             params = message.params.slice(0, message.params.length - 1).join(' ');
             msgId = message.tags['draft/msgid'] || message.tags['msgid'] || '';
         } else if (message.command === 'NOTICE') {
             type = MSG_TYPE_NOTICE;
-            bufferName = Helpers.extractBufferName(upstreamCon, message, 0);
+            bufferNames = args.bufferNames || [Helpers.extractBufferName(upstreamCon, message, 0)];
             // We store the last param as data so that it is searchable in future
             data = message.params[1];
             params = message.params.slice(0, message.params.length - 1).join(' ');
             msgId = message.tags['draft/msgid'] || message.tags['msgid'] || '';
+        } else if (EVENT_TYPES[message.command]) {
+            type = EVENT_TYPES[message.command];
+            // QUIT and NICK have no buffer of their own so their buffers were worked out when queued
+            bufferNames = args.bufferNames || [message.params[0]];
+            data = message.params[message.params.length - 1] || '';
+            params = message.params.slice(0, message.params.length - 1).join(' ');
+            msgId = message.tags['draft/msgid'] || message.tags['msgid'] || '';
+            // Keep the full mask so that playback shows who joined or left, or the server for MODEs
+            prefix = message.prefix || message.nick;
         }
 
-        if (!type) {
+        if (!type || bufferNames.length === 0) {
             this.storeQueueLooping = false;
             return;
         }
@@ -718,24 +1071,25 @@ class SqliteMessageStore {
             // track the open transaction, causing runDataCleanup to wrongly think the db is free and
             // start its own write transaction, which results in SQLITE_BUSY.
             this.db.transaction(() => {
-                let bufferId = this.dataId(bufferName);
-                let dataId = this.dataId(data);
+                let dataId = this.dataId(this.encrypt ? this.crypt.encrypt(userId, data) : data);
                 let msgtagsId = this.dataId(JSON.stringify(message.tags));
                 let prefixId = this.dataId(prefix);
                 let paramsId = this.dataId(params);
 
-                this.stmtInsertLogWithId.run(
-                    userId,
-                    networkId,
-                    bufferId,
-                    time.getTime(),
-                    type,
-                    msgId,
-                    msgtagsId,
-                    dataId,
-                    prefixId,
-                    paramsId,
-                );
+                bufferNames.forEach(bufferName => {
+                    this.stmtInsertLogWithId.run(
+                        userId,
+                        networkId,
+                        this.dataId(bufferName),
+                        time.getTime(),
+                        type,
+                        msgId,
+                        msgtagsId,
+                        dataId,
+                        prefixId,
+                        paramsId,
+                    );
+                });
             })();
         } catch (err) {
             if (err.code === 'SQLITE_BUSY') {
@@ -754,11 +1108,80 @@ class SqliteMessageStore {
         setImmediate(() => this.storeMessageLoop());
     }
 
-    async storeMessage(message, upstreamCon, clientCon) {
-        this.storeQueue.push({message, upstreamCon, clientCon});
+    async storeMessage(message, upstreamCon, clientCon, opts = {}) {
+        // opts.bufferNames is set when some buffers are excluded from logging by retention rules.
+        // Otherwise the user will have been removed or renamed in our buffers by the time the
+        // queue gets to this message, so find where it should be logged now
+        let bufferNames = opts.bufferNames || null;
+        if (!bufferNames && (message.command === 'QUIT' || message.command === 'NICK')) {
+            bufferNames = Helpers.extractSharedBufferNames(upstreamCon, message.nick);
+        }
+
+        this.storeQueue.push({message, upstreamCon, clientCon, bufferNames});
         this.storeMessageLoop();
     }
 
+    // Decrypt the message text of rows read from the database
+    decryptRows(rows) {
+        rows.forEach(row => {
+            if (MessageCrypt.isEncrypted(row.data)) {
+                row.data = this.crypt ? this.crypt.decrypt(row.user_id, row.data) : '';
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Encrypts the text of messages that were logged in plain text, in batches. Used by the
+     * encryptlogs action
+     * @param {number} limit - Max number of messages to encrypt per batch
+     * @returns {number} The number of encrypted messages
+     */
+    async encryptExistingMessages(limit) {
+        if (!this.crypt) {
+            throw new Error('Message logs cannot be encrypted without a database.crypt_key');
+        }
+
+        let stmtSelect = this.db.prepare(`
+            SELECT logs.rowid, logs.user_id, logs.dataref, data.data
+            FROM logs
+            INNER JOIN data ON data.id = logs.dataref
+            WHERE logs.rowid > ? AND typeof(data.data) = 'text'
+            ORDER BY logs.rowid
+            LIMIT ?
+        `);
+        let stmtUpdate = this.db.prepare('UPDATE logs SET dataref = ? WHERE rowid = ?');
+
+        let lastRowId = 0;
+        let total = 0;
+        let rows = [];
+        do {
+            this.db.transaction(() => {
+                rows = stmtSelect.all(lastRowId, limit);
+                rows.forEach(row => {
+                    stmtUpdate.run(this.dataId(this.crypt.encrypt(row.user_id, row.data)), row.rowid);
+                });
+            })();
+
+            if (rows.length > 0) {
+                lastRowId = rows[rows.length - 1].rowid;
+                total += rows.length;
+                // Remove the plain text once nothing else refers to it
+                this.runDataCleanup(rows.map(row => ({ dataref: row.dataref })));
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        } while (rows.length === limit);
+
+        return total;
+    }
+
+    // Wait for any queued messages to be written
+    async flush() {
+        while (this.storeQueue.length > 0 || this.storeQueueLooping) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
     deleteUserMessages(userId) {
         this.db.prepare('DELETE FROM logs WHERE user_id = ?').run(userId);
     }
@@ -766,21 +1189,37 @@ class SqliteMessageStore {
 
 module.exports = SqliteMessageStore;
 
+// Only PRIVMSG and NOTICE are read back unless opts.events is set
+function typesSql(opts) {
+    return opts && opts.events ?
+        '' :
+        `AND logs.type IN (${MSG_TYPE_PRIVMSG}, ${MSG_TYPE_NOTICE})`;
+}
+
+// Turn user entered text into an FTS5 query matching all of the words, so that characters
+// such as quotes or '-' aren't treated as query syntax
+function ftsQuery(text) {
+    return (text || '')
+        .split(/\s+/)
+        .filter(word => !!word)
+        .map(word => '"' + word.replace(/"/g, '""') + '"')
+        .join(' ');
+}
+
 function dbRowsToMessage(rows) {
     return rows.map((row) => {
         let m = new IrcMessage();
-        if (row.type === MSG_TYPE_PRIVMSG) {
-            m.command = 'PRIVMSG';
-        } else if (row.type === MSG_TYPE_NOTICE) {
-            m.command = 'NOTICE';
+        if (TYPE_COMMANDS[row.type]) {
+            m.command = TYPE_COMMANDS[row.type];
         } else {
-            l.error('Read message from SQLite with unknown command:', m.type);
+            l.error('Read message from SQLite with unknown command:', row.type);
         }
 
         m.prefix = row.prefix;
         m.tags = JSON.parse(row.msgtags);
         m.tags.time = m.tags.time || Helpers.isoTime(new Date(row.time));
-        m.params = row.params.split(' ');
+        // Events such as JOIN only have the one param which is stored as data
+        m.params = row.params ? row.params.split(' ') : [];
         m.params.push(row.data);
 
         return m;
@@ -1,5 +1,6 @@
 const { mParam, mParamU, parseMask, modeTypes, parseMode, parsePrefixes, getModesStatus } = require('../libs/helpers');
 const msgIdGenerator = require('../libs/msgIdGenerator');
+const Scram = require('../libs/scram');
 const hooks = require('./hooks');
 
 let commands = Object.create(null);
@@ -11,6 +12,123 @@ function endCapNegotiation(con) {
     con.writeLine('CAP', 'END');
 }
 
+// SASL mechanisms we can authenticate with, strongest first. Limited to the mechanisms the
+// server supports when it has told us them
+function saslMechanisms(con) {
+    let sasl = con.state.sasl;
+    let mechanisms = [];
+    if (sasl.external) {
+        mechanisms.push('EXTERNAL');
+    }
+    if (sasl.account && sasl.password) {
+        // Only tried when the server lists it so that servers without it still get PLAIN
+        if ((con.state.tempGet('sasl_offered') || []).includes('SCRAM-SHA-256')) {
+            mechanisms.push('SCRAM-SHA-256');
+        }
+        mechanisms.push('PLAIN');
+    }
+
+    let offered = con.state.tempGet('sasl_offered');
+    if (offered) {
+        mechanisms = mechanisms.filter(mechanism => offered.includes(mechanism));
+    }
+
+    return mechanisms;
+}
+
+// Start authenticating with the next mechanism we haven't tried yet. Returns false once every
+// mechanism has been tried
+async function nextSaslMechanism(con) {
+    let tried = con.state.tempGet('sasl_tried') || [];
+    let mechanism = saslMechanisms(con).find(mechanism => {
+        // A password rejected over SCRAM would only be rejected again, but in the clear
+        if (mechanism === 'PLAIN' && tried.includes('SCRAM-SHA-256')) {
+            return false;
+        }
+        return !tried.includes(mechanism);
+    });
+    if (!mechanism) {
+        return false;
+    }
+
+    await con.state.tempSet({
+        sasl_mechanism: mechanism,
+        sasl_tried: [...tried, mechanism],
+        sasl_scram: null,
+        sasl_received: null,
+    });
+    con.writeLine('AUTHENTICATE ' + mechanism);
+    return true;
+}
+
+// Send an AUTHENTICATE payload, split into 400 byte chunks with an empty chunk if the last
+// one was full so the server knows there is no more to come
+function writeAuthenticate(con, payload) {
+    let b64 = Buffer.from(payload, 'utf8').toString('base64');
+
+    while (b64.length >= 400) {
+        con.writeLine('AUTHENTICATE ' + b64.slice(0, 400));
+        b64 = b64.slice(400);
+    }
+    if (b64.length > 0) {
+        con.writeLine('AUTHENTICATE ' + b64);
+    } else {
+        con.writeLine('AUTHENTICATE +');
+    }
+}
+
+// Servers split their AUTHENTICATE payloads the same way. Returns the decoded payload once
+// the last chunk arrives, or null while more are expected
+async function accumulateAuthenticate(con, chunk) {
+    let received = (con.state.tempGet('sasl_received') || '') + (chunk === '+' ? '' : chunk);
+
+    if (chunk.length === 400) {
+        await con.state.tempSet('sasl_received', received);
+        return null;
+    }
+
+    await con.state.tempSet('sasl_received', null);
+    return Buffer.from(received, 'base64').toString('utf8');
+}
+
+// The client side of a SCRAM-SHA-256 exchange, one step per message from the server
+async function authenticateScram(con, chunk) {
+    let payload = await accumulateAuthenticate(con, chunk);
+    if (payload === null) {
+        return;
+    }
+
+    let sasl = con.state.sasl;
+    let scram = con.state.tempGet('sasl_scram');
+
+    if (!scram) {
+        let first = Scram.clientFirst(sasl.account);
+        await con.state.tempSet('sasl_scram', {
+            clientFirstBare: first.clientFirstBare,
+            nonce: first.nonce,
+        });
+        writeAuthenticate(con, first.message);
+    } else if (!scram.serverSignature) {
+        let final = null;
+        try {
+            final = await Scram.clientFinal(sasl.password, scram.clientFirstBare, scram.nonce, payload);
+        } catch (err) {
+            l.warn(`Aborting SCRAM authentication, ${err.message} ${con.id}`);
+            con.writeLine('AUTHENTICATE *');
+            return;
+        }
+
+        await con.state.tempSet('sasl_scram', { ...scram, serverSignature: final.serverSignature });
+        writeAuthenticate(con, final.message);
+    } else if (Scram.verifyServerFinal(payload, scram.serverSignature)) {
+        con.writeLine('AUTHENTICATE +');
+    } else {
+        // The server doesn't know our password so it isn't who it claims to be
+        l.warn(`SCRAM server signature did not match, aborting authentication ${con.id}`);
+        con.writeLine('AUTHENTICATE *');
+    }
+}
+
 // CAP LS/LIST/ACK replies can span multiple '*'-continued lines. Stash the
 // continuations under `key`; return the full token list on the final line, or
 // null while more lines are still expected.
@@ -45,6 +163,107 @@ module.exports.run = async function run(msg, con) {
     return con.state.receivedMotd;
 };
 
+// Nicks longer than this may be truncated by older servers, which would then be in use again
+const SAFE_NICK_LENGTH = 9;
+
+// The next nick to try while registering when ours is in use. The networks alt nicks are tried
+// first, then a suffix is added
+async function nextRegistrationNick(con) {
+    let desired = con.state.tempGet('desired_nick') || con.state.nick;
+    let attempt = (con.state.tempGet('nick_attempt') || 0) + 1;
+    await con.state.tempSet('nick_attempt', attempt);
+
+    let altNicks = con.state.altNicks || [];
+    if (attempt <= altNicks.length) {
+        return altNicks[attempt - 1];
+    }
+
+    if (con.state.nickSuffix === 'digits') {
+        let digits = String(attempt - altNicks.length);
+        return desired.substr(0, SAFE_NICK_LENGTH - digits.length) + digits;
+    }
+
+    let nick = con.state.nick;
+    if (nick.length < 8) {
+        return nick + '_';
+    }
+
+    // Switch the last character to an incrimenting digit
+    let digit = parseInt(nick[nick.length - 1], 10);
+    if (isNaN(digit)) {
+        digit = 0;
+    }
+    return nick.substr(0, nick.length - 1) + (digit + 1);
+}
+
+function isDesiredNick(con, nick) {
+    let desired = con.state.tempGet('desired_nick');
+    return !!desired && !!nick && desired.toLowerCase() === nick.toLowerCase();
+}
+
+// Once registered under another nick, watch for the nick we want to become free. NickServ may
+// be asked to free it for us if we are logged into an account
+async function startNickRegain(con) {
+    let desired = con.state.tempGet('desired_nick');
+    if (!desired) {
+        return;
+    }
+
+    if (isDesiredNick(con, con.state.nick)) {
+        await stopNickRegain(con);
+        return;
+    }
+
+    l.debug(`Nick ${desired} in use, watching for it to become free`);
+
+    let sasl = con.state.sasl;
+    if (con.state.nickservRegain && con.state.account && sasl.account && sasl.password) {
+        con.writeLine('PRIVMSG', 'NickServ', `${con.state.nickservRegain.toUpperCase()} ${desired}`);
+    }
+
+    let hasMonitor = con.state.isupports.some(token => token === 'MONITOR' || token.indexOf('MONITOR=') === 0);
+    if (hasMonitor) {
+        await con.state.tempSet('nick_monitor', desired);
+        con.writeLine('MONITOR', '+', desired);
+    }
+}
+
+async function stopNickRegain(con) {
+    let monitored = con.state.tempGet('nick_monitor');
+    if (monitored) {
+        con.writeLine('MONITOR', '-', monitored);
+    }
+
+    await con.state.tempSet({
+        desired_nick: null,
+        nick_attempt: null,
+        nick_monitor: null,
+        nick_regain_sent: null,
+    });
+}
+
+// A nick has become free, take it if it is the one we want
+async function maybeRegainNick(con, freedNick) {
+    if (!con.state.netRegistered || !isDesiredNick(con, freedNick) || isDesiredNick(con, con.state.nick)) {
+        return;
+    }
+
+    // Using an away nick until a client attaches again
+    if (con.state.tempGet('away_nick_from')) {
+        return;
+    }
+
+    await con.state.tempSet('nick_regain_sent', true);
+    con.writeLine('NICK', con.state.tempGet('desired_nick'));
+}
+
+// MONITOR replies only for the nick we are watching are not for clients
+function isOnlyMonitoringOurNick(con, msg) {
+    let monitored = con.state.tempGet('nick_monitor');
+    let targets = (msg.params[1] || '').split(',').map(target => target.split('!')[0]);
+    return !!monitored && targets.length === 1 && targets[0].toLowerCase() === monitored.toLowerCase();
+}
+
 commands['CAP'] = async function(msg, con) {
     let wantedCaps = new Set([
         'server-time',
@@ -68,6 +287,10 @@ commands['CAP'] = async function(msg, con) {
             return false;
         }
 
+        // CAP 302 servers list their SASL mechanisms, eg. sasl=EXTERNAL,PLAIN
+        let saslCap = offeredCaps.find(cap => cap.toLowerCase().startsWith('sasl='));
+        await con.state.tempSet('sasl_offered', saslCap ? saslCap.substr(5).toUpperCase().split(',') : null);
+
         // Make a list of CAPs we want to REQ
         let requestingCaps = offeredCaps
             .filter((cap) => (
@@ -168,9 +391,13 @@ commands['CAP'] = async function(msg, con) {
 
         //TODO: Handle case of sasl defined but no ack given for it.
         // probably an option to either continue on no/bad sasl auth or abort connection.
-        if (acks.includes('sasl') && con.state.sasl.account && con.state.sasl.password) {
-            con.writeLine('AUTHENTICATE PLAIN');
-        } else if (!con.state.receivedMotd) {
+        let authenticating = false;
+        if (acks.includes('sasl')) {
+            await con.state.tempSet('sasl_tried', null);
+            authenticating = await nextSaslMechanism(con);
+        }
+
+        if (!authenticating && !con.state.receivedMotd) {
             endCapNegotiation(con);
         }
     }
@@ -179,27 +406,29 @@ commands['CAP'] = async function(msg, con) {
 };
 
 commands['AUTHENTICATE'] = async function(msg, con) {
-    if (mParamU(msg, 0, '') === '+') {
+    let mechanism = con.state.tempGet('sasl_mechanism');
+
+    if (mechanism === 'SCRAM-SHA-256') {
+        await authenticateScram(con, mParam(msg, 0, ''));
+    } else if (mParamU(msg, 0, '') === '+' && mechanism === 'EXTERNAL') {
+        // The network identifies us by our client certificate so there is nothing to send
+        con.writeLine('AUTHENTICATE +');
+    } else if (mParamU(msg, 0, '') === '+') {
         let sasl = con.state.sasl;
-        let authStr = `${sasl.account}\0${sasl.account}\0${sasl.password}`;
-        let b = new Buffer.from(authStr, 'utf8');
-        let b64 = b.toString('base64');
-
-        while (b64.length >= 400) {
-            con.writeLine('AUTHENTICATE ' + b64.slice(0, 399));
-            b64 = b64.slice(399);
-        }
-        if (b64.length > 0) {
-            con.writeLine('AUTHENTICATE ' + b64);
-        } else {
-            con.writeLine('AUTHENTICATE +');
-        }
+        writeAuthenticate(con, `${sasl.account}\0${sasl.account}\0${sasl.password}`);
     }
     if (!con.state.netRegistered) {
         return false;
     }
 };
 
+// :server 908 <nick> PLAIN,EXTERNAL :are available SASL mechanisms
+commands['908'] = async function(msg, con) {
+    if (!con.state.netRegistered) {
+        await con.state.tempSet('sasl_offered', mParamU(msg, 1, '').split(','));
+    }
+};
+
 // :jaguar.test 903 jilles :SASL authentication successful
 commands['903'] = async function(msg, con) {
     if (!con.state.netRegistered) {
@@ -210,11 +439,18 @@ commands['903'] = async function(msg, con) {
 // :server 904 <nick> :SASL authentication failed
 commands['904'] = async function(msg, con) {
     if (!con.state.netRegistered) {
+        if (await nextSaslMechanism(con)) {
+            return;
+        }
+
         await con.state.tempSet('irc_error','Invalid network login');
         con.close();
     }
 };
 
+// :server 906 <nick> :SASL authentication aborted
+commands['906'] = commands['904'];
+
 commands['001'] = async function(msg, con) {
     con.state.nick = msg.params[0];
     con.state.serverPrefix = msg.prefix || '';
@@ -222,6 +458,9 @@ commands['001'] = async function(msg, con) {
     con.state.registrationLines.push([msg.command, msg.params.slice(1)]);
     con.state.markDirty();
 
+    // Stay on this server but give every server another chance if it fails later
+    await con.state.tempSet('server_attempts', null);
+
     // Start throttling messages sent to the server so we don't get flooded off
     con.throttle(config.get('connections.write_throttle', 500));
 
@@ -279,6 +518,14 @@ commands['376'] = async function(msg, con) {
             clientCon.registerClient();
         });
 
+        // Still detached from every client since we were marked away
+        let awayMessage = con.state.tempGet('set_away');
+        if (awayMessage) {
+            con.writeLine('AWAY', typeof awayMessage === 'string' ? awayMessage : 'away');
+        }
+
+        await startNickRegain(con);
+
         for (let buffName in con.state.buffers) {
             let b = con.state.buffers[buffName];
             if (b.isChannel) {
@@ -380,6 +627,12 @@ commands.PART = async function(msg, con) {
 };
 
 commands.KICK = async function(msg, con) {
+    msgIdGenerator.add(msg);
+
+    if (con.state.logging && con.state.netRegistered) {
+        await con.messages.storeMessage(msg, con, null);
+    }
+
     let chanName = msg.params[0];
     let chan = con.state.getBuffer(chanName);
     let kickedNick = msg.params[1];
@@ -399,6 +652,14 @@ commands.KICK = async function(msg, con) {
 };
 
 commands.QUIT = async function(msg, con) {
+    msgIdGenerator.add(msg);
+
+    // Must be stored before the user is removed from our buffers so that the message store
+    // knows which buffers they quit from
+    if (con.state.logging && con.state.netRegistered) {
+        await con.messages.storeMessage(msg, con, null);
+    }
+
     let nick = msg.nick;
 
     for (let bufferName in con.state.buffers) {
@@ -406,6 +667,24 @@ commands.QUIT = async function(msg, con) {
     }
 
     con.state.markDirty();
+
+    await maybeRegainNick(con, nick);
+};
+
+commands.TOPIC = async function(msg, con) {
+    msgIdGenerator.add(msg);
+
+    let channel = con.state.getBuffer(msg.params[0]);
+    if (!channel) {
+        return;
+    }
+
+    if (con.state.logging && con.state.netRegistered) {
+        await con.messages.storeMessage(msg, con, null);
+    }
+
+    channel.topic = msg.params[1] || '';
+    con.state.markDirty();
 };
 
 // RPL_TOPIC
@@ -423,24 +702,41 @@ commands['332'] = async function(msg, con) {
 commands['433'] = async function(msg, con) {
     // Only auto change our nick if we're still trying to connect
     if (con.state.netRegistered) {
+        // Our attempt to regain our nick lost the race. Clients didn't ask for it
+        if (con.state.tempGet('nick_regain_sent') && isDesiredNick(con, msg.params[1])) {
+            await con.state.tempSet('nick_regain_sent', null);
+            return false;
+        }
+
         return true;
     }
 
-    if (con.state.nick.length < 8) {
-        con.state.nick = con.state.nick + '_';
-    } else {
-        // Switch the last character to an incrimenting digit
-        let lastChar = con.state.nick[con.state.nick.length - 1];
-        let digit = parseInt(lastChar, 10);
-        if (isNaN(digit)) {
-            digit = 0;
-        }
-        let nick = con.state.nick;
-        let len = nick.length;
-        con.state.nick = nick.substr(0, len - 1) + (digit + 1)
+    con.state.nick = await nextRegistrationNick(con);
+    con.writeLine('NICK', con.state.nick);
+};
+
+// ERR_UNAVAILRESOURCE - nick is temporarily unavailable
+commands['437'] = commands['433'];
+
+// RPL_MONONLINE
+commands['730'] = async function(msg, con) {
+    if (isOnlyMonitoringOurNick(con, msg)) {
+        return false;
     }
+};
 
-    con.writeLine('NICK', con.state.nick);
+// RPL_MONOFFLINE
+commands['731'] = async function(msg, con) {
+    let nicks = (msg.params[1] || '').split(',');
+    let desired = nicks.find(nick => isDesiredNick(con, nick));
+    let onlyOurs = isOnlyMonitoringOurNick(con, msg);
+    if (desired) {
+        await maybeRegainNick(con, desired);
+    }
+
+    if (onlyOurs) {
+        return false;
+    }
 };
 
 commands.NICK = async function(msg, con) {
@@ -459,6 +755,9 @@ commands.NICK = async function(msg, con) {
     if (msg.nick.toLowerCase() !== con.state.nick.toLowerCase()) {
         l.trace(`Someone changed their nick from ${msg.nick} to ${msg.params[0]}`);
 
+        // The nick we want may have just become free
+        await maybeRegainNick(con, msg.nick);
+
         // Someone elses nick changed. Update any buffers we have to their new nick
         let buffer = con.state.getBuffer(msg.nick);
         if (!buffer) {
@@ -475,6 +774,11 @@ commands.NICK = async function(msg, con) {
         // Our nick changed, keep track of it
         con.state.nick = msg.params[0];
         con.state.markDirty();
+
+        if (isDesiredNick(con, con.state.nick)) {
+            l.debug(`Regained nick ${con.state.nick}`);
+            await stopNickRegain(con);
+        }
     }
 };
 
@@ -599,6 +903,12 @@ commands.MODE = async function(msg, con) {
         return;
     }
 
+    // User modes are not part of any buffer history
+    if (parsedModes.isChannel && con.state.logging && con.state.netRegistered) {
+        msgIdGenerator.add(msg);
+        await con.messages.storeMessage(msg, con, null);
+    }
+
     let updateStatus = false;
 
     parsedModes.modes.forEach((m) => {
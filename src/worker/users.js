@@ -2,6 +2,7 @@ const bcrypt = require('bcrypt');
 const Helpers = require('../libs/helpers');
 const { BncError } = require('../libs/errors');
 const tokens = require('../libs/tokens');
+const Vhosts = require('../libs/vhosts');
 
 class Users {
     constructor(db) {
@@ -171,6 +172,139 @@ class Users {
             .delete();
     }
 
+    // Client certificates that log a user in with SASL EXTERNAL
+    async authUserCertFingerprint(fingerprint, username) {
+        if (!fingerprint || (username && !Helpers.validUsername(username))) {
+            return null;
+        }
+
+        let query = this.db.dbUsers('users')
+            .select('users.*')
+            .innerJoin('user_certfps', 'user_certfps.user_id', 'users.id')
+            .where('user_certfps.fingerprint', fingerprint.toLowerCase())
+            .where('locked', '!=', true);
+
+        if (username) {
+            query.where('username', 'LIKE', username);
+        }
+
+        return query.first().then(this.db.factories.User.fromDbResult);
+    }
+
+    async getUserCertFingerprints(userId) {
+        return this.db.dbUsers('user_certfps').where('user_id', userId).orderBy('id');
+    }
+
+    async addUserCertFingerprint(userId, fingerprint) {
+        fingerprint = fingerprint.toLowerCase();
+        let existing = await this.db.dbUsers('user_certfps').where('fingerprint', fingerprint).first();
+        if (existing) {
+            throw new BncError('UserError', 'certfp_exists', 'Certificate already in use');
+        }
+
+        await this.db.dbUsers('user_certfps').insert({
+            user_id: userId,
+            fingerprint: fingerprint,
+            created_at: Helpers.now(),
+        });
+    }
+
+    async removeUserCertFingerprint(userId, fingerprint) {
+        return this.db.dbUsers('user_certfps')
+            .where('user_id', userId)
+            .where('fingerprint', fingerprint.toLowerCase())
+            .delete();
+    }
+
+    // Addresses given to users from the IPv6 vhost pools
+    async getUserVhost(userId) {
+        return this.db.dbUsers('user_vhosts').where('user_id', userId).first();
+    }
+
+    async getVhosts() {
+        return this.db.dbUsers('user_vhosts')
+            .innerJoin('users', 'users.id', 'user_vhosts.user_id')
+            .select('user_vhosts.*', 'users.username')
+            .orderBy('user_vhosts.id');
+    }
+
+    // Give a user an address from the pools, either the one asked for or a free one
+    async assignUserVhost(userId, address) {
+        let prefixes = Vhosts.configPrefixes();
+        if (prefixes.length === 0) {
+            throw new BncError('UserError', 'no_vhost_prefixes', 'No vhost prefixes are configured');
+        }
+
+        if (address) {
+            address = Vhosts.normaliseAddress(address);
+            if (!address || !Vhosts.findPrefix(prefixes, address)) {
+                throw new BncError('UserError', 'vhost_not_in_pool', 'Address is not in a vhost prefix');
+            }
+
+            let existing = await this.db.dbUsers('user_vhosts').where('address', address).first();
+            if (existing && existing.user_id !== userId) {
+                throw new BncError('UserError', 'vhost_in_use', 'Address is already assigned');
+            }
+        } else {
+            address = await this.findFreeVhost(prefixes, userId);
+            if (!address) {
+                throw new BncError('UserError', 'vhost_pool_full', 'No free addresses in the vhost prefixes');
+            }
+        }
+
+        await this.db.dbUsers('user_vhosts').where('user_id', userId).delete();
+        await this.db.dbUsers('user_vhosts').insert({
+            user_id: userId,
+            address: address,
+            created_at: Helpers.now(),
+        });
+
+        return address;
+    }
+
+    async findFreeVhost(prefixes, userId) {
+        // The first tries give a user the same address they had before, if it's still free
+        for (let prefix of prefixes) {
+            for (let attempt = 0; attempt < 64; attempt++) {
+                let address = Vhosts.addressForSeed(prefix, userId, attempt);
+                let existing = await this.db.dbUsers('user_vhosts').where('address', address).first();
+                if (!existing || existing.user_id === userId) {
+                    return address;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async releaseUserVhost(userId) {
+        return this.db.dbUsers('user_vhosts').where('user_id', userId).delete();
+    }
+
+    // The vhost address a user connects from, assigning one if they don't have one yet and
+    // vhosts.auto_assign is enabled
+    async getUserBindVhost(userId) {
+        let vhost = await this.getUserVhost(userId);
+        if (vhost) {
+            return vhost.address;
+        }
+
+        if (!config.get('vhosts.auto_assign', false) || Vhosts.configPrefixes().length === 0) {
+            return '';
+        }
+
+        try {
+            return await this.assignUserVhost(userId);
+        } catch (err) {
+            // Another connection for the same user may have assigned one at the same time
+            vhost = await this.getUserVhost(userId);
+            if (!vhost) {
+                l.error('Error assigning vhost:', err.message);
+            }
+            return vhost ? vhost.address : '';
+        }
+    }
+
     async getUser(username) {
         if (!Helpers.validUsername(username)) {
             return null;
@@ -197,9 +331,14 @@ class Users {
     };
 
     async deleteUser(user_id) {
+        let networkIds = await this.db.dbUsers('user_networks').where('user_id', user_id).pluck('id');
+        await this.db.dbUsers('network_servers').whereIn('network_id', networkIds).delete();
         await this.db.factories.User.query().where('id', user_id).delete();
         await this.db.factories.Network.query().where('user_id', user_id).delete();
         await this.db.db('user_tokens').where('user_id', user_id).delete();
+        await this.db.dbUsers('user_certfps').where('user_id', user_id).delete();
+        await this.db.dbUsers('user_vhosts').where('user_id', user_id).delete();
+        await this.db.dbUsers('log_retention').where('user_id', user_id).delete();
     }
 
     async changeUserPassword(id, password) {
@@ -299,10 +438,105 @@ class Users {
         network.password = netInf.password || '';
         network.sasl_account = netInf.sasl_account || '';
         network.sasl_pass = netInf.sasl_pass || '';
+        network.proxy = netInf.proxy || '';
+        network.alt_nicks = netInf.alt_nicks || '';
+        network.nick_suffix = netInf.nick_suffix || '';
+        network.nickserv_regain = netInf.nickserv_regain || '';
+        network.auto_away = netInf.auto_away !== false;
+        network.away_message = netInf.away_message || '';
+        network.away_nick = netInf.away_nick || '';
 
         await network.save();
         return network;
     }
+
+    async deleteNetwork(networkId) {
+        await this.db.dbUsers('user_networks').where('id', networkId).delete();
+        await this.db.dbUsers('network_servers').where('network_id', networkId).delete();
+        await this.db.dbUsers('log_retention').where('network_id', networkId).delete();
+    }
+
+    // Fallback servers for a network, in the order they are tried
+    async getNetworkServers(networkId) {
+        return this.db.dbUsers('network_servers')
+            .where('network_id', networkId)
+            .orderBy('position')
+            .orderBy('id');
+    }
+
+    async addNetworkServer(networkId, server) {
+        let last = await this.db.dbUsers('network_servers')
+            .where('network_id', networkId)
+            .max('position as position')
+            .first();
+
+        await this.db.dbUsers('network_servers').insert({
+            network_id: networkId,
+            position: (last && last.position !== null) ? last.position + 1 : 0,
+            host: server.host,
+            port: server.port || 6667,
+            tls: !!server.tls,
+        });
+    }
+
+    async removeNetworkServer(networkId, serverId) {
+        return this.db.dbUsers('network_servers')
+            .where('network_id', networkId)
+            .where('id', serverId)
+            .delete();
+    }
+
+    // Record a login, account change or admin action. Entries are kept when users are deleted.
+    // Failing to write one is logged rather than stopping whatever is being audited
+    async addAuditEntry(entry) {
+        try {
+            await this.db.dbUsers('audit_log').insert({
+                created_at: Helpers.now(),
+                actor_user_id: entry.actorUserId || 0,
+                actor: entry.actor || '',
+                action: entry.action,
+                target: entry.target || '',
+                source_ip: entry.ip || '',
+                details: entry.details || '',
+            });
+        } catch (err) {
+            l.error('Error writing to the audit log:', err.message);
+        }
+    }
+
+    // Newest entries first. An action ending with . matches all actions starting with it, eg. auth.
+    async getAuditEntries(filter = {}) {
+        let query = this.db.dbUsers('audit_log')
+            .orderBy('id', 'desc')
+            .limit(Math.min(filter.limit || 50, 1000));
+
+        if (filter.actor) {
+            query.where('actor', 'LIKE', filter.actor);
+        }
+        if (filter.target) {
+            query.where('target', 'LIKE', filter.target);
+        }
+        if (filter.action && filter.action.endsWith('.')) {
+            query.where('action', 'LIKE', filter.action + '%');
+        } else if (filter.action) {
+            query.where('action', filter.action);
+        }
+        if (filter.ip) {
+            query.where('source_ip', filter.ip);
+        }
+        if (filter.since) {
+            query.where('created_at', '>=', filter.since);
+        }
+
+        return query;
+    }
+
+    // Remove entries older than days. Returns the number removed
+    async pruneAuditLog(days) {
+        return this.db.dbUsers('audit_log')
+            .where('created_at', '<', Helpers.now() - (days * 24 * 60 * 60))
+            .delete();
+    }
 }
 
 module.exports = Users;
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { ircLineParser } = require('irc-framework');
 const Koa = require('koa');
@@ -13,6 +14,7 @@ const ConnectionIncoming = require('./connectionincoming');
 const ConnectionDict = require('./connectiondict');
 const hooks = require('./hooks');
 const { parseBindString, now } = require('../libs/helpers');
+const Stats = require('../libs/stats');
 
 async function run() {
     let app = await require('../libs/bootstrap')('worker');
@@ -27,7 +29,7 @@ async function run() {
         process.exit(1);
     }
 
-    app.messages = new MessageStores(app.conf);
+    app.messages = new MessageStores(app.conf, app.db);
     await app.messages.init();
 
     // Container for all connection instances
@@ -50,12 +52,24 @@ async function run() {
         });
     }
 
+    app.reloadConfig = () => reloadConfig(app);
+    process.on('SIGHUP', () => {
+        l.info('SIGHUP received. Reloading the config');
+        app.reloadConfig().catch((err) => {
+            l.error('Error reloading the config.', err.message);
+        });
+    });
+    hooks.on('reload_config', async (event) => {
+        event.result = await app.reloadConfig();
+    });
 
     initWebserver(app);
     initStatus(app);
+    initMetrics(app);
     await initExtensions(app);
     broadcastStats(app);
     monitorEventLoop(app);
+    cleanupAuditLog(app);
     await startServers(app);
     await loadConnections(app);
 
@@ -96,22 +110,10 @@ function reconcileIncomingConnections(app) {
 }
 
 async function initExtensions(app) {
+    app.loadedExtensions = new Set();
     let extensions = app.conf.get('extensions.loaded') || [];
     for(let i=0; i<extensions.length; i++){
-        let extName = extensions[i];
-        try {
-            let extPath = (extName[0] === '.' || extName[0] === '/') ?
-                app.conf.relativePath(extName) :
-                `../extensions/${extName}/`;
-
-            l.info('Loading extension ' + extPath);
-            let ext = require(extPath);
-            if (ext && typeof ext.init === 'function') {
-                await ext.init(hooks, app);
-            }
-        } catch (err) {
-            l.error('Error loading extension ' + extName + ': ', err.stack);
-        }
+        await loadExtension(app, extensions[i]);
     }
 
     // Extensions can add their hooks before the builtin hooks so that they have
@@ -119,10 +121,125 @@ async function initExtensions(app) {
     hooks.addBuiltInHooks();
 };
 
+async function loadExtension(app, extName) {
+    app.loadedExtensions.add(extName);
+    try {
+        let extPath = (extName[0] === '.' || extName[0] === '/') ?
+            app.conf.relativePath(extName) :
+            `../extensions/${extName}/`;
+
+        l.info('Loading extension ' + extPath);
+        let ext = require(extPath);
+        if (ext && typeof ext.init === 'function') {
+            // Extensions get their own logger so their log level can be set in [log.modules]
+            await ext.init(hooks, app, l.child({ module: path.basename(extName, '.js') }));
+        }
+    } catch (err) {
+        l.error('Error loading extension ' + extName + ': ', err.stack);
+    }
+}
+
+// Config keys that are re-applied without restarting the worker. Most of these are read from
+// the config each time they are used so only a few need anything doing in reloadConfig()
+const LIVE_CONFIG_KEYS = [
+    'log',
+    'connections.whitelist',
+    'connections.blacklist',
+    'connections.scheduler',
+    'connections.proxy',
+    'connections.throttle',
+    'connections.write_throttle',
+    'logging.retention_days_channels',
+    'logging.retention_days_pms',
+    'logging.retention_cleanup_interval',
+    'notifications',
+    'listeners.bind',
+    'listeners.tls_key',
+    'listeners.tls_cert',
+    'vhosts',
+    'login_limits',
+    'webserver.status_allowed_hosts',
+    'extensions.loaded',
+];
+
+function isLiveConfigKey(key) {
+    return LIVE_CONFIG_KEYS.some(liveKey => key === liveKey || key.startsWith(liveKey + '.'));
+}
+
+// Re-read the config file and apply what we can. Returns the changed keys split into those
+// that have been applied and those that need a restart
+async function reloadConfig(app) {
+    let changed = [];
+    try {
+        changed = app.conf.load();
+    } catch (err) {
+        let message = err.name === 'SyntaxError' ?
+            `Syntax error on line ${err.line}, column ${err.column}` :
+            err.message;
+        l.error('Error reloading the config, keeping the current config.', message);
+        return { error: message, applied: [], restart: [] };
+    }
+
+    // The sockets layer keeps its own copy of the config
+    app.queue.sendToSockets('config.reload');
+
+    let applied = changed.filter(isLiveConfigKey);
+    let restart = changed.filter(key => !isLiveConfigKey(key));
+
+    try {
+        if (applied.some(key => key.startsWith('logging.retention_'))) {
+            app.messages.applyRetentionConfig();
+        }
+
+        if (applied.some(key => key.startsWith('listeners.'))) {
+            await startServers(app);
+        }
+
+        // Newly added extensions can be loaded now but removing an extension needs a restart
+        if (applied.includes('extensions.loaded')) {
+            let extensions = app.conf.get('extensions.loaded') || [];
+            for (let extName of extensions) {
+                if (!app.loadedExtensions.has(extName)) {
+                    await loadExtension(app, extName);
+                }
+            }
+
+            if ([...app.loadedExtensions].some(extName => !extensions.includes(extName))) {
+                applied.splice(applied.indexOf('extensions.loaded'), 1);
+                restart.push('extensions.loaded');
+            }
+        }
+
+        l.info(`Config reloaded. ${changed.length} changed, ${restart.length} needing a restart`);
+        if (restart.length > 0) {
+            l.info('Config changes needing a restart: ' + restart.join(', '));
+        }
+
+        await hooks.emit('config_reloaded', { applied, restart });
+    } catch (err) {
+        // The new config has been loaded but may only be partly applied
+        l.error('Error applying the reloaded config.', err.message);
+        return { error: 'The new config was loaded but not fully applied. ' + err.message, applied, restart };
+    }
+
+    return { applied, restart };
+}
+
 function broadcastStats(app) {
     function broadcast() {
         app.stats.gauge('stats.connections', app.cons.map.size);
 
+        let conTypes = ['outgoing', 'incoming', 'server'];
+        let counts = [0, 0, 0];
+        app.cons.map.forEach((con) => {
+            counts[con.state.type]++;
+        });
+        conTypes.forEach((type, idx) => {
+            app.stats.gauge('stats.connections.' + type, counts[idx]);
+        });
+
+        app.stats.gauge('stats.queue_length', app.queue.pendingLength());
+
         let mem = process.memoryUsage();
         app.stats.gauge('stats.memoryheapused', mem.heapUsed);
         app.stats.gauge('stats.memoryheaptotal', mem.heapTotal);
@@ -140,6 +257,43 @@ function broadcastStats(app) {
     broadcast();
 }
 
+// Remove old audit log entries on the same interval as the message retention cleanup. The
+// settings are read on each run so that a reloaded config takes effect
+function cleanupAuditLog(app) {
+    async function cleanup() {
+        let loggingConf = app.conf.get('logging', {});
+        let days = auditRetentionDays(loggingConf);
+        if (days > 0) {
+            try {
+                let removed = await app.userDb.pruneAuditLog(days);
+                if (removed) {
+                    l.info(`Audit log cleanup (>${days} days) removed ${removed} entries`);
+                }
+            } catch (err) {
+                l.error('Error running audit log cleanup', err.message);
+            }
+        }
+
+        let interval = loggingConf.retention_cleanup_interval || 1440;
+        setTimeout(cleanup, interval * 60 * 1000);
+    }
+
+    cleanup();
+}
+
+// logging.retention_days_audit, or the longest message retention. 0 keeps entries forever
+function auditRetentionDays(loggingConf) {
+    if (loggingConf.retention_days_audit !== undefined) {
+        return loggingConf.retention_days_audit || 0;
+    }
+
+    let channels = loggingConf.retention_days_channels || 0;
+    let pms = loggingConf.retention_days_pms || 0;
+    return channels > 0 && pms > 0 ?
+        Math.max(channels, pms) :
+        0;
+}
+
 function monitorEventLoop(app) {
     let lastCheck = Date.now();
     const interval = 1000;
@@ -177,6 +331,9 @@ async function prepareShutdown(app) {
         await Promise.all(savePromises);
     }
 
+    // Write any messages still queued for batched inserts
+    await app.messages.flush();
+
     await app.queue.stopListening();
     process.exit();
 }
@@ -224,6 +381,9 @@ function listenToQueue(app) {
         let c = await app.cons.loadFromId(event.id, ConnectionDict.TYPE_INCOMING);
         c.state.host = event.host;
         c.state.port = event.port;
+        if (event.certfp) {
+            c.state.tempSet('tls_certfp', event.certfp);
+        }
 
         try {
             await c.state.save();
@@ -250,6 +410,7 @@ function listenToQueue(app) {
         let con = cons.get(event.id);
         if (con && con instanceof ConnectionOutgoing) {
             l.info(`Connection ${event.id} already active in sockets, restoring state`);
+            con.connectAttemptFinished();
             con.state.connected = true;
             con.state.netRegistered = true;
             con.state.receivedMotd = true;
@@ -572,6 +733,11 @@ async function initWebserver(app) {
 
     app.webserver = new Koa();
     app.webserver.proxy = true;
+    // The sockets process appends the address it saw to X-Forwarded-For, and only keeps what came
+    // before it when that address is a trusted webserver.upstream_proxies. So only the last two
+    // entries can be trusted, the rest could be anything the client sent. ctx.ip is then the
+    // client address as seen by a trusted proxy or by the sockets process itself
+    app.webserver.maxIpsCount = 2;
     app.webserver.context.basePath = basePath;
 
     app.webserver.on('error', (error) => {
@@ -690,6 +856,29 @@ async function initStatus(app) {
     });
 }
 
+async function initMetrics(app) {
+    if (!app.conf.get('webserver.metrics_enabled', false)) {
+        return;
+    }
+
+    // The sockets process sends us its latest metrics every few seconds
+    app.socketsMetrics = null;
+    app.queue.on('stats.metrics', async (event) => {
+        app.socketsMetrics = event.metrics;
+    });
+
+    const metricsPath = app.conf.get('webserver.metrics_path', '/metrics').replace(/\/$/, '');
+    app.webserver.router.get('metrics', metricsPath, statusAuth, async (ctx) => {
+        let sources = [{ labels: { process: 'worker' }, metrics: app.stats.registry.snapshot() }];
+        if (app.socketsMetrics) {
+            sources.push({ labels: { process: 'sockets' }, metrics: app.socketsMetrics });
+        }
+
+        ctx.response.type = 'text/plain; version=0.0.4';
+        ctx.response.body = Stats.formatPrometheus(sources);
+    });
+}
+
 async function statusAuth(ctx, next, role, redirect) {
     const allowed = global.config.get('webserver.status_allowed_hosts', ['127.0.0.1/8']);
 
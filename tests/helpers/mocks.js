@@ -118,7 +118,8 @@ function createMockClient(id, caps = [], options = {}) {
         write: jest.fn(),
         writeMsg: jest.fn(),
         writeMsgFast: jest.fn(),
-        writeMsgFrom: jest.fn()
+        writeMsgFrom: jest.fn(),
+        audit: jest.fn()
     };
 
     return client;
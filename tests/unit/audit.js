@@ -0,0 +1,80 @@
+'use strict';
+
+const path = require('path');
+const knex = require('knex');
+const Users = require('../../src/worker/users');
+
+/**
+ * Tests for the audit log in src/worker/users.js
+ */
+
+describe('audit log', () => {
+    let dbUsers;
+    let users;
+
+    beforeEach(async () => {
+        global.l = { error: jest.fn() };
+        dbUsers = knex({
+            client: 'better-sqlite3',
+            connection: { filename: ':memory:' },
+            useNullAsDefault: true,
+        });
+        await dbUsers.migrate.latest({
+            directory: path.join(__dirname, '..', '..', 'src', 'dbschemas', 'users'),
+        });
+        users = new Users({ dbUsers });
+    });
+
+    afterEach(async () => {
+        await dbUsers.destroy();
+        delete global.l;
+    });
+
+    it('should record entries and list the newest first', async () => {
+        await users.addAuditEntry({ actor: 'bob', action: 'auth.failure', target: 'bob/libera', ip: '192.0.2.1', details: 'password: Invalid password' });
+        await users.addAuditEntry({ actorUserId: 1, actor: 'bob', action: 'auth.success', target: 'bob/libera', ip: '192.0.2.1', details: 'password' });
+        await users.addAuditEntry({ actorUserId: 2, actor: 'admin', action: 'admin.deleteuser', target: 'bob' });
+
+        let entries = await users.getAuditEntries();
+        expect(entries.map(e => e.action)).toEqual(['admin.deleteuser', 'auth.success', 'auth.failure']);
+        expect(entries[2]).toMatchObject({
+            actor_user_id: 0,
+            actor: 'bob',
+            target: 'bob/libera',
+            source_ip: '192.0.2.1',
+            details: 'password: Invalid password',
+            created_at: expect.any(Number),
+        });
+    });
+
+    it('should filter entries', async () => {
+        await users.addAuditEntry({ actor: 'bob', action: 'auth.failure', ip: '192.0.2.1' });
+        await users.addAuditEntry({ actor: 'bob', action: 'auth.success', ip: '192.0.2.1' });
+        await users.addAuditEntry({ actor: 'alice', action: 'token.add', ip: '192.0.2.2' });
+        await users.addAuditEntry({ actor: 'alice', action: 'auth.failure', ip: '192.0.2.2' });
+
+        let actions = async filter => (await users.getAuditEntries(filter)).map(e => e.actor + ' ' + e.action);
+        expect(await actions({ action: 'auth.' })).toEqual(['alice auth.failure', 'bob auth.success', 'bob auth.failure']);
+        expect(await actions({ action: 'auth.failure', actor: 'BOB' })).toEqual(['bob auth.failure']);
+        expect(await actions({ ip: '192.0.2.2', limit: 1 })).toEqual(['alice auth.failure']);
+        expect(await actions({ since: 2000000000 })).toEqual([]);
+    });
+
+    it('should remove entries older than the retention', async () => {
+        let now = Math.floor(Date.now() / 1000);
+        await dbUsers('audit_log').insert([
+            { created_at: now - (40 * 24 * 60 * 60), action: 'auth.failure' },
+            { created_at: now - (20 * 24 * 60 * 60), action: 'auth.success' },
+        ]);
+        await users.addAuditEntry({ action: 'admin.kill' });
+
+        expect(await users.pruneAuditLog(30)).toBe(1);
+        expect((await users.getAuditEntries()).map(e => e.action)).toEqual(['admin.kill', 'auth.success']);
+    });
+
+    it('should not throw when the entry cannot be written', async () => {
+        await dbUsers.schema.dropTable('audit_log');
+        await users.addAuditEntry({ action: 'admin.kill' });
+        expect(global.l.error).toHaveBeenCalled();
+    });
+});
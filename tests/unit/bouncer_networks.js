@@ -0,0 +1,177 @@
+'use strict';
+
+const { ircLineParser } = require('irc-framework');
+const { createMockClient } = require('../helpers/mocks');
+const SojuNetworks = require('../../src/extensions/bouncer/sojunetworks');
+
+/**
+ * Tests for the soju.im/bouncer-networks dialect in src/extensions/bouncer/sojunetworks.js
+ */
+
+describe('bouncer soju.im/bouncer-networks', () => {
+    let networks;
+    let clients;
+    let app;
+
+    const createNetwork = (props) => {
+        let network = {
+            user_id: 1,
+            host: '',
+            port: 6697,
+            tls: true,
+            nick: '',
+            username: '',
+            realname: '',
+            password: '',
+            ...props,
+            save: jest.fn(async () => {}),
+        };
+        networks.push(network);
+        return network;
+    };
+
+    const createClient = (id, caps) => {
+        let client = createMockClient(id, caps);
+        client.state.authUserId = 1;
+        client.userDb = {
+            getUserNetworks: jest.fn(async () => networks),
+            getUserNetwork: jest.fn(async (userId, id) => networks.find(n => String(n.id) === String(id))),
+            getNetworkByName: jest.fn(async (userId, name) => networks.find(n => n.name.toLowerCase() === name.toLowerCase())),
+            addNetwork: jest.fn(async (userId, netInf) => createNetwork({ ...netInf, id: networks.length + 1 })),
+            deleteNetwork: jest.fn(async () => {}),
+        };
+        client.conDict = app.cons;
+        clients.push(client);
+        return client;
+    };
+
+    const sendCommand = async (client, line) => {
+        await SojuNetworks.handleCommand({ client, message: ircLineParser(line) }, app);
+    };
+
+    const written = (client) => client.writeMsg.mock.calls.map(args => (
+        typeof args[0] === 'string' ? args : [args[0].command, ...args[0].params]
+    ));
+
+    beforeEach(() => {
+        global.l = { error: jest.fn() };
+        networks = [];
+        clients = [];
+        app = {
+            cons: {
+                findAllUsersClients: jest.fn(() => clients),
+                findUsersOutgoingConnection: jest.fn(() => null),
+            },
+        };
+    });
+
+    afterEach(() => {
+        delete global.l;
+    });
+
+    it('should only handle soju subcommands for clients with the capability', () => {
+        let soju = createClient('client-1', [SojuNetworks.CAP_NETWORKS]);
+        let kiwi = createClient('client-2', ['bouncer']);
+
+        expect(SojuNetworks.handlesCommand(soju, 'LISTNETWORKS')).toBe(true);
+        expect(SojuNetworks.handlesCommand(soju, 'LISTBUFFERS')).toBe(false);
+        expect(SojuNetworks.handlesCommand(kiwi, 'LISTNETWORKS')).toBe(false);
+        expect(SojuNetworks.handlesCommand(kiwi, 'BIND')).toBe(true);
+    });
+
+    it('should list networks in a batch', async () => {
+        let client = createClient('client-1', [SojuNetworks.CAP_NETWORKS]);
+        createNetwork({ id: 1, name: 'libera', host: 'irc.libera.chat', nick: 'me' });
+        app.cons.findUsersOutgoingConnection.mockReturnValue({ state: { connected: true, nick: 'me_' } });
+
+        await sendCommand(client, 'BOUNCER LISTNETWORKS');
+
+        let lines = written(client);
+        expect(lines.length).toBe(3);
+        expect(lines[0][0]).toBe('BATCH');
+        expect(lines[0][2]).toBe('soju.im/bouncer-networks');
+        expect(lines[1]).toEqual([
+            'BOUNCER', 'NETWORK', 1,
+            'name=libera;state=connected;host=irc.libera.chat;port=6697;tls=1;nickname=me_;username=;realname=',
+        ]);
+        expect(client.writeMsg.mock.calls[1][0].tags.batch).toBe(lines[0][1].substr(1));
+        expect(lines[2]).toEqual(['BATCH', '-' + lines[0][1].substr(1)]);
+    });
+
+    it('should add networks and notify clients', async () => {
+        let client = createClient('client-1', [SojuNetworks.CAP_NETWORKS]);
+        let notified = createClient('client-2', [SojuNetworks.CAP_NETWORKS, SojuNetworks.CAP_NOTIFY]);
+
+        await sendCommand(client, 'BOUNCER ADDNETWORK host=irc.libera.chat;nickname=me;pass=secret');
+
+        expect(client.userDb.addNetwork).toHaveBeenCalledWith(1, {
+            host: 'irc.libera.chat',
+            nick: 'me',
+            password: 'secret',
+            name: 'irc.libera.chat',
+            port: 6697,
+            tls: true,
+        });
+        expect(written(client)).toEqual([['BOUNCER', 'ADDNETWORK', 1]]);
+        expect(written(notified)).toEqual([[
+            'BOUNCER', 'NETWORK', 1,
+            'name=irc.libera.chat;state=disconnected;host=irc.libera.chat;port=6697;tls=1;nickname=me;username=;realname=',
+        ]]);
+    });
+
+    it('should reject invalid attributes', async () => {
+        let client = createClient('client-1', [SojuNetworks.CAP_NETWORKS]);
+        createNetwork({ id: 1, name: 'libera', host: 'irc.libera.chat' });
+
+        await sendCommand(client, 'BOUNCER ADDNETWORK name=test');
+        await sendCommand(client, 'BOUNCER ADDNETWORK host=irc.example.com;port=99999');
+        await sendCommand(client, 'BOUNCER ADDNETWORK host=irc.example.com;state=connected');
+        await sendCommand(client, 'BOUNCER ADDNETWORK host=irc.example.com;colour=blue');
+        await sendCommand(client, 'BOUNCER ADDNETWORK host=irc.example.com;name=Libera');
+        await sendCommand(client, 'BOUNCER CHANGENETWORK 5 host=irc.example.com');
+
+        expect(written(client).map(args => args.slice(0, 5))).toEqual([
+            ['FAIL', 'BOUNCER', 'NEED_ATTRIBUTE', 'ADDNETWORK', 'host'],
+            ['FAIL', 'BOUNCER', 'INVALID_ATTRIBUTE', 'ADDNETWORK', 'port'],
+            ['FAIL', 'BOUNCER', 'READ_ONLY_ATTRIBUTE', 'ADDNETWORK', 'state'],
+            ['FAIL', 'BOUNCER', 'UNKNOWN_ATTRIBUTE', 'ADDNETWORK', 'colour'],
+            ['FAIL', 'BOUNCER', 'INVALID_ATTRIBUTE', 'ADDNETWORK', 'name'],
+            ['FAIL', 'BOUNCER', 'INVALID_NETID', 'CHANGENETWORK', '5'],
+        ]);
+        expect(client.userDb.addNetwork).not.toHaveBeenCalled();
+    });
+
+    it('should change and delete networks', async () => {
+        let client = createClient('client-1', [SojuNetworks.CAP_NETWORKS, SojuNetworks.CAP_NOTIFY]);
+        let network = createNetwork({ id: 1, name: 'libera', host: 'irc.libera.chat' });
+
+        await sendCommand(client, 'BOUNCER CHANGENETWORK 1 port=6667;tls=0;realname=Some\\sone');
+        expect(network.port).toBe(6667);
+        expect(network.tls).toBe(false);
+        expect(network.realname).toBe('Some one');
+        expect(network.save).toHaveBeenCalled();
+
+        await sendCommand(client, 'BOUNCER DELNETWORK 1');
+        expect(client.userDb.deleteNetwork).toHaveBeenCalledWith(1);
+
+        expect(written(client)).toEqual([
+            ['BOUNCER', 'CHANGENETWORK', 1],
+            ['BOUNCER', 'NETWORK', 1, 'name=libera;state=disconnected;host=irc.libera.chat;port=6667;tls=0;nickname=;username=;realname=Some\\sone'],
+            ['BOUNCER', 'DELNETWORK', 1],
+            ['BOUNCER', 'NETWORK', 1, '*'],
+        ]);
+    });
+
+    it('should only accept BIND before registration', async () => {
+        let client = createClient('client-1', []);
+        client.state.netRegistered = false;
+
+        await sendCommand(client, 'BOUNCER BIND 2');
+        expect(client.state.tempGet('bouncer.bind')).toBe('2');
+
+        client.state.netRegistered = true;
+        await sendCommand(client, 'BOUNCER BIND 3');
+        expect(client.state.tempGet('bouncer.bind')).toBe('2');
+        expect(written(client)[0].slice(0, 4)).toEqual(['FAIL', 'BOUNCER', 'REGISTRATION_IS_COMPLETED', 'BIND']);
+    });
+});
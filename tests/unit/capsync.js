@@ -7,7 +7,7 @@ describe('syncAvailableCaps', () => {
     let hooks;
 
     beforeEach(() => {
-        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn() });
+        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn(), child: () => global.l });
         global.config = { get: jest.fn().mockReturnValue(null) };
 
         jest.resetModules();
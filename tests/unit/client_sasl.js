@@ -0,0 +1,399 @@
+'use strict';
+
+const { ircLineParser } = require('irc-framework');
+const { createMockClient } = require('../helpers/mocks');
+const SojuNetworks = require('../../src/extensions/bouncer/sojunetworks');
+
+/**
+ * Tests for clients logging in to the BNC with SASL in src/worker/clientcommands.js
+ */
+
+describe('client SASL login', () => {
+    let ClientCommands;
+    let hooks;
+    let user;
+    let network;
+
+    const b64 = str => Buffer.from(str).toString('base64');
+
+    const createClient = (tempData = {}) => {
+        let client = createMockClient('client-1', [], { netRegistered: false, tempData });
+        client.state.authUserId = 0;
+        client.state.authNetworkId = 0;
+        client.state.setNetwork = function(net) {
+            this.authNetworkId = net.id;
+            this.authNetworkName = net.name;
+        };
+        client.writeFromBnc = jest.fn();
+        client.writeStatus = jest.fn();
+        client.close = jest.fn();
+        client.makeUpstream = jest.fn();
+        client.registerLocalClient = jest.fn(async () => {});
+        client.userDb = {
+            authUser: jest.fn(async (username, password) => (
+                username === 'me' && password === 'secret' ? user : null
+            )),
+            authUserNetwork: jest.fn(async (username, password, netName) => (
+                username === 'me' && password === 'secret' && netName === 'libera' ?
+                    { network, user } :
+                    { network: null, user: null }
+            )),
+            authUserCertFingerprint: jest.fn(async (certfp, username) => (
+                certfp === 'abc123' && (!username || username === 'me') ? user : null
+            )),
+            getNetwork: jest.fn(async id => (id === network.id ? network : null)),
+            getUserNetwork: jest.fn(async (userId, id) => (String(id) === String(network.id) ? network : null)),
+            getNetworkByName: jest.fn(async (userId, name) => (name === 'libera' ? network : null)),
+            addAuditEntry: jest.fn(async () => {}),
+        };
+        return client;
+    };
+
+    const send = async (client, line) => {
+        await ClientCommands.run(ircLineParser(line), client);
+    };
+
+    const numerics = client => client.writeFromBnc.mock.calls
+        .filter(args => args[0].match(/^\d+$/))
+        .map(args => args[0]);
+
+    const capNegotiateSasl = async (client) => {
+        await send(client, 'CAP LS 302');
+        await send(client, 'CAP REQ sasl');
+    };
+
+    beforeEach(() => {
+        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn(), warn: jest.fn() });
+        // Failed logins are limited in tests/unit/loginlimiter.js
+        global.config = { get: jest.fn((key, def) => (key === 'login_limits' ? { enabled: false } : def)) };
+
+        jest.resetModules();
+        jest.doMock('../../src/worker/hooks', () => ({
+            emit: jest.fn(async (eventName, event) => {
+                if (eventName === 'available_caps') {
+                    event.caps.add('sasl');
+                    event.capValues.sasl = 'PLAIN,EXTERNAL';
+                }
+                // BOUNCER BIND is handled by the bouncer extension
+                if (eventName === 'message_from_client' && event.message.command === 'BOUNCER') {
+                    await SojuNetworks.handleCommand(event, {});
+                    return { prevent: true, event };
+                }
+                return { prevent: false, event };
+            }),
+        }));
+
+        hooks = require('../../src/worker/hooks');
+        ClientCommands = require('../../src/worker/clientcommands');
+
+        user = { id: 1, username: 'me', admin: false };
+        network = { id: 5, name: 'libera', user_id: 1 };
+    });
+
+    afterEach(() => {
+        delete global.l;
+        delete global.config;
+        jest.resetModules();
+    });
+
+    it('should log in with PLAIN during CAP negotiation', async () => {
+        let client = createClient();
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        expect(client.writeFromBnc).toHaveBeenLastCalledWith('AUTHENTICATE', '+');
+
+        await send(client, 'AUTHENTICATE ' + b64('\0me/libera\0secret'));
+        expect(numerics(client)).toEqual(['900', '903']);
+        expect(client.writeFromBnc.mock.calls.find(args => args[0] === '900')[3]).toBe('me');
+        expect(client.state.authUserId).toBe(1);
+        expect(client.state.authNetworkId).toBe(5);
+
+        // The auth hook gets the same login as with PASS
+        let authEvent = hooks.emit.mock.calls.find(args => args[0] === 'auth')[1];
+        expect(authEvent).toMatchObject({ username: 'me', networkName: 'libera', password: 'secret' });
+
+        // Registration doesn't need a password any more
+        await send(client, 'NICK me');
+        await send(client, 'USER me 0 * :me');
+        await send(client, 'CAP END');
+        expect(client.makeUpstream).toHaveBeenCalledWith(network);
+        expect(client.close).not.toHaveBeenCalled();
+    });
+
+    it('should list the mechanisms in the sasl cap for CAP 302 clients', async () => {
+        let client = createClient();
+        await send(client, 'CAP LS 302');
+        expect(client.writeFromBnc).toHaveBeenLastCalledWith('CAP', '*', 'LS', 'sasl=PLAIN,EXTERNAL');
+
+        await send(client, 'CAP REQ sasl');
+        expect(client.writeFromBnc).toHaveBeenLastCalledWith('CAP', '*', 'ACK', 'sasl');
+
+        let oldClient = createClient();
+        await send(oldClient, 'CAP LS');
+        expect(oldClient.writeFromBnc).toHaveBeenLastCalledWith('CAP', '*', 'LS', 'sasl');
+    });
+
+    it('should connect to the network bound with BOUNCER BIND after AUTHENTICATE', async () => {
+        let client = createClient();
+        await send(client, 'CAP LS 302');
+        await send(client, 'NICK me');
+        await send(client, 'USER me 0 * :me');
+        await send(client, 'CAP REQ sasl');
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0secret'));
+        await send(client, 'BOUNCER BIND 5');
+        await send(client, 'CAP END');
+
+        expect(numerics(client)).toEqual(['900', '903']);
+        expect(client.state.authNetworkId).toBe(5);
+        expect(client.makeUpstream).toHaveBeenCalledWith(network);
+        expect(client.registerLocalClient).not.toHaveBeenCalled();
+    });
+
+    it('should fail when an extension prevents the login', async () => {
+        hooks.emit.mockImplementation(async (eventName, event) => {
+            if (eventName === 'available_caps') {
+                event.caps.add('sasl');
+            }
+            return { prevent: eventName === 'auth', event };
+        });
+        let client = createClient();
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0secret'));
+        expect(numerics(client)).toEqual(['904']);
+        expect(client.state.authUserId).toBe(0);
+    });
+
+    it('should log in to the BNC only without a network', async () => {
+        let client = createClient();
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('me\0me\0secret'));
+        await send(client, 'CAP END');
+        await send(client, 'NICK me');
+        await send(client, 'USER me 0 * :me');
+
+        expect(client.state.authUserId).toBe(1);
+        expect(client.registerLocalClient).toHaveBeenCalled();
+    });
+
+    it('should fail bad logins and allow another attempt', async () => {
+        let client = createClient();
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me/libera\0wrong'));
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me/othernet\0secret'));
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('someone\0me\0secret'));
+        expect(numerics(client)).toEqual(['904', '904', '904']);
+        expect(client.state.authUserId).toBe(0);
+        expect(client.userDb.addAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'auth.failure',
+            actor: 'me',
+            target: 'me/othernet',
+        }));
+        expect(client.state.tempGet('sasl.authed')).toBe(undefined);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0secret'));
+        expect(numerics(client)).toEqual(['904', '904', '904', '900', '903']);
+    });
+
+    it('should block logins for a while after failing', async () => {
+        global.config.get.mockImplementation((key, def) => (key === 'login_limits' ? { exempt: [] } : def));
+        let limiter = require('../../src/libs/loginlimiter').instance();
+        let client = createClient();
+        client.state.host = '192.0.2.1';
+        await capNegotiateSasl(client);
+
+        // A network that doesn't exist isn't a failed login
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me/othernet\0secret'));
+        expect(limiter.blockedFor('192.0.2.1', 'me')).toBe(0);
+
+        // The first failure is only counted once the client closes, so the second isn't blocked
+        for (let i = 0; i < 3; i++) {
+            await send(client, 'AUTHENTICATE PLAIN');
+            await send(client, 'AUTHENTICATE ' + b64('\0me\0wrong'));
+        }
+
+        expect(numerics(client)).toEqual(['904', '904', '904', '904']);
+        expect(client.userDb.authUser).toHaveBeenCalledTimes(3);
+        // Blocked attempts aren't audited
+        expect(client.userDb.addAuditEntry.mock.calls.map(args => args[0].action)).toEqual([
+            'auth.failure', 'auth.failure', 'auth.failure',
+        ]);
+        expect(limiter.blockedFor('192.0.2.1', '')).toBe(1);
+    });
+
+    it('should allow a PASS login after a failed SASL login', async () => {
+        global.config.get.mockImplementation((key, def) => (key === 'login_limits' ? { exempt: [] } : def));
+        let limiter = require('../../src/libs/loginlimiter').instance();
+        let client = createClient();
+        client.state.host = '192.0.2.1';
+        await capNegotiateSasl(client);
+
+        // Clients often send the NickServ login for their network over SASL, commonly with the
+        // same account name
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0nickserv_pass'));
+        await send(client, 'PASS me/libera:secret');
+        await send(client, 'NICK me');
+        await send(client, 'USER me 0 * :me');
+        await send(client, 'CAP END');
+
+        expect(numerics(client)).toEqual(['904']);
+        expect(client.makeUpstream).toHaveBeenCalledWith(network);
+        expect(client.close).not.toHaveBeenCalled();
+
+        await ClientCommands.clientClosed(client);
+        expect(limiter.blockedFor('192.0.2.1', '')).toBe(0);
+    });
+
+    it('should count a failed SASL login against another account when logging in', async () => {
+        global.config.get.mockImplementation((key, def) => (key === 'login_limits' ? { exempt: [] } : def));
+        let limiter = require('../../src/libs/loginlimiter').instance();
+        let client = createClient();
+        client.state.host = '192.0.2.1';
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0victim\0guess'));
+        await send(client, 'PASS me/libera:secret');
+        await send(client, 'NICK me');
+        await send(client, 'USER me 0 * :me');
+        await send(client, 'CAP END');
+
+        expect(client.makeUpstream).toHaveBeenCalledWith(network);
+        expect(client.state.tempGet('auth.deferred_failure')).toBe(undefined);
+        expect(limiter.blockedFor('192.0.2.2', 'victim')).toBe(1);
+        expect(limiter.blockedFor('192.0.2.2', 'me')).toBe(0);
+
+        // Nothing is left to count again when the client closes
+        jest.spyOn(limiter, 'failure');
+        await ClientCommands.clientClosed(client);
+        expect(limiter.failure).not.toHaveBeenCalled();
+    });
+
+    it('should count a failed SASL login once the client closes without logging in', async () => {
+        global.config.get.mockImplementation((key, def) => (key === 'login_limits' ? { exempt: [] } : def));
+        let limiter = require('../../src/libs/loginlimiter').instance();
+        let client = createClient();
+        client.state.host = '192.0.2.1';
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0wrong'));
+        expect(limiter.blockedFor('192.0.2.1', 'me')).toBe(0);
+
+        await ClientCommands.clientClosed(client);
+        expect(limiter.blockedFor('192.0.2.1', 'me')).toBe(1);
+    });
+
+    it('should list mechanisms for unknown ones and support aborting', async () => {
+        let client = createClient();
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE SCRAM-SHA-1');
+        expect(client.writeFromBnc).toHaveBeenCalledWith('908', 'testnick', 'PLAIN,EXTERNAL', 'are available SASL mechanisms');
+
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE *');
+        expect(numerics(client)).toEqual(['908', '904', '906']);
+        expect(client.state.tempGet('sasl.mechanism')).toBe(undefined);
+    });
+
+    it('should reassemble payloads split over several lines', async () => {
+        let client = createClient();
+        await capNegotiateSasl(client);
+        client.userDb.authUser.mockImplementation(async () => user);
+
+        let payload = b64('\0me\0' + 'x'.repeat(400));
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + payload.substr(0, 400));
+        expect(numerics(client)).toEqual([]);
+        await send(client, 'AUTHENTICATE ' + payload.substr(400));
+
+        expect(client.userDb.authUser).toHaveBeenCalledWith('me', 'x'.repeat(400), undefined);
+        expect(numerics(client)).toEqual(['900', '903']);
+    });
+
+    it('should reject payloads that are too long', async () => {
+        let client = createClient();
+        await capNegotiateSasl(client);
+
+        // A single line over 400 bytes
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + 'x'.repeat(401));
+        expect(numerics(client)).toEqual(['905']);
+        expect(client.state.tempGet('sasl.mechanism')).toBe(undefined);
+
+        // More chunks than the whole payload may be
+        await send(client, 'AUTHENTICATE PLAIN');
+        for (let i = 0; i < 11; i++) {
+            await send(client, 'AUTHENTICATE ' + 'x'.repeat(400));
+        }
+        expect(numerics(client)).toEqual(['905', '905']);
+        expect(client.state.tempGet('sasl.received')).toBe(undefined);
+        expect(client.userDb.authUser).not.toHaveBeenCalled();
+
+        // Another attempt may still be made
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0secret'));
+        expect(numerics(client)).toEqual(['905', '905', '900', '903']);
+    });
+
+    it('should log in with EXTERNAL using a client certificate', async () => {
+        let client = createClient({ tls_certfp: 'abc123' });
+        await capNegotiateSasl(client);
+
+        await send(client, 'AUTHENTICATE EXTERNAL');
+        await send(client, 'AUTHENTICATE +');
+        expect(numerics(client)).toEqual(['900', '903']);
+        expect(client.writeFromBnc.mock.calls.find(args => args[0] === '900')[3]).toBe('me');
+        expect(client.state.authUserId).toBe(1);
+        expect(client.state.authNetworkId).toBe(0);
+
+        // An identity picks the network
+        client = createClient({ tls_certfp: 'abc123' });
+        await capNegotiateSasl(client);
+        await send(client, 'AUTHENTICATE EXTERNAL');
+        await send(client, 'AUTHENTICATE ' + b64('me/libera'));
+        expect(numerics(client)).toEqual(['900', '903']);
+        expect(client.state.authNetworkId).toBe(5);
+    });
+
+    it('should reject EXTERNAL without a known certificate', async () => {
+        let noCert = createClient();
+        await capNegotiateSasl(noCert);
+        await send(noCert, 'AUTHENTICATE EXTERNAL');
+        await send(noCert, 'AUTHENTICATE +');
+
+        let unknownCert = createClient({ tls_certfp: 'def456' });
+        await capNegotiateSasl(unknownCert);
+        await send(unknownCert, 'AUTHENTICATE EXTERNAL');
+        await send(unknownCert, 'AUTHENTICATE +');
+
+        expect(numerics(noCert)).toEqual(['904']);
+        expect(numerics(unknownCert)).toEqual(['904']);
+    });
+
+    it('should only authenticate once and only with the capability', async () => {
+        let noCap = createClient();
+        await send(noCap, 'AUTHENTICATE PLAIN');
+        expect(numerics(noCap)).toEqual(['904']);
+
+        let client = createClient();
+        await capNegotiateSasl(client);
+        await send(client, 'AUTHENTICATE PLAIN');
+        await send(client, 'AUTHENTICATE ' + b64('\0me\0secret'));
+        await send(client, 'AUTHENTICATE PLAIN');
+        expect(numerics(client)).toEqual(['900', '903', '907']);
+    });
+});
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const ClientCert = require('../../src/libs/clientcert');
+
+describe('libs/clientcert.js', () => {
+    it('should generate a self-signed certificate and key', async () => {
+        let { cert, key } = await ClientCert.generateClientCert('mynick');
+
+        let x509 = new crypto.X509Certificate(cert);
+        expect(x509.subject).toBe('CN=mynick');
+        expect(x509.issuer).toBe('CN=mynick');
+        expect(x509.verify(x509.publicKey)).toBe(true);
+        expect(x509.checkPrivateKey(crypto.createPrivateKey(key))).toBe(true);
+        expect(new Date(x509.validTo).getTime()).toBeGreaterThan(Date.now() + (365 * 86400000));
+    });
+
+    it('should give certificate fingerprints', async () => {
+        let { cert } = await ClientCert.generateClientCert('mynick');
+        let x509 = new crypto.X509Certificate(cert);
+        let fingerprints = ClientCert.certFingerprints(cert);
+
+        expect(fingerprints.sha1).toBe(x509.fingerprint.replace(/:/g, '').toLowerCase());
+        expect(fingerprints.sha256).toBe(x509.fingerprint256.replace(/:/g, '').toLowerCase());
+        expect(fingerprints.sha512).toMatch(/^[0-9a-f]{128}$/);
+        expect(ClientCert.certFingerprints('not a certificate')).toBe(null);
+    });
+});
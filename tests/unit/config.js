@@ -0,0 +1,72 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('../../src/libs/config');
+
+/**
+ * Tests for reloading the config file in src/libs/config.js
+ */
+
+describe('Config reload', () => {
+    let dir;
+    let confPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiwibnc-config-'));
+        confPath = path.join(dir, 'config.ini');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeConfig(lines) {
+        fs.writeFileSync(confPath, lines.join('\n'));
+    }
+
+    it('should not report changes on the first load', () => {
+        writeConfig(['[log]', 'level = "info"']);
+        let conf = new Config(confPath);
+        let onChanged = jest.fn();
+        conf.on('changed', onChanged);
+
+        expect(conf.load()).toEqual([]);
+        expect(onChanged).not.toHaveBeenCalled();
+    });
+
+    it('should report the changed keys when reloaded', () => {
+        writeConfig([
+            '[log]', 'level = "info"', 'colour = true',
+            '[listeners]', 'bind = ["0.0.0.0:6667"]',
+            '[database]', 'state = "./connections.db"',
+        ]);
+        let conf = new Config(confPath);
+        conf.load();
+        let onChanged = jest.fn();
+        conf.on('changed', onChanged);
+
+        writeConfig([
+            '[log]', 'level = "debug"', 'colour = true',
+            '[listeners]', 'bind = ["0.0.0.0:6667", "0.0.0.0:80"]',
+            '[database]', 'state = "./connections.db"',
+            '[notifications]', 'enabled = false',
+        ]);
+        let changed = conf.load();
+
+        expect(changed).toEqual(['log.level', 'listeners.bind', 'notifications']);
+        expect(onChanged).toHaveBeenCalledWith(changed);
+        expect(conf.get('log.level')).toBe('debug');
+    });
+
+    it('should keep the current config when the file cannot be parsed', () => {
+        writeConfig(['[log]', 'level = "info"']);
+        let conf = new Config(confPath);
+        conf.load();
+
+        writeConfig(['[log', 'level = "debug"']);
+        expect(() => conf.load()).toThrow();
+        expect(conf.get('log.level')).toBe('info');
+    });
+});
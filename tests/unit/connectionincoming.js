@@ -23,7 +23,7 @@ describe('writeMsgFast numeric fast-path', () => {
 
     beforeEach(() => {
         // Suppress logging
-        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn() });
+        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn(), child: () => global.l });
         global.config = { get: jest.fn().mockReturnValue(null) };
 
         // Mock dependencies
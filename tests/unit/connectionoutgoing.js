@@ -223,3 +223,66 @@ describe('WHO reply streaming', () => {
         expect(upstream.whoClientQueue.length).toBe(0);
     });
 });
+
+describe('server rotation', () => {
+    let upstream;
+
+    beforeEach(() => {
+        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn() });
+        global.config = { get: jest.fn().mockReturnValue(null) };
+
+        delete require.cache[require.resolve('../../src/worker/connectionoutgoing')];
+        jest.doMock('../../src/worker/hooks', () => ({
+            emit: jest.fn().mockResolvedValue({ prevent: false, event: {} })
+        }));
+
+        const ConnectionOutgoing = require('../../src/worker/connectionoutgoing');
+        upstream = new ConnectionOutgoing('upstream-1', {}, {}, { sendToSockets: jest.fn() }, new Map());
+        upstream.state.markDirty = jest.fn();
+        upstream.state.numServers = 3;
+        upstream.reconnect = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.l;
+        delete global.config;
+        jest.resetModules();
+    });
+
+    it('should try each server once after failed connections', async () => {
+        await upstream.onUpstreamClosed({ code: 'ECONNREFUSED' });
+        expect(upstream.state.tempGet('server_index')).toBe(1);
+        expect(upstream.reconnect).toHaveBeenCalledTimes(1);
+
+        // Every server has now failed so stop until something else opens the connection
+        upstream.state.tempSet('reconnecting', null);
+        await upstream.onUpstreamClosed({ code: 'ECONNREFUSED' });
+        await upstream.onUpstreamClosed({ code: 'ECONNREFUSED' });
+        expect(upstream.state.tempGet('server_index')).toBe(0);
+        expect(upstream.reconnect).toHaveBeenCalledTimes(2);
+    });
+
+    it('should move on to the next server after an ERROR', async () => {
+        upstream.state.connected = true;
+        upstream.state.netRegistered = true;
+        upstream.state.tempSet('irc_error', 'Closing link: K-lined');
+
+        await upstream.onUpstreamClosed();
+        expect(upstream.state.tempGet('server_index')).toBe(1);
+        expect(upstream.reconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stay on the same server for other disconnects', async () => {
+        upstream.state.connected = true;
+        upstream.state.netRegistered = true;
+        await upstream.onUpstreamClosed();
+
+        upstream.state.connected = true;
+        upstream.state.netRegistered = true;
+        upstream.state.tempSet('requested_close', true);
+        await upstream.onUpstreamClosed();
+
+        expect(upstream.state.tempGet('server_index')).toBe(undefined);
+        expect(upstream.reconnect).toHaveBeenCalledTimes(1);
+    });
+});
@@ -299,3 +299,72 @@ describe('getOrAddBuffer', () => {
         expect(markDirtySpy).not.toHaveBeenCalled();
     });
 });
+
+describe('loadConnectionInfo', () => {
+    let ConnectionState;
+    let mockDb;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+
+        global.l = { debug: jest.fn(), info: jest.fn() };
+        global.config = { get: jest.fn((key, def) => def) };
+
+        mockDb = {
+            dbConnections: jest.fn().mockReturnThis(),
+            raw: jest.fn().mockResolvedValue(undefined),
+            users: {
+                getNetwork: jest.fn().mockResolvedValue({
+                    id: 1, name: 'net', bind_host: '1.2.3.4', host: 'irc.example.net', port: 6697, tls: true,
+                }),
+                getNetworkServers: jest.fn().mockResolvedValue([
+                    { host: 'irc2.example.net', port: 6667, tls: false },
+                ]),
+            },
+        };
+
+        delete require.cache[require.resolve('../../src/worker/connectionstate')];
+        const module = require('../../src/worker/connectionstate');
+        ConnectionState = module.ConnectionState;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.l;
+        delete global.config;
+    });
+
+    it('should use the server picked by the server rotation', async () => {
+        const state = new ConnectionState('test-id', mockDb);
+
+        await state.loadConnectionInfo();
+        expect([state.host, state.port, state.tls, state.numServers]).toEqual(['irc.example.net', 6697, true, 2]);
+
+        state.tempSet('server_index', 1);
+        await state.loadConnectionInfo();
+        expect([state.host, state.port, state.tls]).toEqual(['irc2.example.net', 6667, false]);
+
+        // Indexes left over from servers that have since been removed wrap around
+        state.tempSet('server_index', 3);
+        await state.loadConnectionInfo();
+        expect(state.host).toBe('irc2.example.net');
+    });
+
+    it('should use the networks proxy before the global one', async () => {
+        const state = new ConnectionState('test-id', mockDb);
+        global.config.get.mockImplementation((key, def) => (
+            key === 'connections.proxy' ? 'socks5://127.0.0.1:9050' : def
+        ));
+
+        await state.loadConnectionInfo();
+        expect(state.proxy).toBe('socks5://127.0.0.1:9050');
+
+        mockDb.users.getNetwork.mockResolvedValue({ id: 1, name: 'net', bind_host: '1.2.3.4', host: 'irc.example.net', proxy: 'http://proxy:3128' });
+        await state.loadConnectionInfo();
+        expect(state.proxy).toBe('http://proxy:3128');
+
+        mockDb.users.getNetwork.mockResolvedValue({ id: 1, name: 'net', bind_host: '1.2.3.4', host: 'irc.example.net', proxy: 'none' });
+        await state.loadConnectionInfo();
+        expect(state.proxy).toBe('');
+    });
+});
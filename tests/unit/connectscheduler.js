@@ -0,0 +1,132 @@
+'use strict';
+
+const ConnectScheduler = require('../../src/libs/connectscheduler');
+
+/**
+ * Tests for the per-server connection attempt limits in src/libs/connectscheduler.js
+ */
+
+describe('ConnectScheduler', () => {
+    let scheduler;
+    let schedulerConfig;
+
+    // Let resolved acquire() promises run their handlers
+    const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+    const acquireAll = (ids, host, started) => ids.map(id => scheduler.acquire(id, host).then((ok) => {
+        started.push(ok ? id : '!' + id);
+    }));
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        schedulerConfig = {};
+        global.l = { debug: jest.fn() };
+        global.config = { get: jest.fn((key, def) => (key === 'connections.scheduler' ? schedulerConfig : def)) };
+        scheduler = new ConnectScheduler();
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        jest.useRealTimers();
+        delete global.l;
+        delete global.config;
+    });
+
+    it('should not limit connections without any limits', async () => {
+        let started = [];
+        acquireAll(['a', 'b', 'c'], 'irc.example.net', started);
+        await flush();
+
+        expect(started).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should limit concurrent connection attempts per host', async () => {
+        schedulerConfig = { concurrent: 2 };
+        let started = [];
+        acquireAll(['a', 'b', 'c'], 'irc.example.net', started);
+        acquireAll(['d'], 'irc.other.net', started);
+        await flush();
+        expect(started).toEqual(['a', 'b', 'd']);
+        expect(scheduler.isQueued('IRC.example.net')).toBe(true);
+        expect(scheduler.isQueued('irc.other.net')).toBe(false);
+
+        scheduler.release('a');
+        await flush();
+        expect(started).toEqual(['a', 'b', 'd', 'c']);
+    });
+
+    it('should limit connection attempts per minute', async () => {
+        schedulerConfig = { per_minute: 2 };
+        let started = [];
+        acquireAll(['a', 'b', 'c'], 'irc.example.net', started);
+        await flush();
+        scheduler.release('a');
+        scheduler.release('b');
+        await flush();
+        expect(started).toEqual(['a', 'b']);
+
+        jest.advanceTimersByTime(60 * 1000);
+        await flush();
+        expect(started).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should use the limits of the first matching server glob', async () => {
+        schedulerConfig = {
+            concurrent: 5,
+            servers: [
+                { host: '*.example.net', concurrent: 1 },
+                { host: ['irc.example.net', 'irc.other.net'], concurrent: 3 },
+            ],
+        };
+
+        expect(scheduler.limitsFor('irc.example.net')).toEqual({ concurrent: 1, perMinute: 0 });
+        expect(scheduler.limitsFor('irc.other.net')).toEqual({ concurrent: 3, perMinute: 0 });
+        expect(scheduler.limitsFor('irc.unknown.net')).toEqual({ concurrent: 5, perMinute: 0 });
+    });
+
+    it('should cancel queued attempts and ignore duplicates', async () => {
+        schedulerConfig = { concurrent: 1 };
+        let started = [];
+        acquireAll(['a', 'b', 'a'], 'irc.example.net', started);
+        await flush();
+        expect(started).toEqual(['a', '!a']);
+
+        scheduler.release('b');
+        await flush();
+        expect(started).toEqual(['a', '!a', '!b']);
+
+        // Releasing the active attempt leaves nothing more to start
+        scheduler.release('a');
+        await flush();
+        expect(scheduler.isQueued('irc.example.net')).toBe(false);
+    });
+
+    it('should free the slots of attempts that never finish', async () => {
+        schedulerConfig = { concurrent: 1 };
+        let started = [];
+        acquireAll(['a', 'b'], 'irc.example.net', started);
+        await flush();
+        expect(started).toEqual(['a']);
+
+        jest.advanceTimersByTime(60 * 1000);
+        await flush();
+        expect(started).toEqual(['a', 'b']);
+    });
+
+    it('should forget hosts once their attempts are over a minute old', async () => {
+        schedulerConfig = { per_minute: 2 };
+        let started = [];
+        acquireAll(['a', 'b'], 'irc.example.net', started);
+        await flush();
+        scheduler.release('a');
+        scheduler.release('b');
+
+        // The attempts still count towards the limit until the minute is up
+        expect(scheduler.hosts.size).toBe(1);
+        expect(scheduler.isQueued('irc.example.net')).toBe(true);
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(scheduler.hosts.size).toBe(0);
+        expect(scheduler.isQueued('irc.example.net')).toBe(false);
+    });
+});
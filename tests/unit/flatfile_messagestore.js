@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ircLineParser } = require('irc-framework');
+const FlatfileMessageStore = require('../../src/worker/messagestores/flatfile');
+
+describe('FlatfileMessageStore', () => {
+    let store;
+    let logsDir;
+    let mockConfig;
+    let upstreamCon;
+
+    beforeAll(() => {
+        global.l = {
+            info: jest.fn(),
+            debug: jest.fn(),
+            error: jest.fn(),
+            warn: jest.fn(),
+        };
+    });
+
+    beforeEach(async () => {
+        logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiwibnc-logs-'));
+        mockConfig = {
+            get: jest.fn((key, def) => {
+                if (key === 'logging.files') {
+                    return logsDir;
+                }
+                return def;
+            }),
+            relativePath: jest.fn((p) => p),
+        };
+
+        store = new FlatfileMessageStore(mockConfig);
+        await store.init();
+
+        upstreamCon = {
+            iSupportToken: jest.fn(() => ''),
+            state: {
+                authUserId: 1,
+                authNetworkId: 1,
+                nick: 'me',
+                buffers: {
+                    '#channel': { name: '#channel', isChannel: true, users: { me: {}, someone: {} } },
+                    '#quiet': { name: '#quiet', isChannel: true, users: { me: {} } },
+                },
+            },
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    // 10 messages one hour apart so that they span two days, msgids m0..m9
+    const baseTime = Date.UTC(2024, 0, 1, 18, 0, 0);
+    const storeTenMessages = async () => {
+        for (let i = 0; i < 10; i++) {
+            let time = new Date(baseTime + (i * 3600 * 1000)).toISOString();
+            await storeLine(`@time=${time};msgid=m${i} :someone!u@h PRIVMSG #channel :message ${i}`);
+        }
+    };
+
+    const storeLine = async (line) => {
+        await store.storeMessage(ircLineParser(line), upstreamCon, null);
+    };
+
+    const msgIds = (messages) => messages.map(m => m.tags.msgid);
+    const hours = (n) => baseTime + (n * 3600 * 1000);
+
+    test('should write daily log and index files per buffer', async () => {
+        await storeTenMessages();
+
+        let dir = path.join(logsDir, '1', '1', '#channel');
+        expect(fs.readdirSync(dir).sort()).toEqual([
+            '2024-01-01.idx',
+            '2024-01-01.log',
+            '2024-01-02.idx',
+            '2024-01-02.log',
+        ]);
+
+        let firstLine = fs.readFileSync(path.join(dir, '2024-01-01.log'), 'utf8').split('\n')[0];
+        expect(JSON.parse(firstLine)).toMatchObject({
+            time: baseTime,
+            msgid: 'm0',
+            prefix: 'someone',
+            command: 'PRIVMSG',
+            params: ['#channel', 'message 0'],
+        });
+    });
+
+    test('should read messages after and before a time across days', async () => {
+        await storeTenMessages();
+
+        let after = await store.getMessagesFromTime(1, 1, '#channel', hours(4), 3);
+        expect(msgIds(after)).toEqual(['m5', 'm6', 'm7']);
+        expect(after[0].to1459()).toBe(`@time=2024-01-01T23:00:00.000Z;msgid=m5 :someone PRIVMSG #channel :message 5`);
+
+        let before = await store.getMessagesBeforeTime(1, 1, '#channel', hours(7), 4);
+        expect(msgIds(before)).toEqual(['m4', 'm5', 'm6', 'm7']);
+    });
+
+    test('should read messages relative to a msgid', async () => {
+        await storeTenMessages();
+
+        expect(msgIds(await store.getMessagesFromMsgId(1, 1, '#channel', 'm5', 2))).toEqual(['m6', 'm7']);
+        expect(msgIds(await store.getMessagesBeforeMsgId(1, 1, '#channel', 'm5', 2))).toEqual(['m4', 'm5']);
+        expect(await store.getMessagesFromMsgId(1, 1, '#channel', 'unknown', 2)).toEqual([]);
+    });
+
+    test('should read the latest messages between two references', async () => {
+        await storeTenMessages();
+
+        let messages = await store.getMessagesBetween(
+            1, 1, '#channel',
+            { type: 'msgid', value: 'm2' },
+            { type: 'timestamp', value: hours(8) },
+            3,
+        );
+        expect(msgIds(messages)).toEqual(['m5', 'm6', 'm7']);
+    });
+
+    test('should count messages and find the nth latest message time', async () => {
+        await storeTenMessages();
+        await storeLine(`@time=2024-01-02T05:00:00.000Z :other!u@h JOIN #channel`);
+
+        expect(await store.countMessagesSince(1, 1, '#channel', hours(6))).toBe(3);
+        expect(await store.getNthLatestMessageTime(1, 1, '#channel', 3)).toBe(hours(6));
+        expect(await store.getNthLatestMessageTime(1, 1, '#channel', 20)).toBe(0);
+        expect(await store.countMessagesSince(1, 1, '#nothing', 0)).toBe(0);
+    });
+
+    test('should only return events when asked for', async () => {
+        await storeTenMessages();
+        await storeLine(`@time=2024-01-02T04:30:00.000Z :someone!u@h QUIT :Bye`);
+
+        let messages = await store.getMessagesBeforeTime(1, 1, '#channel', hours(20), 2);
+        expect(messages.map(m => m.command)).toEqual(['PRIVMSG', 'PRIVMSG']);
+
+        messages = await store.getMessagesBeforeTime(1, 1, '#channel', hours(20), 2, { events: true });
+        expect(messages.map(m => m.command)).toEqual(['PRIVMSG', 'QUIT']);
+        expect(messages[1].prefix).toBe('someone!u@h');
+
+        expect(await store.getMessagesBeforeTime(1, 1, '#quiet', hours(20), 2, { events: true })).toEqual([]);
+    });
+
+    test('should only search recent days for a msgid', async () => {
+        for (let i = 0; i < 40; i++) {
+            let time = new Date(baseTime + (i * 24 * 3600 * 1000)).toISOString();
+            await storeLine(`@time=${time};msgid=d${i} :someone!u@h PRIVMSG #channel :day ${i}`);
+        }
+
+        let readSpy = jest.spyOn(fs.promises, 'readFile');
+        try {
+            expect(msgIds(await store.getMessagesFromMsgId(1, 1, '#channel', 'd30', 1))).toEqual(['d31']);
+            readSpy.mockClear();
+            expect(await store.getMessagesFromMsgId(1, 1, '#channel', 'd0', 1)).toEqual([]);
+            expect(readSpy).toHaveBeenCalledTimes(31);
+        } finally {
+            readSpy.mockRestore();
+        }
+    });
+
+    test('should convert logs in the old plain text layout', async () => {
+        let oldDir = path.join(logsDir, '1', 'libera');
+        fs.mkdirSync(oldDir, { recursive: true });
+        fs.writeFileSync(path.join(oldDir, '#channel.log'), [
+            '[2024-01-01T10:00:00.000Z] *** JOIN: someone (u@h)',
+            '[2024-01-01T10:01:00.000Z] <someone> hello there',
+            '[2024-01-01T10:02:00.000Z] someone is now known as other',
+            '[2024-01-01T10:03:00.000Z] *** PART: other (u@h) (Bye)',
+            'not a log line',
+            '',
+        ].join('\n'));
+        fs.mkdirSync(path.join(logsDir, '1', 'deletednet'));
+        fs.writeFileSync(path.join(logsDir, '1', 'deletednet', '#old.log'), '[2024-01-01T10:00:00.000Z] <a> b\n');
+
+        let db = {
+            dbUsers: jest.fn(() => ({
+                where: jest.fn(async () => [{ id: 7, name: 'Libera' }]),
+            })),
+        };
+        store = new FlatfileMessageStore(mockConfig, db);
+        await store.init();
+
+        let messages = await store.getMessagesBeforeTime(1, 7, '#channel', hours(20), 10, { events: true });
+        expect(messages.map(m => m.to1459())).toEqual([
+            '@time=2024-01-01T10:00:00.000Z :someone!u@h JOIN #channel',
+            '@time=2024-01-01T10:01:00.000Z :someone PRIVMSG #channel :hello there',
+            '@time=2024-01-01T10:02:00.000Z :someone NICK other',
+            '@time=2024-01-01T10:03:00.000Z :other!u@h PART #channel Bye',
+        ]);
+
+        // Converted only once, and left alone when the network no longer exists
+        expect(fs.readdirSync(oldDir).sort()).toEqual(['#channel.log.migrated']);
+        expect(fs.readdirSync(path.join(logsDir, '1', 'deletednet'))).toEqual(['#old.log']);
+        await store.init();
+        expect((await store.getMessagesBeforeTime(1, 7, '#channel', hours(20), 10, { events: true })).length).toBe(4);
+    });
+
+    test('should not log CTCP requests or messages to *', async () => {
+        await storeLine(`:someone!u@h PRIVMSG #channel :\x01VERSION\x01`);
+        await storeLine(`:server.example.com NOTICE * :*** Looking up your hostname...`);
+
+        expect(fs.readdirSync(logsDir)).toEqual([]);
+    });
+});
@@ -192,3 +192,69 @@ describe('extended-join capability hook', () => {
         expect(originalMessage.params.length).toBe(3);
     });
 });
+
+describe('auto away hooks', () => {
+    let commandHooks;
+    let network;
+    let upstream;
+    let client;
+    let otherClients;
+
+    beforeEach(() => {
+        delete require.cache[require.resolve('../../src/worker/hooks')];
+        commandHooks = require('../../src/worker/hooks');
+        commandHooks.addBuiltInHooks();
+
+        network = { id: 1, auto_away: 1, away_message: '', away_nick: '' };
+        otherClients = [];
+        upstream = createMockUpstream({ stateOptions: { nick: 'me' } });
+        upstream.state.authNetworkId = 1;
+        upstream.forEachClient = jest.fn((fn) => otherClients.forEach(fn));
+
+        client = createMockClient('client-1', [], { upstream });
+        client.userDb = { getNetwork: jest.fn().mockResolvedValue(network) };
+    });
+
+    afterEach(() => {
+        commandHooks.events = Object.create(null);
+    });
+
+    it('should set away when the last client detaches and come back when one attaches', async () => {
+        await commandHooks.emit('client_disconnected', { client });
+        expect(upstream.writeLine).toHaveBeenCalledWith('AWAY', 'away');
+        expect(upstream.state.tempData.set_away).toBe('away');
+
+        upstream.writeLine.mockClear();
+        await commandHooks.emit('client_registered', { client });
+        expect(upstream.writeLine).toHaveBeenCalledWith('AWAY');
+        expect(upstream.state.tempData.set_away).toBeUndefined();
+    });
+
+    it('should not set away while other clients are attached', async () => {
+        otherClients.push(createMockClient('client-2'));
+        await commandHooks.emit('client_disconnected', { client });
+
+        expect(upstream.writeLine).not.toHaveBeenCalled();
+    });
+
+    it('should use the networks away message and away nick', async () => {
+        network.away_message = 'Gone fishing';
+        network.away_nick = 'me|away';
+        await commandHooks.emit('client_disconnected', { client });
+
+        expect(upstream.writeLine).toHaveBeenCalledWith('AWAY', 'Gone fishing');
+        expect(upstream.writeLine).toHaveBeenCalledWith('NICK', 'me|away');
+
+        upstream.writeLine.mockClear();
+        await commandHooks.emit('client_registered', { client });
+        expect(upstream.writeLine).toHaveBeenCalledWith('NICK', 'me');
+        expect(upstream.state.tempData.away_nick_from).toBeUndefined();
+    });
+
+    it('should do nothing when auto away is disabled', async () => {
+        network.auto_away = 0;
+        await commandHooks.emit('client_disconnected', { client });
+
+        expect(upstream.writeLine).not.toHaveBeenCalled();
+    });
+});
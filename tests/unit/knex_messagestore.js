@@ -0,0 +1,198 @@
+const path = require('path');
+const knex = require('knex');
+const { ircLineParser } = require('irc-framework');
+const KnexMessageStore = require('../../src/worker/messagestores/knex');
+const LogRetention = require('../../src/worker/messagestores/retention');
+
+describe('KnexMessageStore', () => {
+    let store;
+    let db;
+    let upstreamCon;
+    let logging;
+
+    beforeAll(() => {
+        global.l = {
+            info: jest.fn(),
+            debug: jest.fn(),
+            error: jest.fn(),
+            warn: jest.fn(),
+        };
+    });
+
+    beforeEach(async () => {
+        db = knex({
+            client: 'better-sqlite3',
+            connection: { filename: ':memory:' },
+            useNullAsDefault: true,
+        });
+
+        logging = { users_database: true, users_database_batch_size: 5 };
+        let mockConfig = {
+            get: jest.fn((key, def) => (key === 'logging' ? logging : def)),
+        };
+
+        store = new KnexMessageStore(mockConfig, db);
+        await store.init();
+
+        upstreamCon = {
+            iSupportToken: jest.fn(() => ''),
+            state: {
+                authUserId: 1,
+                authNetworkId: 1,
+                nick: 'me',
+                buffers: {
+                    '#channel': { name: '#channel', isChannel: true, users: { me: {}, someone: {} } },
+                    '#quiet': { name: '#quiet', isChannel: true, users: { me: {} } },
+                },
+            },
+        };
+    });
+
+    afterEach(async () => {
+        await store.flush();
+        await db.destroy();
+    });
+
+    // 10 messages one minute apart, msgids m0..m9
+    const baseTime = 1700000000000;
+    const storeTenMessages = async () => {
+        for (let i = 0; i < 10; i++) {
+            let time = new Date(baseTime + (i * 60000)).toISOString();
+            await storeLine(`@time=${time};msgid=m${i} :someone!u@h PRIVMSG #channel :message ${i}`);
+        }
+    };
+
+    const storeLine = async (line) => {
+        await store.storeMessage(ircLineParser(line), upstreamCon, null);
+    };
+
+    const msgIds = (messages) => messages.map(m => m.tags.msgid);
+    const minutes = (n) => baseTime + (n * 60000);
+
+    test('should write messages in batches', async () => {
+        for (let i = 0; i < 7; i++) {
+            await storeLine(`@time=${new Date(minutes(i)).toISOString()} :someone!u@h PRIVMSG #channel :hi`);
+        }
+        await store.flushing;
+
+        let rows = await db('message_logs').count('* as cnt').first();
+        expect(rows.cnt).toBe(5);
+
+        await store.flush();
+        rows = await db('message_logs').count('* as cnt').first();
+        expect(rows.cnt).toBe(7);
+    });
+
+    test('should read messages after and before a time or msgid', async () => {
+        await storeTenMessages();
+
+        let after = await store.getMessagesFromTime(1, 1, '#channel', minutes(4), 3);
+        expect(msgIds(after)).toEqual(['m5', 'm6', 'm7']);
+        expect(after[0].to1459()).toBe(`@time=2023-11-14T22:18:20.000Z;msgid=m5 :someone PRIVMSG #channel :message 5`);
+
+        let before = await store.getMessagesBeforeTime(1, 1, '#channel', minutes(7), 4);
+        expect(msgIds(before)).toEqual(['m4', 'm5', 'm6', 'm7']);
+
+        expect(msgIds(await store.getMessagesFromMsgId(1, 1, '#channel', 'm5', 2))).toEqual(['m6', 'm7']);
+        expect(msgIds(await store.getMessagesBeforeMsgId(1, 1, '#channel', 'm5', 2))).toEqual(['m4', 'm5']);
+        expect(await store.getMessagesFromMsgId(1, 1, '#channel', 'unknown', 2)).toEqual([]);
+    });
+
+    test('should read messages between and around references', async () => {
+        await storeTenMessages();
+
+        let messages = await store.getMessagesBetween(
+            1, 1, '#channel',
+            { type: 'msgid', value: 'm2' },
+            { type: 'timestamp', value: minutes(8) },
+            3,
+        );
+        expect(msgIds(messages)).toEqual(['m5', 'm6', 'm7']);
+
+        messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'm5', 4);
+        expect(msgIds(messages)).toEqual(['m4', 'm5', 'm6', 'm7']);
+
+        messages = await store.getMessagesAroundTime(1, 1, '#channel', minutes(9), 4);
+        expect(msgIds(messages)).toEqual(['m6', 'm7', 'm8', 'm9']);
+    });
+
+    test('should list buffer targets and search messages', async () => {
+        await storeTenMessages();
+        await storeLine(`@time=${new Date(minutes(3)).toISOString()} :friend!u@h PRIVMSG me :100% sure`);
+
+        let targets = await store.getBufferTargets(1, 1, minutes(20), 0, 10);
+        expect(targets).toEqual([
+            { buffer: '#channel', time: minutes(9) },
+            { buffer: 'friend', time: minutes(3) },
+        ]);
+
+        let results = await store.searchMessages(1, 1, 'MESSAGE 3', {}, 10);
+        expect(results.map(r => r.buffer)).toEqual(['#channel']);
+        expect(results[0].message.params).toEqual(['#channel', 'message 3']);
+
+        expect((await store.searchMessages(1, 1, '100%', { nick: 'Friend' }, 10)).length).toBe(1);
+        expect((await store.searchMessages(1, 1, '0%', { buffer: '#channel' }, 10)).length).toBe(0);
+    });
+
+    test('should count messages and find the nth latest message time', async () => {
+        await storeTenMessages();
+
+        expect(await store.countMessagesSince(1, 1, '#channel', minutes(6))).toBe(3);
+        expect(await store.getNthLatestMessageTime(1, 1, '#channel', 3)).toBe(minutes(6));
+        expect(await store.getNthLatestMessageTime(1, 1, '#channel', 20)).toBe(0);
+    });
+
+    test('should only return events when asked for', async () => {
+        await storeTenMessages();
+        await storeLine(`@time=${new Date(minutes(10)).toISOString()} :someone!u@h QUIT :Bye`);
+
+        let messages = await store.getMessagesBeforeTime(1, 1, '#channel', minutes(20), 2);
+        expect(messages.map(m => m.command)).toEqual(['PRIVMSG', 'PRIVMSG']);
+
+        messages = await store.getMessagesBeforeTime(1, 1, '#channel', minutes(20), 2, { events: true });
+        expect(messages.map(m => m.command)).toEqual(['PRIVMSG', 'QUIT']);
+        expect(messages[1].prefix).toBe('someone!u@h');
+
+        expect(await store.getMessagesBeforeTime(1, 1, '#quiet', minutes(20), 2, { events: true })).toEqual([]);
+    });
+
+    test('should remove messages older than the retention period', async () => {
+        let old = new Date(Date.now() - (40 * 86400000)).toISOString();
+        let recent = new Date().toISOString();
+        await storeLine(`@time=${old} :someone!u@h PRIVMSG #channel :old`);
+        await storeLine(`@time=${old} :friend!u@h PRIVMSG me :old`);
+        await storeLine(`@time=${recent} :someone!u@h PRIVMSG #channel :new`);
+        await store.flush();
+
+        expect(await store.runRetentionCleanup(30, true, 1)).toBe(1);
+        expect(await db('message_logs').pluck('data')).toEqual(['old', 'new']);
+
+        await store.deleteUserMessages(1);
+        expect(await db('message_logs').pluck('data')).toEqual([]);
+    });
+
+    test('should apply users retention rules when cleaning up', async () => {
+        await db.migrate.latest({
+            directory: path.join(__dirname, '..', '..', 'src', 'dbschemas', 'users'),
+        });
+        let retention = new LogRetention({ get: (key, def) => def }, { dbUsers: db });
+        store.retention = retention;
+        await retention.setRule(1, 0, '*pms', 1);
+        await retention.setRule(1, 1, '#private', -1);
+
+        let old = new Date(Date.now() - (3 * 86400000)).toISOString();
+        let recent = new Date().toISOString();
+        await storeLine(`@time=${old} :someone!u@h PRIVMSG #channel :old channel`);
+        await storeLine(`@time=${old} :friend!u@h PRIVMSG me :old pm`);
+        await storeLine(`@time=${recent} :friend!u@h PRIVMSG me :new pm`);
+        await storeLine(`@time=${recent} :someone!u@h PRIVMSG #private :secret`);
+        upstreamCon.state.authUserId = 2;
+        await storeLine(`@time=${old} :friend!u@h PRIVMSG me :other user`);
+        await store.flush();
+
+        // Users with rules are left to their own cleanup
+        expect(await store.runRetentionCleanup(2, false, 0, [1])).toBe(1);
+        expect(await store.runUserRetentionCleanup(1)).toBe(2);
+        expect(await db('message_logs').orderBy('id').pluck('data')).toEqual(['old channel', 'new pm']);
+    });
+});
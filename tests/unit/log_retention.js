@@ -0,0 +1,77 @@
+const path = require('path');
+const knex = require('knex');
+const LogRetention = require('../../src/worker/messagestores/retention');
+
+describe('LogRetention', () => {
+    let retention;
+    let dbUsers;
+
+    beforeEach(async () => {
+        dbUsers = knex({
+            client: 'better-sqlite3',
+            connection: { filename: ':memory:' },
+            useNullAsDefault: true,
+        });
+        await dbUsers.migrate.latest({
+            directory: path.join(__dirname, '..', '..', 'src', 'dbschemas', 'users'),
+        });
+
+        let mockConfig = {
+            get: jest.fn((key, def) => (key === 'logging' ? { retention_days_channels: 30 } : def)),
+        };
+        retention = new LogRetention(mockConfig, { dbUsers });
+    });
+
+    afterEach(async () => {
+        await dbUsers.destroy();
+    });
+
+    test('should fall back to the config retention', async () => {
+        expect(await retention.bufferDays(1, 1, '#channel')).toBe(30);
+        expect(await retention.bufferDays(1, 1, 'someone')).toBe(0);
+        expect(await retention.shouldLog(1, 1, 'someone')).toBe(true);
+    });
+
+    test('should pick up new config defaults when reloaded', async () => {
+        retention.applyConfig({
+            get: jest.fn((key, def) => (key === 'logging' ? { retention_days_pms: 7 } : def)),
+        });
+
+        expect(await retention.bufferDays(1, 1, '#channel')).toBe(0);
+        expect(await retention.bufferDays(1, 1, 'someone')).toBe(7);
+    });
+
+    test('should use the most specific rule', async () => {
+        await retention.setRule(1, 0, '*', 365);
+        await retention.setRule(1, 0, '*pms', 1);
+        await retention.setRule(1, 2, '*', 0);
+        await retention.setRule(1, 2, '#Secret', -1);
+
+        expect(await retention.bufferDays(1, 1, '#channel')).toBe(365);
+        expect(await retention.bufferDays(1, 1, 'someone')).toBe(1);
+        expect(await retention.bufferDays(1, 2, 'someone')).toBe(0);
+        expect(await retention.bufferDays(1, 2, '#secret')).toBe(-1);
+        expect(await retention.shouldLog(1, 2, '#SECRET')).toBe(false);
+
+        // Other users are unaffected
+        expect(await retention.bufferDays(2, 2, '#secret')).toBe(30);
+        expect(await retention.userIdsWithRules()).toEqual([1]);
+    });
+
+    test('should update and remove rules', async () => {
+        await retention.setRule(1, 1, '*channels', 7);
+        await retention.setRule(1, 1, '*channels', 14);
+        expect(await retention.bufferDays(1, 1, '#channel')).toBe(14);
+        expect((await retention.listRules(1)).length).toBe(1);
+
+        expect(await retention.removeRule(1, 1, '*channels')).toBe(1);
+        expect(await retention.removeRule(1, 1, '*channels')).toBe(0);
+        expect(await retention.bufferDays(1, 1, '#channel')).toBe(30);
+    });
+
+    test('should give the cutoff time for a number of days', () => {
+        expect(retention.cutoffTime(0)).toBe(null);
+        expect(retention.cutoffTime(-1)).toBeGreaterThan(Date.now() - 1000);
+        expect(retention.cutoffTime(2)).toBeLessThan(Date.now() - (47 * 3600 * 1000));
+    });
+});
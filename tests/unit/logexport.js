@@ -0,0 +1,81 @@
+const LogExport = require('../../src/libs/logexport');
+
+describe('libs/logexport.js', () => {
+    it('should parse ZNC log lines', () => {
+        let parse = (line) => LogExport.parseZncLine(line, '2024-01-31', '#chan');
+
+        let message = parse('[12:34:56] <nick> hello there');
+        expect(message.to1459()).toBe('@time=2024-01-31T12:34:56.000Z :nick PRIVMSG #chan :hello there');
+        expect(message.nick).toBe('nick');
+
+        expect(parse('[12:34:56] * nick waves').params).toEqual(['#chan', '\x01ACTION waves\x01']);
+        expect(parse('[12:34:56] -nick- a notice').command).toBe('NOTICE');
+        expect(parse('[12:34:56] *** Joins: nick (ident@host)').prefix).toBe('nick!ident@host');
+        expect(parse('[12:34:56] *** Parts: nick (ident@host) (bye)').params).toEqual(['#chan', 'bye']);
+        expect(parse('[12:34:56] *** Quits: nick (ident@host) (Quit: bye)').params).toEqual(['Quit: bye']);
+        expect(parse('[12:34:56] *** nick was kicked by op (no reason)').params).toEqual(['#chan', 'nick', 'no reason']);
+        expect(parse('[12:34:56] *** nick is now known as other').params).toEqual(['other']);
+        expect(parse("[12:34:56] *** op changes topic to 'new topic'").params).toEqual(['#chan', 'new topic']);
+        expect(parse('[12:34:56] *** op sets mode: +o nick').params).toEqual(['#chan', '+o', 'nick']);
+
+        expect(parse('not a log line')).toBe(null);
+        expect(parse('[12:34:56] *** Something unknown')).toBe(null);
+    });
+
+    it('should read the buffer and date from ZNC log paths', () => {
+        expect(LogExport.parseZncLogPath('logs/user/libera/#chan/2024-01-31.log'))
+            .toEqual({ date: '2024-01-31', buffer: '#chan' });
+        expect(LogExport.parseZncLogPath('logs/libera_#chan_20240131.log'))
+            .toEqual({ date: '2024-01-31', buffer: '#chan' });
+        expect(LogExport.parseZncLogPath('logs/notes.log')).toBe(null);
+    });
+
+    it('should convert messages to and from JSON lines', () => {
+        let message = LogExport.parseZncLine('[12:34:56] <nick> hello', '2024-01-31', '#chan');
+        message.tags.msgid = 'abc';
+
+        let line = LogExport.messageToJsonLine('libera', '#chan', message);
+        expect(JSON.parse(line)).toEqual({
+            network: 'libera',
+            buffer: '#chan',
+            time: '2024-01-31T12:34:56.000Z',
+            command: 'PRIVMSG',
+            prefix: 'nick',
+            params: ['#chan', 'hello'],
+            tags: { time: '2024-01-31T12:34:56.000Z', msgid: 'abc' },
+        });
+
+        let parsed = LogExport.parseJsonLine(line);
+        expect(parsed.network).toBe('libera');
+        expect(parsed.buffer).toBe('#chan');
+        expect(parsed.message.to1459()).toBe(message.to1459());
+
+        expect(LogExport.parseJsonLine('{"network":"libera"}')).toBe(null);
+        expect(LogExport.parseJsonLine('not json')).toBe(null);
+    });
+
+    it('should export every message when paging over messages with the same time', async () => {
+        // 2500 messages with 3 sharing each time
+        let stored = [];
+        for (let i = 0; i < 2500; i++) {
+            let time = new Date(Date.UTC(2024, 0, 1) + Math.floor(i / 3) * 1000).toISOString();
+            stored.push({ command: 'PRIVMSG', prefix: 'nick', params: ['#chan', `message ${i}`], tags: { time } });
+        }
+
+        let messages = {
+            getBufferTargets: jest.fn(async () => [{ buffer: '#chan', time: 0 }]),
+            getMessagesFromTime: jest.fn(async (userId, networkId, buffer, fromTime, length) => {
+                return stored.filter(m => new Date(m.tags.time).getTime() > fromTime).slice(0, length);
+            }),
+        };
+
+        let lines = [];
+        for await (let line of LogExport.exportLines(messages, 1, [{ id: 1, name: 'libera' }])) {
+            lines.push(JSON.parse(line));
+        }
+
+        expect(lines.length).toBe(2500);
+        expect(lines[2499].params[1]).toBe('message 2499');
+        expect(new Set(lines.map(line => line.params[1])).size).toBe(2500);
+    });
+});
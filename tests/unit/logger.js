@@ -0,0 +1,63 @@
+'use strict';
+
+const createLogger = require('../../src/libs/logger');
+
+/**
+ * Tests for JSON output, child loggers and module log levels in src/libs/logger.js
+ */
+
+describe('logger', () => {
+    let logSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    it('should write JSON lines with the child logger context', () => {
+        let log = createLogger('worker');
+        log.level = log.levels.info;
+        log.format = 'json';
+
+        let userId = 0;
+        let conLog = log.child({ conid: 'con-1', userId: () => userId });
+        conLog.info('Before login');
+        userId = 5;
+        conLog.child({ networkId: 2 }).error('Something failed:', 'reason');
+
+        let lines = [...logSpy.mock.calls, ...errorSpy.mock.calls].map(args => JSON.parse(args[0]));
+        expect(lines).toEqual([
+            { time: expect.any(String), level: 'info', label: 'worker', conid: 'con-1', msg: 'Before login' },
+            { time: expect.any(String), level: 'error', label: 'worker', conid: 'con-1', userId: 5, networkId: 2, msg: 'Something failed: reason' },
+        ]);
+    });
+
+    it('should add the context to text lines', () => {
+        let log = createLogger('worker');
+        log.level = log.levels.info;
+        log.colour = false;
+
+        log.child({ module: 'connectionincoming', conid: 'con-1', userId: 5 }).info('Hello');
+
+        expect(logSpy).toHaveBeenCalledWith(expect.any(String), '[worker]', 'l_info', '[conid=con-1 userId=5]', 'Hello');
+    });
+
+    it('should use the level set for a module', () => {
+        let log = createLogger('worker');
+        log.level = log.levels.info;
+        log.moduleLevels.connectionoutgoing = log.levels.trace;
+
+        log.debug('root');
+        log.child({ module: 'connectionincoming' }).debug('incoming');
+        log.child({ module: 'connectionoutgoing' }).child({ conid: 'con-1' }).debug('outgoing');
+
+        expect(logSpy).toHaveBeenCalledTimes(1);
+        expect(logSpy.mock.calls[0]).toContain('outgoing');
+    });
+});
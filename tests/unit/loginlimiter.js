@@ -0,0 +1,89 @@
+'use strict';
+
+const LoginLimiter = require('../../src/libs/loginlimiter');
+
+/**
+ * Tests for the failed login delays and lockouts in src/libs/loginlimiter.js
+ */
+
+describe('LoginLimiter', () => {
+    let limiter;
+    let limitsConfig;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        limitsConfig = { max_failures: 3, window: 600, delay: 1, lockout: 60, max_lockout: 100, exempt: [] };
+        global.l = { warn: jest.fn() };
+        global.config = { get: jest.fn((key, def) => (key === 'login_limits' ? limitsConfig : def)) };
+        limiter = new LoginLimiter();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.l;
+        delete global.config;
+    });
+
+    it('should double the delay after each failure', () => {
+        expect(limiter.blockedFor('192.0.2.1', 'bob')).toBe(0);
+
+        limiter.failure('192.0.2.1', 'bob');
+        expect(limiter.blockedFor('192.0.2.1', 'bob')).toBe(1);
+        // The username is blocked from other addresses too
+        expect(limiter.blockedFor('192.0.2.2', 'bob')).toBe(1);
+        expect(limiter.blockedFor('192.0.2.2', 'alice')).toBe(0);
+
+        jest.advanceTimersByTime(1000);
+        expect(limiter.blockedFor('192.0.2.1', 'bob')).toBe(0);
+        limiter.failure('192.0.2.1', 'bob');
+        expect(limiter.blockedFor('192.0.2.1', 'bob')).toBe(2);
+    });
+
+    it('should lock out after too many failures and for longer each time', () => {
+        for (let i = 0; i < 3; i++) {
+            limiter.failure('192.0.2.1', '');
+        }
+        expect(limiter.blockedFor('192.0.2.1', '')).toBe(60);
+        expect(limiter.bans()).toEqual([{ type: 'ip', name: '192.0.2.1', until: Date.now() + 60000, lockouts: 1 }]);
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(limiter.bans()).toEqual([]);
+        for (let i = 0; i < 3; i++) {
+            limiter.failure('192.0.2.1', '');
+        }
+        // Doubled, but no longer than max_lockout
+        expect(limiter.blockedFor('192.0.2.1', '')).toBe(100);
+    });
+
+    it('should clear the username on a successful login but keep the IP', () => {
+        limiter.failure('192.0.2.1', 'bob');
+        limiter.success('192.0.2.1', 'bob');
+
+        expect(limiter.blockedFor('192.0.2.2', 'bob')).toBe(0);
+        expect(limiter.blockedFor('192.0.2.1', 'alice')).toBe(1);
+    });
+
+    it('should clear lockouts', () => {
+        for (let i = 0; i < 3; i++) {
+            limiter.failure('::ffff:192.0.2.1', 'Bob');
+        }
+        expect(limiter.bans().map(ban => ban.type + ' ' + ban.name)).toEqual(['ip 192.0.2.1', 'user bob']);
+
+        expect(limiter.clear('bob')).toBe(1);
+        expect(limiter.clear('192.0.2.1')).toBe(1);
+        expect(limiter.clear('192.0.2.1')).toBe(0);
+        expect(limiter.bans()).toEqual([]);
+    });
+
+    it('should not limit exempt addresses or when disabled', () => {
+        limitsConfig.exempt = ['127.0.0.1/8', '2001:db8::1'];
+        limiter.failure('127.0.0.1', '');
+        limiter.failure('2001:db8::1', '');
+        expect(limiter.blockedFor('127.0.0.1', '')).toBe(0);
+        expect(limiter.blockedFor('2001:db8::1', '')).toBe(0);
+
+        limitsConfig.enabled = false;
+        limiter.failure('192.0.2.1', 'bob');
+        expect(limiter.blockedFor('192.0.2.1', 'bob')).toBe(0);
+    });
+});
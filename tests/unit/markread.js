@@ -0,0 +1,150 @@
+'use strict';
+
+const { ircLineParser } = require('irc-framework');
+const {
+    createMockClient,
+    createMockUpstream,
+    createMockEventEmitter
+} = require('../helpers/mocks');
+
+/**
+ * Tests for the markread extension in src/extensions/markread/
+ */
+
+describe('markread extension', () => {
+    let hooks;
+    let upstream;
+    let buffers;
+    let clients;
+
+    const createClient = (id, caps, networkId = 1, clientid = id) => {
+        let client = createMockClient(id, caps, { upstream });
+        client.state.authUserId = 1;
+        client.state.authNetworkId = networkId;
+        client.state.clientid = clientid;
+        clients.push(client);
+        return client;
+    };
+
+    const sendCommand = async (client, line) => {
+        let event = {
+            client,
+            message: ircLineParser(line),
+            preventDefault: jest.fn(),
+        };
+        await hooks.emit('message_from_client', event);
+        return event;
+    };
+
+    const written = (client) => client.writeMsg.mock.calls;
+
+    beforeEach(async () => {
+        buffers = Object.create(null);
+        clients = [];
+        hooks = createMockEventEmitter();
+
+        upstream = createMockUpstream();
+        upstream.state.buffers = buffers;
+        upstream.state.getBuffer = name => buffers[name.toLowerCase()] || null;
+        buffers['#chan'] = { name: '#chan', isChannel: true, joined: true, lastSeen: {} };
+
+        let app = {
+            cons: {
+                findAllUsersClients: jest.fn(() => clients),
+            },
+        };
+
+        delete require.cache[require.resolve('../../src/extensions/markread/index')];
+        await require('../../src/extensions/markread/index').init(hooks, app);
+    });
+
+    it('should reply with the current marker when no timestamp is given', async () => {
+        let client = createClient('client-1', ['draft/read-marker']);
+
+        let event = await sendCommand(client, 'MARKREAD #chan');
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(event.passthru).toBe(false);
+        expect(written(client)).toEqual([['MARKREAD', '#chan', '*']]);
+
+        buffers['#chan'].lastSeen['auto:other'] = Date.UTC(2024, 0, 2);
+        buffers['#chan'].lastSeen.phone = Date.UTC(2024, 0, 1);
+        await sendCommand(client, 'MARKREAD #CHAN');
+        expect(written(client)[1]).toEqual(['MARKREAD', '#CHAN', 'timestamp=2024-01-01T00:00:00.000Z']);
+    });
+
+    it('should store markers and broadcast them to clients on the same network', async () => {
+        let client = createClient('client-1', ['draft/read-marker']);
+        let other = createClient('client-2', ['draft/read-marker']);
+        let noCap = createClient('client-3', []);
+        let otherNetwork = createClient('client-4', ['draft/read-marker'], 2);
+
+        await sendCommand(client, 'MARKREAD #chan timestamp=2024-01-01T00:00:00.000Z');
+
+        expect(buffers['#chan'].lastSeen['client-1']).toBe(Date.UTC(2024, 0, 1));
+        expect(upstream.state._dirty).toBe(true);
+        for (let con of [client, other]) {
+            expect(written(con)).toEqual([['MARKREAD', '#chan', 'timestamp=2024-01-01T00:00:00.000Z']]);
+        }
+        expect(written(noCap)).toEqual([]);
+        expect(written(otherNetwork)).toEqual([]);
+    });
+
+    it('should not create buffers for unknown targets', async () => {
+        let client = createClient('client-1', ['draft/read-marker']);
+
+        await sendCommand(client, 'MARKREAD Friend timestamp=2024-01-01T00:00:00.000Z');
+
+        expect(buffers['friend']).toBe(undefined);
+        expect(upstream.state._dirty).toBeFalsy();
+        expect(written(client)).toEqual([
+            ['FAIL', 'MARKREAD', 'INVALID_PARAMS', 'Friend', 'Unknown buffer'],
+        ]);
+    });
+
+    it('should not move markers backwards', async () => {
+        let client = createClient('client-1', ['draft/read-marker']);
+        let other = createClient('client-2', ['draft/read-marker']);
+        buffers['#chan'].lastSeen.phone = Date.UTC(2024, 0, 2);
+
+        await sendCommand(client, 'MARKREAD #chan timestamp=2024-01-01T00:00:00.000Z');
+
+        expect(buffers['#chan'].lastSeen['client-1']).toBe(undefined);
+        expect(written(client)).toEqual([['MARKREAD', '#chan', 'timestamp=2024-01-02T00:00:00.000Z']]);
+        expect(written(other)).toEqual([]);
+    });
+
+    it('should reject invalid commands', async () => {
+        let client = createClient('client-1', ['draft/read-marker']);
+
+        await sendCommand(client, 'MARKREAD');
+        await sendCommand(client, 'MARKREAD #chan timestamp=yesterday');
+        await sendCommand(client, 'MARKREAD #chan 2024-01-01T00:00:00.000Z');
+        client.state.authNetworkId = 0;
+        await sendCommand(client, 'MARKREAD #chan');
+
+        expect(written(client).map(args => args.slice(0, 3))).toEqual([
+            ['FAIL', 'MARKREAD', 'NEED_MORE_PARAMS'],
+            ['FAIL', 'MARKREAD', 'INVALID_PARAMS'],
+            ['FAIL', 'MARKREAD', 'INVALID_PARAMS'],
+            ['FAIL', 'MARKREAD', 'INTERNAL_ERROR'],
+        ]);
+    });
+
+    it('should send markers to clients when they attach', async () => {
+        let client = createClient('client-1', ['draft/read-marker']);
+        let noCap = createClient('client-2', []);
+        buffers['#chan'].lastSeen.phone = Date.UTC(2024, 0, 1);
+        buffers['#parted'] = { name: '#parted', isChannel: true, joined: false, lastSeen: { phone: 1 } };
+        buffers['friend'] = { name: 'Friend', isChannel: false, lastSeen: { phone: Date.UTC(2024, 0, 3) } };
+        buffers['unread'] = { name: 'unread', isChannel: false, lastSeen: {} };
+
+        await hooks.emit('client_registered', { client });
+        await hooks.emit('client_registered', { client: noCap });
+
+        expect(written(client)).toEqual([
+            ['MARKREAD', '#chan', 'timestamp=2024-01-01T00:00:00.000Z'],
+            ['MARKREAD', 'Friend', 'timestamp=2024-01-03T00:00:00.000Z'],
+        ]);
+        expect(written(noCap)).toEqual([]);
+    });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const { ircLineParser, Message } = require('irc-framework');
+const {
+    createMockClient,
+    createMockEventEmitter
+} = require('../helpers/mocks');
+
+/**
+ * Tests for the SEARCH command in src/extensions/search/
+ */
+
+describe('search extension', () => {
+    let hooks;
+    let client;
+
+    const sendCommand = async (line) => {
+        let event = {
+            client,
+            message: ircLineParser(line),
+            preventDefault: jest.fn(),
+        };
+        await hooks.emit('message_from_client', event);
+        return event;
+    };
+
+    const written = () => client.writeMsg.mock.calls.map(args => args[0]);
+
+    const result = (buffer, msgid, text) => {
+        let message = new Message('PRIVMSG', buffer, text);
+        message.prefix = 'bob!bob@example.com';
+        message.tags = { msgid };
+        return { buffer, message };
+    };
+
+    beforeEach(async () => {
+        hooks = createMockEventEmitter();
+        client = createMockClient('client-1', ['soju.im/search']);
+        client.state.authUserId = 1;
+        client.state.authNetworkId = 2;
+        client.messages = {
+            searchMessages: jest.fn(async () => [
+                result('#chan', 'm2', 'the build is fixed'),
+                result('#chan', 'm1', 'who broke the build'),
+            ]),
+        };
+
+        let app = {
+            stats: { makePrefix: () => ({ increment: jest.fn() }) },
+        };
+
+        delete require.cache[require.resolve('../../src/extensions/search/index')];
+        await require('../../src/extensions/search/index').init(hooks, app);
+    });
+
+    it('should offer the soju.im/search capability', async () => {
+        let caps = new Set();
+        await hooks.emit('available_caps', { client, caps });
+        expect(caps.has('soju.im/search')).toBe(true);
+    });
+
+    it('should send the results in a batch, oldest first', async () => {
+        let event = await sendCommand('SEARCH in=#chan;from=bob;after=2024-01-01T00:00:00.000Z;limit=10;text=the\\sbuild');
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(event.passthru).toBe(false);
+
+        // Attribute values are escaped like message tags so \s is a space
+        expect(client.messages.searchMessages).toHaveBeenCalledWith(
+            1,
+            2,
+            'the build',
+            { buffer: '#chan', nick: 'bob', after: Date.UTC(2024, 0, 1) },
+            10,
+        );
+
+        let lines = written();
+        expect(lines.map(m => m.command)).toEqual(['BATCH', 'PRIVMSG', 'PRIVMSG', 'BATCH']);
+        let batchId = lines[0].params[0].substr(1);
+        expect(lines[0].params).toEqual(['+' + batchId, 'soju.im/search']);
+        expect(lines.slice(1, 3).map(m => m.tags)).toEqual([
+            { msgid: 'm1', batch: batchId },
+            { msgid: 'm2', batch: batchId },
+        ]);
+        expect(lines[3].params).toEqual(['-' + batchId]);
+    });
+
+    it('should limit the number of results', async () => {
+        await sendCommand('SEARCH text=build;limit=5000');
+        await sendCommand('SEARCH text=build;limit=nope');
+        expect(client.messages.searchMessages.mock.calls.map(args => args[4])).toEqual([100, 100]);
+    });
+
+    it('should fail without text or with invalid timestamps', async () => {
+        await sendCommand('SEARCH in=#chan');
+        await sendCommand('SEARCH text=build;before=yesterday');
+
+        expect(client.messages.searchMessages).not.toHaveBeenCalled();
+        expect(client.writeMsg.mock.calls).toEqual([
+            ['FAIL', 'SEARCH', 'INVALID_PARAMS', 'in=#chan', 'Search text should be given'],
+            ['FAIL', 'SEARCH', 'INVALID_PARAMS', 'text=build;before=yesterday', 'Invalid before timestamp'],
+        ]);
+    });
+
+    it('should fail when not logged into a network', async () => {
+        client.state.authNetworkId = 0;
+        await sendCommand('SEARCH text=build');
+
+        expect(client.messages.searchMessages).not.toHaveBeenCalled();
+        expect(client.writeMsg).toHaveBeenCalledWith('FAIL', 'SEARCH', 'INTERNAL_ERROR', 'Not logged into a network');
+    });
+
+    it('should leave other commands alone', async () => {
+        let event = await sendCommand('PRIVMSG #chan :SEARCH text=build');
+        expect(event.preventDefault).not.toHaveBeenCalled();
+        expect(client.messages.searchMessages).not.toHaveBeenCalled();
+    });
+});
@@ -1,3 +1,4 @@
+const { ircLineParser } = require('irc-framework');
 const SqliteMessageStore = require('../../src/worker/messagestores/sqlite');
 const Stats = require('../../src/libs/stats');
 
@@ -191,4 +192,467 @@ describe('SqliteMessageStore Retention & Cleanup', () => {
             expect(count.c).toBe(0);
         });
     });
+
+    describe('retention cleanup task', () => {
+        test('should be scheduled by init()', () => {
+            expect(store.cleanupTimer).toBeTruthy();
+            store.stop();
+            expect(store.cleanupTimer).toBe(null);
+        });
+
+        test('should not run when init() is told not to', async () => {
+            store.stop();
+            store.db.close();
+            global.l.info.mockClear();
+
+            store = new SqliteMessageStore(mockConfig);
+            await store.init({ retentionCleanup: false });
+
+            expect(store.cleanupTimer).toBeFalsy();
+            expect(global.l.info).not.toHaveBeenCalledWith('Running message retention cleanup');
+        });
+    });
+});
+
+describe('SqliteMessageStore history lookups', () => {
+    let store;
+
+    beforeAll(() => {
+        global.l = {
+            info: jest.fn(),
+            debug: jest.fn(),
+            error: jest.fn(),
+            warn: jest.fn(),
+        };
+    });
+
+    beforeEach(async () => {
+        let mockConfig = {
+            get: jest.fn((key) => {
+                if (key === 'logging') {
+                    return { database: ':memory:' };
+                }
+                return {};
+            }),
+            relativePath: jest.fn((path) => path),
+        };
+
+        store = new SqliteMessageStore(mockConfig);
+        await store.init();
+    });
+
+    afterEach(() => {
+        if (store.db && store.db.open) {
+            store.db.close();
+        }
+    });
+
+    // Insert a fully formed PRIVMSG so that it can be read back as an IrcMessage
+    const insertMessage = (props) => {
+        const p = {
+            user_id: 1,
+            network_id: 1,
+            buffer: '#channel',
+            time: Date.now(),
+            type: 1,
+            msgid: 'msg-' + Math.random(),
+            nick: 'someone',
+            text: 'hello',
+            ...props,
+        };
+
+        store.stmtInsertLogWithId.run(
+            p.user_id,
+            p.network_id,
+            store.dataId(p.buffer),
+            p.time,
+            p.type,
+            p.msgid,
+            store.dataId(JSON.stringify({ msgid: p.msgid })),
+            store.dataId(p.text),
+            store.dataId(p.nick),
+            store.dataId(p.buffer),
+        );
+    };
+
+    // 10 messages one second apart, msgids m0..m9
+    const baseTime = 1700000000000;
+    const insertTenMessages = () => {
+        for (let i = 0; i < 10; i++) {
+            insertMessage({ time: baseTime + (i * 1000), msgid: 'm' + i, text: 'message ' + i });
+        }
+    };
+
+    const msgIds = (messages) => messages.map(m => m.tags.msgid);
+
+    describe('getMessagesAroundMsgId', () => {
+        test('should return messages centred on the msgid, including it', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'm5', 4);
+
+            expect(msgIds(messages)).toEqual(['m4', 'm5', 'm6', 'm7']);
+            expect(messages[1].command).toBe('PRIVMSG');
+            expect(messages[1].params).toEqual(['#channel', 'message 5']);
+        });
+
+        test('should fill from later messages when near the start of the buffer', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'm0', 4);
+
+            expect(msgIds(messages)).toEqual(['m0', 'm1', 'm2', 'm3']);
+        });
+
+        test('should return only the referenced message with a limit of 1', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'm5', 1);
+
+            expect(msgIds(messages)).toEqual(['m5']);
+        });
+
+        test('should fill from earlier messages when near the end of the buffer', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'm9', 4);
+
+            expect(msgIds(messages)).toEqual(['m6', 'm7', 'm8', 'm9']);
+        });
+
+        test('should return nothing for an unknown msgid', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'nope', 4);
+
+            expect(messages).toEqual([]);
+        });
+
+        test('should not return messages from other buffers', async () => {
+            insertTenMessages();
+            insertMessage({ buffer: '#other', time: baseTime + 5500, msgid: 'other' });
+
+            const messages = await store.getMessagesAroundMsgId(1, 1, '#channel', 'm5', 2);
+
+            expect(msgIds(messages)).toEqual(['m5', 'm6']);
+        });
+    });
+
+    describe('getMessagesAroundTime', () => {
+        test('should return messages centred on the timestamp', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundTime(1, 1, '#channel', baseTime + 4500, 4);
+
+            expect(msgIds(messages)).toEqual(['m3', 'm4', 'm5', 'm6']);
+        });
+
+        test('should include a message at the exact timestamp', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundTime(1, 1, '#channel', baseTime + 5000, 3);
+
+            expect(msgIds(messages)).toEqual(['m4', 'm5', 'm6']);
+        });
+
+        test('should fill from earlier messages when near the end of the buffer', async () => {
+            insertTenMessages();
+
+            const messages = await store.getMessagesAroundTime(1, 1, '#channel', baseTime + 8500, 4);
+
+            expect(msgIds(messages)).toEqual(['m6', 'm7', 'm8', 'm9']);
+        });
+    });
+
+    describe('getBufferTargets', () => {
+        const insertConversations = () => {
+            insertMessage({ buffer: '#one', time: baseTime + 1000 });
+            insertMessage({ buffer: '#one', time: baseTime + 4000 });
+            insertMessage({ buffer: 'somenick', time: baseTime + 2000 });
+            insertMessage({ buffer: '#two', time: baseTime + 3000 });
+            insertMessage({ buffer: '#two', time: baseTime + 9000 });
+            insertMessage({ buffer: '#elsewhere', time: baseTime + 5000, network_id: 2 });
+        };
+
+        test('should list buffers with their latest message time, oldest first', async () => {
+            insertConversations();
+
+            const targets = await store.getBufferTargets(1, 1, baseTime, baseTime + 10000, 10);
+
+            expect(targets).toEqual([
+                { buffer: 'somenick', time: baseTime + 2000 },
+                { buffer: '#one', time: baseTime + 4000 },
+                { buffer: '#two', time: baseTime + 9000 },
+            ]);
+        });
+
+        test('should only consider messages between the two times', async () => {
+            insertConversations();
+
+            const targets = await store.getBufferTargets(1, 1, baseTime + 2500, baseTime + 5000, 10);
+
+            expect(targets).toEqual([
+                { buffer: '#two', time: baseTime + 3000 },
+                { buffer: '#one', time: baseTime + 4000 },
+            ]);
+        });
+
+        test('should list newest first when the times are reversed', async () => {
+            insertConversations();
+
+            const targets = await store.getBufferTargets(1, 1, baseTime + 10000, baseTime, 2);
+
+            expect(targets.map(t => t.buffer)).toEqual(['#two', '#one']);
+        });
+
+        test('should respect the limit', async () => {
+            insertConversations();
+
+            const targets = await store.getBufferTargets(1, 1, baseTime, baseTime + 10000, 1);
+
+            expect(targets.map(t => t.buffer)).toEqual(['somenick']);
+        });
+    });
+
+    describe('channel events', () => {
+        let upstreamCon;
+
+        beforeEach(() => {
+            const buffer = (name, isChannel, nicks) => {
+                let users = Object.create(null);
+                nicks.forEach(nick => { users[nick.toLowerCase()] = { nick }; });
+                return { name, isChannel, users };
+            };
+
+            upstreamCon = {
+                state: {
+                    authUserId: 1,
+                    authNetworkId: 1,
+                    nick: 'me',
+                    buffers: {
+                        '#channel': buffer('#channel', true, ['me', 'Someone']),
+                        '#other': buffer('#other', true, ['me', 'someone']),
+                        '#quiet': buffer('#quiet', true, ['me']),
+                        'someone': buffer('someone', false, []),
+                    },
+                },
+            };
+        });
+
+        const storeLine = async (line) => {
+            await store.storeMessage(ircLineParser(line), upstreamCon, null);
+        };
+
+        const commands = (messages) => messages.map(m => m.command);
+
+        test('should not return events without the events option', async () => {
+            insertMessage({ time: baseTime, msgid: 'before' });
+            await storeLine(`@time=2023-11-14T22:13:21.000Z :someone!user@host JOIN #channel`);
+
+            const messages = await store.getMessagesBeforeTime(1, 1, '#channel', Date.now(), 10);
+
+            expect(commands(messages)).toEqual(['PRIVMSG']);
+        });
+
+        test('should read events back as the original messages', async () => {
+            await storeLine(`@time=2023-11-14T22:13:21.000Z :someone!user@host JOIN #channel`);
+            await storeLine(`@time=2023-11-14T22:13:22.000Z :op!user@host KICK #channel someone :Bye now`);
+            await storeLine(`@time=2023-11-14T22:13:23.000Z :op!user@host TOPIC #channel :A new topic`);
+            await storeLine(`@time=2023-11-14T22:13:24.000Z :op!user@host MODE #channel +o someone`);
+            await storeLine(`@time=2023-11-14T22:13:25.000Z :someone!user@host PART #channel`);
+
+            const messages = await store.getMessagesBeforeTime(1, 1, '#channel', Date.now(), 10, { events: true });
+
+            expect(messages.map(m => m.to1459())).toEqual([
+                expect.stringMatching(/ :someone!user@host JOIN #channel$/),
+                expect.stringMatching(/ :op!user@host KICK #channel someone :Bye now$/),
+                expect.stringMatching(/ :op!user@host TOPIC #channel :A new topic$/),
+                expect.stringMatching(/ :op!user@host MODE #channel \+o someone$/),
+                expect.stringMatching(/ :someone!user@host PART #channel$/),
+            ]);
+        });
+
+        test('should log QUIT and NICK in every buffer shared with the user', async () => {
+            await storeLine(`@time=2023-11-14T22:13:21.000Z :someone!user@host NICK newnick`);
+            await storeLine(`@time=2023-11-14T22:13:22.000Z :someone!user@host QUIT :Gone`);
+
+            for (const buffer of ['#channel', '#other', 'someone']) {
+                const messages = await store.getMessagesBeforeTime(1, 1, buffer, Date.now(), 10, { events: true });
+                expect(commands(messages)).toEqual(['NICK', 'QUIT']);
+            }
+
+            const quiet = await store.getMessagesBeforeTime(1, 1, '#quiet', Date.now(), 10, { events: true });
+            expect(quiet).toEqual([]);
+        });
+
+        test('should not count events as unread messages', async () => {
+            insertMessage({ time: baseTime, msgid: 'm0' });
+            await storeLine(`@time=2023-11-14T22:13:21.000Z :someone!user@host JOIN #channel`);
+
+            expect(store.countMessagesSince(1, 1, '#channel', 0)).toBe(1);
+            expect(store.getNthLatestMessageTime(1, 1, '#channel', 0)).toBe(baseTime);
+        });
+    });
+
+    describe('searchMessages', () => {
+        const insertSearchable = () => {
+            insertMessage({ time: baseTime, msgid: 's0', nick: 'alice', text: 'the build is broken again' });
+            insertMessage({ time: baseTime + 1000, msgid: 's1', nick: 'Bob', text: 'who broke the build?' });
+            insertMessage({ time: baseTime + 2000, msgid: 's2', nick: 'alice', text: 'lunch anyone' });
+            insertMessage({ time: baseTime + 3000, msgid: 's3', nick: 'bob', text: 'build fixed', buffer: '#other' });
+            insertMessage({ time: baseTime + 4000, msgid: 's4', nick: 'bob', text: 'build', user_id: 2 });
+        };
+
+        const resultIds = (results) => results.map(r => r.message.tags.msgid);
+
+        test('should find messages containing all of the words, newest first', async () => {
+            insertSearchable();
+
+            const results = await store.searchMessages(1, 1, 'build', {}, 10);
+
+            expect(resultIds(results)).toEqual(['s3', 's1', 's0']);
+            expect(results[0].buffer).toBe('#other');
+            expect(results[0].message.params).toEqual(['#other', 'build fixed']);
+
+            expect(resultIds(await store.searchMessages(1, 1, 'the build', {}, 10))).toEqual(['s1', 's0']);
+        });
+
+        test('should filter by buffer, nick and time', async () => {
+            insertSearchable();
+
+            expect(resultIds(await store.searchMessages(1, 1, 'build', { buffer: '#channel' }, 10)))
+                .toEqual(['s1', 's0']);
+            expect(resultIds(await store.searchMessages(1, 1, 'build', { nick: 'bob' }, 10)))
+                .toEqual(['s3', 's1']);
+            expect(resultIds(await store.searchMessages(1, 1, 'build', { after: baseTime, before: baseTime + 3000 }, 10)))
+                .toEqual(['s1']);
+        });
+
+        test('should not treat the text as query syntax', async () => {
+            insertSearchable();
+
+            expect(resultIds(await store.searchMessages(1, 1, 'broke the build?', {}, 10))).toEqual(['s1']);
+            expect(await store.searchMessages(1, 1, '"unbalanced AND -', {}, 10)).toEqual([]);
+            expect(await store.searchMessages(1, 1, '   ', {}, 10)).toEqual([]);
+        });
+
+        test('should stop finding text once it has been cleaned up', async () => {
+            insertSearchable();
+
+            let rows = store.db.prepare('DELETE FROM logs RETURNING bufferref, msgtagsref, dataref, prefixref, paramsref').all();
+            store.runDataCleanup(rows);
+
+            expect(await store.searchMessages(1, 1, 'build', {}, 10)).toEqual([]);
+            expect(store.db.prepare(`SELECT COUNT(*) AS cnt FROM message_fts WHERE message_fts MATCH 'build'`).get().cnt).toBe(0);
+        });
+
+        test('should only index the text of messages', async () => {
+            insertMessage({ time: baseTime, msgid: 'j0', nick: 'builder', text: 'hello', type: 3 });
+            insertMessage({ time: baseTime + 1000, msgid: 'p0', nick: 'builder', text: 'hello' });
+            insertMessage({ time: baseTime + 2000, msgid: 'p1', nick: 'alice', text: 'hello' });
+
+            let indexed = sql => store.db.prepare(`SELECT COUNT(*) AS cnt FROM message_fts WHERE message_fts MATCH '${sql}'`).get().cnt;
+            expect(indexed('builder')).toBe(0);
+            expect(indexed('channel')).toBe(0);
+            expect(indexed('msgid')).toBe(0);
+            // Text shared by several messages is indexed once
+            expect(indexed('hello')).toBe(1);
+            expect(resultIds(await store.searchMessages(1, 1, 'hello', {}, 10))).toEqual(['p1', 'p0']);
+        });
+
+        test('should build the index from messages logged before it existed', async () => {
+            insertSearchable();
+            store.db.exec('DROP TABLE message_fts');
+            await store.init();
+
+            expect(resultIds(await store.searchMessages(1, 1, 'build', {}, 10))).toEqual(['s3', 's1', 's0']);
+            expect(store.db.prepare(`SELECT COUNT(*) AS cnt FROM message_fts WHERE message_fts MATCH 'alice'`).get().cnt).toBe(0);
+        });
+    });
+});
+
+describe('SqliteMessageStore encryption', () => {
+    let store;
+    let encrypt;
+
+    beforeAll(() => {
+        global.l = {
+            info: jest.fn(),
+            debug: jest.fn(),
+            error: jest.fn(),
+            warn: jest.fn(),
+        };
+    });
+
+    const createStore = async () => {
+        let mockConfig = {
+            get: jest.fn((key, def) => {
+                if (key === 'logging') {
+                    return { database: ':memory:', encrypt };
+                }
+                if (key === 'database.crypt_key') {
+                    return 'abcdefghijklmnopqrstuvwxyz123456';
+                }
+                return def;
+            }),
+            relativePath: jest.fn((path) => path),
+        };
+
+        store = new SqliteMessageStore(mockConfig);
+        await store.init();
+    };
+
+    afterEach(() => {
+        if (store.db && store.db.open) {
+            store.db.close();
+        }
+    });
+
+    const upstreamCon = (userId) => ({
+        state: { authUserId: userId, authNetworkId: 1, nick: 'me', buffers: {} },
+    });
+
+    const storeLine = async (userId, line) => {
+        await store.storeMessage(ircLineParser(line), upstreamCon(userId), null);
+        await store.flush();
+    };
+
+    const plainTextRows = (text) => store.db.prepare('SELECT id FROM data WHERE data = ?').all(text);
+
+    test('should encrypt message text and read it back', async () => {
+        encrypt = true;
+        await createStore();
+
+        await storeLine(1, '@time=2024-01-01T00:00:00.000Z;msgid=e1 :friend!u@h PRIVMSG me :a secret');
+        await storeLine(1, '@time=2024-01-01T00:00:01.000Z;msgid=e2 :friend!u@h PRIVMSG me :a secret');
+        await storeLine(2, '@time=2024-01-01T00:00:02.000Z;msgid=e3 :friend!u@h PRIVMSG me :a secret');
+
+        expect(plainTextRows('a secret')).toEqual([]);
+        // The same text is only stored once per user
+        let dataRefs = store.db.prepare('SELECT DISTINCT dataref FROM logs ORDER BY dataref').all();
+        expect(dataRefs.length).toBe(2);
+
+        let messages = await store.getMessagesBeforeTime(1, 1, 'friend', Date.now(), 10);
+        expect(messages.map(m => m.params[1])).toEqual(['a secret', 'a secret']);
+        expect(await store.searchMessages(1, 1, 'secret', {}, 10)).toEqual([]);
+    });
+
+    test('should encrypt messages that were logged in plain text', async () => {
+        encrypt = false;
+        await createStore();
+
+        await storeLine(1, '@time=2024-01-01T00:00:00.000Z;msgid=p1 :friend!u@h PRIVMSG me :old secret');
+        await storeLine(2, '@time=2024-01-01T00:00:01.000Z;msgid=p2 :friend!u@h PRIVMSG me :old secret');
+        await storeLine(1, '@time=2024-01-01T00:00:02.000Z;msgid=p3 :friend!u@h PRIVMSG me :another');
+        expect(plainTextRows('old secret').length).toBe(1);
+
+        expect(await store.encryptExistingMessages(2)).toBe(3);
+        expect(await store.encryptExistingMessages(2)).toBe(0);
+
+        expect(plainTextRows('old secret')).toEqual([]);
+        expect(plainTextRows('another')).toEqual([]);
+
+        let messages = await store.getMessagesBeforeTime(2, 1, 'friend', Date.now(), 10);
+        expect(messages.map(m => m.params[1])).toEqual(['old secret']);
+    });
 });
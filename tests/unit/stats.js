@@ -0,0 +1,55 @@
+'use strict';
+
+const Stats = require('../../src/libs/stats');
+
+/**
+ * Tests for the in-process metrics registry in src/libs/stats.js and its Prometheus output
+ */
+
+describe('Stats metrics', () => {
+    it('should record metrics without the process prefix', () => {
+        let stats = new Stats({ prefix: 'bnc.worker' });
+        let queueStats = stats.makePrefix('queue');
+
+        stats.gauge('stats.connections', 4);
+        stats.gauge('stats.connections', 5);
+        queueStats.increment('sendtoworker');
+        queueStats.increment('sendtoworker', 2);
+        queueStats.makePrefix('message').timer('time', 250);
+        queueStats.makePrefix('message').timer('time', 750);
+
+        expect(stats.registry.snapshot()).toEqual({
+            counters: { 'queue.sendtoworker': 3 },
+            gauges: { 'stats.connections': 5 },
+            timers: { 'queue.message.time': { count: 2, sum: 1000 } },
+        });
+        expect(queueStats.registry).toBe(stats.registry);
+    });
+
+    it('should format metrics from several processes for Prometheus', () => {
+        let worker = new Stats();
+        worker.gauge('stats.connections', 5);
+        worker.increment('queue.message.received');
+        worker.timer('worker.process_message_time', 1500);
+
+        let sockets = new Stats();
+        sockets.gauge('stats.connections', 2);
+
+        let out = Stats.formatPrometheus([
+            { labels: { process: 'worker' }, metrics: worker.registry.snapshot() },
+            { labels: { process: 'sock"ets' }, metrics: sockets.registry.snapshot() },
+        ]);
+
+        expect(out).toBe([
+            '# TYPE bnc_queue_message_received_total counter',
+            'bnc_queue_message_received_total{process="worker"} 1',
+            '# TYPE bnc_stats_connections gauge',
+            'bnc_stats_connections{process="worker"} 5',
+            'bnc_stats_connections{process="sock\\"ets"} 2',
+            '# TYPE bnc_worker_process_message_time_seconds summary',
+            'bnc_worker_process_message_time_seconds_sum{process="worker"} 1.5',
+            'bnc_worker_process_message_time_seconds_count{process="worker"} 1',
+            '',
+        ].join('\n'));
+    });
+});
@@ -148,4 +148,38 @@ describe('upstream CAP negotiation', () => {
         expect(con.state.caps.has('sasl')).toBe(true);
         expect(con.state.caps.has('echo-message')).toBe(true);
     });
+
+    it('authenticates with SASL EXTERNAL when a client certificate is set', async () => {
+        const con = createUpstream([], { sasl: { account: 'me', password: 'pass', external: true } });
+
+        await UpstreamCommands.run(capMsg('*', 'LS', 'sasl=PLAIN,EXTERNAL'), con);
+        con.writeLine.mockClear();
+        await UpstreamCommands.run(capMsg('*', 'ACK', 'sasl'), con);
+        expect(con.writeLine.mock.calls).toEqual([['AUTHENTICATE EXTERNAL']]);
+
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', ['+']), con);
+        expect(con.writeLine).toHaveBeenLastCalledWith('AUTHENTICATE +');
+
+        // A rejected certificate falls back to the account password
+        await UpstreamCommands.run(createMockMessage('904', ['me', 'SASL authentication failed']), con);
+        expect(con.writeLine).toHaveBeenLastCalledWith('AUTHENTICATE PLAIN');
+
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', ['+']), con);
+        expect(con.writeLine).toHaveBeenLastCalledWith('AUTHENTICATE ' + Buffer.from('me\0me\0pass').toString('base64'));
+    });
+
+    it('only uses SASL mechanisms the server supports', async () => {
+        const con = createUpstream([], { sasl: { account: 'me', password: 'pass', external: true } });
+
+        await UpstreamCommands.run(capMsg('*', 'LS', 'sasl=PLAIN'), con);
+        con.writeLine.mockClear();
+        await UpstreamCommands.run(capMsg('*', 'ACK', 'sasl'), con);
+        expect(con.writeLine.mock.calls).toEqual([['AUTHENTICATE PLAIN']]);
+
+        // Nothing left to try
+        con.close = jest.fn();
+        await UpstreamCommands.run(createMockMessage('904', ['me', 'SASL authentication failed']), con);
+        expect(con.close).toHaveBeenCalled();
+        expect(con.state.tempGet('irc_error')).toBe('Invalid network login');
+    });
 });
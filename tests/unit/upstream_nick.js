@@ -0,0 +1,167 @@
+'use strict';
+
+const { createMockState, createMockMessage } = require('../helpers/mocks');
+
+/**
+ * Tests for alternative nicks and regaining our nick in src/worker/upstreamcommands.js
+ */
+
+describe('upstream nick handling', () => {
+    let UpstreamCommands;
+
+    beforeEach(() => {
+        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn(), warn: jest.fn() });
+        global.config = { get: jest.fn().mockReturnValue(500) };
+
+        jest.resetModules();
+        jest.doMock('../../src/worker/hooks', () => ({
+            emit: jest.fn(async (eventName, event) => ({ prevent: false, event })),
+        }));
+
+        UpstreamCommands = require('../../src/worker/upstreamcommands');
+    });
+
+    afterEach(() => {
+        delete global.l;
+        delete global.config;
+        jest.resetModules();
+    });
+
+    function createUpstream(opts = {}) {
+        const state = createMockState([], {
+            nick: 'me',
+            netRegistered: false,
+            isupports: opts.isupports || [],
+            tempData: { desired_nick: 'me' },
+        });
+        state.receivedMotd = false;
+        state.registrationLines = [];
+        state.buffers = {};
+        state.logging = false;
+        state.account = opts.account || '';
+        state.sasl = opts.sasl || { account: '', password: '' };
+        state.altNicks = opts.altNicks || [];
+        state.nickSuffix = opts.nickSuffix || '';
+        state.nickservRegain = opts.nickservRegain || '';
+        state.getBuffer = jest.fn();
+
+        return {
+            id: 'up-1',
+            state,
+            writeLine: jest.fn(),
+            throttle: jest.fn(),
+            forEachClient: jest.fn(),
+            close: jest.fn(),
+        };
+    }
+
+    const nickInUse = (con, nick) => UpstreamCommands.run(createMockMessage('433', ['*', nick || con.state.nick, 'Nickname is already in use']), con);
+
+    // Register as nick and finish the MOTD
+    async function register(con, nick) {
+        await UpstreamCommands.run(createMockMessage('001', [nick, 'Welcome']), con);
+        await UpstreamCommands.run(createMockMessage('376', [nick, 'End of MOTD']), con);
+    }
+
+    it('should try alt nicks and then add a suffix', async () => {
+        const con = createUpstream({ altNicks: ['other', 'another'] });
+
+        for (let i = 0; i < 4; i++) {
+            await nickInUse(con);
+        }
+
+        expect(con.writeLine.mock.calls.map(call => call.join(' '))).toEqual([
+            'NICK other',
+            'NICK another',
+            'NICK another_',
+            'NICK another1',
+        ]);
+    });
+
+    it('should add digits to the nick when configured', async () => {
+        const con = createUpstream({ nickSuffix: 'digits' });
+        con.state.nick = con.state.tempData.desired_nick = 'longernick';
+
+        await nickInUse(con);
+        await nickInUse(con);
+
+        expect(con.writeLine.mock.calls.map(call => call.join(' '))).toEqual([
+            'NICK longerni1',
+            'NICK longerni2',
+        ]);
+    });
+
+    it('should regain the nick when its user quits or changes nick', async () => {
+        const con = createUpstream({ altNicks: ['other'] });
+        await nickInUse(con);
+        await register(con, 'other');
+        con.writeLine.mockClear();
+
+        // Someone else quitting doesn't free our nick
+        await UpstreamCommands.run(createMockMessage('QUIT', ['Bye'], { nick: 'someone' }), con);
+        expect(con.writeLine).not.toHaveBeenCalled();
+
+        await UpstreamCommands.run(createMockMessage('NICK', ['newnick'], { nick: 'ME' }), con);
+        expect(con.writeLine).toHaveBeenCalledWith('NICK', 'me');
+
+        // Someone took it first. Clients never asked for it so they don't see the error
+        expect(await nickInUse(con, 'me')).toBe(false);
+
+        await UpstreamCommands.run(createMockMessage('QUIT', ['Bye'], { nick: 'me' }), con);
+        expect(con.writeLine).toHaveBeenCalledTimes(2);
+
+        await UpstreamCommands.run(createMockMessage('NICK', ['me'], { nick: 'other' }), con);
+        expect(con.state.nick).toBe('me');
+        expect(con.state.tempData.desired_nick).toBeUndefined();
+    });
+
+    it('should watch the nick with MONITOR when supported', async () => {
+        const con = createUpstream({ isupports: ['MONITOR=100'] });
+        await nickInUse(con);
+        await UpstreamCommands.run(createMockMessage('005', ['me_', 'MONITOR=100', 'are supported']), con);
+        await register(con, 'me_');
+
+        expect(con.writeLine).toHaveBeenCalledWith('MONITOR', '+', 'me');
+
+        // Replies for only our nick are hidden from clients
+        let online = createMockMessage('730', ['me_', 'me!u@h']);
+        expect(await UpstreamCommands.run(online, con)).toBe(false);
+        let others = createMockMessage('731', ['me_', 'friend']);
+        expect(await UpstreamCommands.run(others, con)).not.toBe(false);
+
+        let offline = createMockMessage('731', ['me_', 'me']);
+        expect(await UpstreamCommands.run(offline, con)).toBe(false);
+        expect(con.writeLine).toHaveBeenCalledWith('NICK', 'me');
+
+        await UpstreamCommands.run(createMockMessage('NICK', ['me'], { nick: 'me_' }), con);
+        expect(con.writeLine).toHaveBeenCalledWith('MONITOR', '-', 'me');
+    });
+
+    it('should ask NickServ for the nick when logged in', async () => {
+        const con = createUpstream({
+            nickservRegain: 'regain',
+            account: 'me',
+            sasl: { account: 'me', password: 'pass' },
+        });
+        await nickInUse(con);
+        await register(con, 'me_');
+
+        expect(con.writeLine).toHaveBeenCalledWith('PRIVMSG', 'NickServ', 'REGAIN me');
+    });
+
+    it('should not ask NickServ when not logged in', async () => {
+        const con = createUpstream({ nickservRegain: 'ghost' });
+        await nickInUse(con);
+        await register(con, 'me_');
+
+        expect(con.writeLine).not.toHaveBeenCalledWith('PRIVMSG', 'NickServ', expect.anything());
+    });
+
+    it('should stop regaining when registered with the nick anyway', async () => {
+        const con = createUpstream();
+        await register(con, 'me');
+
+        expect(con.state.tempData.desired_nick).toBeUndefined();
+        expect(con.writeLine).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,256 @@
+'use strict';
+
+const crypto = require('crypto');
+const { ircLineParser } = require('irc-framework');
+const { createMockState, createMockMessage } = require('../helpers/mocks');
+
+/**
+ * Tests for SASL SCRAM-SHA-256 upstream authentication in src/worker/upstreamcommands.js,
+ * run against a fake server implementing the server side of RFC 5802 / RFC 7677
+ */
+
+function createFakeServer(opts) {
+    let hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+    let salt = crypto.randomBytes(16);
+    let iterations = opts.iterations || 4096;
+    let saltedPassword = crypto.pbkdf2Sync(opts.password, salt, iterations, 32, 'sha256');
+    let storedKey = crypto.createHash('sha256').update(hmac(saltedPassword, 'Client Key')).digest();
+    let serverKey = hmac(saltedPassword, 'Server Key');
+
+    let server = {
+        mechanisms: opts.mechanisms || 'SCRAM-SHA-256,PLAIN',
+        received: [],
+        authenticated: false,
+        mechanism: '',
+        step: 0,
+        clientFirstBare: '',
+        serverFirst: '',
+        serverNonce: crypto.randomBytes(12).toString('base64'),
+        pending: '',
+    };
+
+    let reply = (...lines) => lines.map(line => ircLineParser(':irc.test.server ' + line));
+    let attrs = str => Object.fromEntries(str.split(',').map(part => [part[0], part.substr(2)]));
+    let authenticate = payload => {
+        let b64 = Buffer.from(payload).toString('base64');
+        let lines = [];
+        while (b64.length >= 400) {
+            lines.push('AUTHENTICATE ' + b64.substr(0, 400));
+            b64 = b64.substr(400);
+        }
+        lines.push('AUTHENTICATE ' + (b64 || '+'));
+        return lines;
+    };
+
+    // Takes a line from the client and returns the servers replies
+    server.receive = (line) => {
+        server.received.push(line);
+        let param = line.split(' ')[1];
+
+        if (server.step === 0) {
+            server.mechanism = param;
+            if (param !== 'SCRAM-SHA-256') {
+                return reply(`908 me ${server.mechanisms} :are available SASL mechanisms`, '904 me :SASL authentication failed');
+            }
+            server.step = 1;
+            return reply('AUTHENTICATE +');
+        }
+
+        if (param === '*') {
+            server.step = 0;
+            return reply('906 me :SASL authentication aborted');
+        }
+
+        // Client payloads may be split over several lines
+        server.pending += param === '+' ? '' : param;
+        if (param.length === 400) {
+            return [];
+        }
+        let payload = Buffer.from(server.pending, 'base64').toString();
+        server.pending = '';
+
+        if (server.step === 1) {
+            server.clientFirstBare = payload.substr(3);
+            let clientNonce = attrs(server.clientFirstBare).r;
+            server.serverFirst = `r=${clientNonce}${server.serverNonce},s=${salt.toString('base64')},i=${iterations}`;
+            server.step = 2;
+            return reply(...authenticate(server.serverFirst));
+        }
+
+        if (server.step === 2) {
+            let clientFinal = attrs(payload);
+            let clientFinalBare = payload.substr(0, payload.indexOf(',p='));
+            let authMessage = `${server.clientFirstBare},${server.serverFirst},${clientFinalBare}`;
+            let clientSignature = hmac(storedKey, authMessage);
+            let proof = Buffer.from(clientFinal.p, 'base64');
+            let clientKey = Buffer.from(proof.map((byte, i) => byte ^ clientSignature[i]));
+            let proofValid = crypto.createHash('sha256').update(clientKey).digest().equals(storedKey);
+
+            if (!proofValid || clientFinal.c !== 'biws') {
+                server.step = 0;
+                return reply('904 me :SASL authentication failed');
+            }
+
+            let signature = opts.badSignature ?
+                crypto.randomBytes(32) :
+                hmac(serverKey, authMessage);
+            server.step = 3;
+            return reply(...authenticate('v=' + signature.toString('base64')));
+        }
+
+        if (server.step === 3 && param === '+') {
+            server.authenticated = true;
+            server.step = 0;
+            return reply('900 me me!u@h me :You are now logged in as me', '903 me :SASL authentication successful');
+        }
+
+        return [];
+    };
+
+    return server;
+}
+
+describe('upstream SASL SCRAM-SHA-256', () => {
+    let UpstreamCommands;
+
+    beforeEach(() => {
+        global.l = Object.assign(jest.fn(), { debug: jest.fn(), info: jest.fn(), error: jest.fn(), trace: jest.fn(), warn: jest.fn() });
+        global.config = { get: jest.fn().mockReturnValue(500) };
+
+        jest.resetModules();
+        jest.doMock('../../src/worker/hooks', () => ({
+            emit: jest.fn(async (eventName, event) => ({ prevent: false, event })),
+        }));
+
+        UpstreamCommands = require('../../src/worker/upstreamcommands');
+    });
+
+    afterEach(() => {
+        delete global.l;
+        delete global.config;
+        jest.resetModules();
+    });
+
+    function createUpstream(sasl) {
+        const state = createMockState([], { netRegistered: false, receivedMotd: false });
+        state.sasl = sasl;
+        state.receivedMotd = false;
+
+        return {
+            id: 'up-1',
+            state,
+            writeLine: jest.fn(),
+            throttle: jest.fn(),
+            forEachClient: jest.fn(),
+            close: jest.fn(),
+        };
+    }
+
+    // Pass AUTHENTICATE lines between the connection and the server until neither has more to say
+    async function negotiate(con, server) {
+        await UpstreamCommands.run(createMockMessage('CAP', ['*', 'LS', 'sasl=' + server.mechanisms]), con);
+        await UpstreamCommands.run(createMockMessage('CAP', ['*', 'ACK', 'sasl']), con);
+
+        let sent = 0;
+        while (sent < con.writeLine.mock.calls.length) {
+            let line = con.writeLine.mock.calls[sent++].join(' ');
+            if (!line.startsWith('AUTHENTICATE')) {
+                continue;
+            }
+
+            for (let msg of server.receive(line)) {
+                await UpstreamCommands.run(msg, con);
+            }
+        }
+    }
+
+    it('should prefer SCRAM-SHA-256 when the server offers it', async () => {
+        const server = createFakeServer({ password: 'secret pass' });
+        const con = createUpstream({ account: 'me', password: 'secret pass' });
+
+        await negotiate(con, server);
+
+        expect(server.authenticated).toBe(true);
+        expect(server.received[0]).toBe('AUTHENTICATE SCRAM-SHA-256');
+        // The password never goes over the wire
+        expect(server.received.join('\n')).not.toContain(Buffer.from('secret pass').toString('base64'));
+        expect(con.writeLine).toHaveBeenCalledWith('CAP', 'END');
+    });
+
+    it('should escape usernames', async () => {
+        const server = createFakeServer({ password: 'pass' });
+        const con = createUpstream({ account: 'me,=you', password: 'pass' });
+
+        await negotiate(con, server);
+
+        expect(server.authenticated).toBe(true);
+        expect(server.clientFirstBare.startsWith('n=me=2C=3Dyou,r=')).toBe(true);
+    });
+
+    it('should use PLAIN when the server does not offer SCRAM-SHA-256', async () => {
+        const server = createFakeServer({ password: 'pass', mechanisms: 'PLAIN,EXTERNAL' });
+        const con = createUpstream({ account: 'me', password: 'pass' });
+
+        await negotiate(con, server);
+
+        expect(server.received[0]).toBe('AUTHENTICATE PLAIN');
+    });
+
+    it('should not fall back to PLAIN when the password is rejected', async () => {
+        const server = createFakeServer({ password: 'right' });
+        const con = createUpstream({ account: 'me', password: 'wrong' });
+
+        await negotiate(con, server);
+
+        expect(server.authenticated).toBe(false);
+        expect(server.received).not.toContain('AUTHENTICATE PLAIN');
+        expect(con.close).toHaveBeenCalled();
+        expect(con.state.tempGet('irc_error')).toBe('Invalid network login');
+    });
+
+    it('should abort when the server cannot prove it knows the password', async () => {
+        const server = createFakeServer({ password: 'pass', badSignature: true });
+        const con = createUpstream({ account: 'me', password: 'pass' });
+
+        await negotiate(con, server);
+
+        expect(server.authenticated).toBe(false);
+        expect(server.received).toContain('AUTHENTICATE *');
+        expect(con.close).toHaveBeenCalled();
+    });
+
+    it('should abort on a server nonce that does not extend ours', async () => {
+        const con = createUpstream({ account: 'me', password: 'pass' });
+        await UpstreamCommands.run(createMockMessage('CAP', ['*', 'LS', 'sasl=SCRAM-SHA-256']), con);
+        await UpstreamCommands.run(createMockMessage('CAP', ['*', 'ACK', 'sasl']), con);
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', ['+']), con);
+
+        let serverFirst = 'r=someoneelse,s=' + Buffer.from('salt').toString('base64') + ',i=4096';
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', [Buffer.from(serverFirst).toString('base64')]), con);
+
+        expect(con.writeLine).toHaveBeenLastCalledWith('AUTHENTICATE *');
+    });
+
+    it('should reassemble server payloads split over several lines', async () => {
+        const con = createUpstream({ account: 'me', password: 'pass' });
+        await UpstreamCommands.run(createMockMessage('CAP', ['*', 'LS', 'sasl=SCRAM-SHA-256']), con);
+        await UpstreamCommands.run(createMockMessage('CAP', ['*', 'ACK', 'sasl']), con);
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', ['+']), con);
+
+        let nonce = con.state.tempGet('sasl_scram').nonce;
+        let serverFirst = `r=${nonce}${'x'.repeat(400)},s=${Buffer.from('salt').toString('base64')},i=4096`;
+        let b64 = Buffer.from(serverFirst).toString('base64');
+
+        con.writeLine.mockClear();
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', [b64.substr(0, 400)]), con);
+        expect(con.writeLine).not.toHaveBeenCalled();
+        await UpstreamCommands.run(createMockMessage('AUTHENTICATE', [b64.substr(400)]), con);
+
+        // The client final message echoes the long nonce back, needing more than one line too
+        let lines = con.writeLine.mock.calls.map(args => args[0].split(' ')[1]);
+        expect(lines.length).toBeGreaterThan(1);
+        expect(lines[0].length).toBe(400);
+        let clientFinal = Buffer.from(lines.join(''), 'base64').toString();
+        expect(clientFinal.startsWith(`c=biws,r=${nonce}${'x'.repeat(400)},p=`)).toBe(true);
+    });
+});
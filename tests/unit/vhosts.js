@@ -0,0 +1,146 @@
+'use strict';
+
+const path = require('path');
+const knex = require('knex');
+const Vhosts = require('../../src/libs/vhosts');
+const Users = require('../../src/worker/users');
+
+/**
+ * Tests for the IPv6 vhost pools in src/libs/vhosts.js and their allocation in
+ * src/worker/users.js
+ */
+
+describe('vhosts', () => {
+    let vhostConfig;
+
+    beforeEach(() => {
+        vhostConfig = { 'vhosts.prefixes': ['2001:db8:1::/64'] };
+        global.l = { error: jest.fn() };
+        global.config = { get: jest.fn((key, def) => (key in vhostConfig ? vhostConfig[key] : def)) };
+    });
+
+    afterEach(() => {
+        delete global.l;
+        delete global.config;
+    });
+
+    describe('prefixes', () => {
+        it('should parse prefixes', () => {
+            let prefix = Vhosts.parsePrefix('2001:0db8:0001:0000:1234::1/64');
+            expect(prefix.prefix).toBe('2001:db8:1::/64');
+            expect(prefix.bits).toBe(64);
+
+            expect(Vhosts.parsePrefix('2001:db8::/0')).toBe(null);
+            expect(Vhosts.parsePrefix('2001:db8::')).toBe(null);
+            expect(Vhosts.parsePrefix('192.0.2.0/24')).toBe(null);
+        });
+
+        it('should skip invalid prefixes in the config', () => {
+            vhostConfig['vhosts.prefixes'] = ['2001:db8:1::/64', 'nonsense', '2001:db8:2::/48'];
+            expect(Vhosts.configPrefixes().map(p => p.prefix)).toEqual(['2001:db8:1::/64', '2001:db8:2::/48']);
+            expect(global.l.error).toHaveBeenCalled();
+        });
+
+        it('should find the prefix an address is in', () => {
+            let prefixes = Vhosts.configPrefixes();
+            expect(Vhosts.findPrefix(prefixes, '2001:db8:1::abcd')).toBe(prefixes[0]);
+            expect(Vhosts.findPrefix(prefixes, '2001:db8:2::abcd')).toBe(null);
+            expect(Vhosts.findPrefix(prefixes, '192.0.2.1')).toBe(null);
+        });
+
+        it('should pick stable addresses within a prefix', () => {
+            let prefix = Vhosts.parsePrefix('2001:db8:1::/112');
+            let address = Vhosts.addressForSeed(prefix, 5);
+
+            expect(Vhosts.addressForSeed(prefix, 5)).toBe(address);
+            expect(Vhosts.addressForSeed(prefix, 5, 1)).not.toBe(address);
+            expect(Vhosts.addressForSeed(prefix, 6)).not.toBe(address);
+            expect(address).toMatch(/^2001:db8:1::[0-9a-f]{1,4}$/);
+        });
+
+        it('should normalise addresses', () => {
+            expect(Vhosts.normaliseAddress('2001:0DB8:0000:0000:0001:0000:0000:0001')).toBe('2001:db8::1:0:0:1');
+            expect(Vhosts.normaliseAddress('::')).toBe('::');
+            expect(Vhosts.normaliseAddress('1:2:3:4:5:6:7:8')).toBe('1:2:3:4:5:6:7:8');
+            expect(Vhosts.normaliseAddress('example.com')).toBe(null);
+        });
+    });
+
+    describe('allocation', () => {
+        let dbUsers;
+        let users;
+
+        beforeEach(async () => {
+            dbUsers = knex({
+                client: 'better-sqlite3',
+                connection: { filename: ':memory:' },
+                useNullAsDefault: true,
+            });
+            await dbUsers.migrate.latest({
+                directory: path.join(__dirname, '..', '..', 'src', 'dbschemas', 'users'),
+            });
+            await dbUsers('users').insert([
+                { id: 1, username: 'one', password: '' },
+                { id: 2, username: 'two', password: '' },
+            ]);
+
+            users = new Users({ dbUsers });
+        });
+
+        afterEach(async () => {
+            await dbUsers.destroy();
+        });
+
+        it('should give users a stable free address', async () => {
+            let address = await users.assignUserVhost(1);
+            expect(Vhosts.findPrefix(Vhosts.configPrefixes(), address)).toBeTruthy();
+            expect((await users.getUserVhost(1)).address).toBe(address);
+
+            // Reassigning keeps the same address
+            expect(await users.assignUserVhost(1)).toBe(address);
+
+            // Released addresses come back for the same user
+            expect(await users.releaseUserVhost(1)).toBe(1);
+            expect(await users.getUserVhost(1)).toBe(undefined);
+            expect(await users.assignUserVhost(1)).toBe(address);
+
+            let other = await users.assignUserVhost(2);
+            expect(other).not.toBe(address);
+            expect((await users.getVhosts()).map(v => [v.username, v.address])).toEqual([
+                ['one', address],
+                ['two', other],
+            ]);
+        });
+
+        it('should assign specific addresses within the prefixes', async () => {
+            expect(await users.assignUserVhost(1, '2001:0db8:0001::0042')).toBe('2001:db8:1::42');
+
+            await expect(users.assignUserVhost(2, '2001:db8:1::42'))
+                .rejects.toMatchObject({ code: 'vhost_in_use' });
+            await expect(users.assignUserVhost(2, '2001:db8:9::42'))
+                .rejects.toMatchObject({ code: 'vhost_not_in_pool' });
+
+            vhostConfig['vhosts.prefixes'] = [];
+            await expect(users.assignUserVhost(2))
+                .rejects.toMatchObject({ code: 'no_vhost_prefixes' });
+        });
+
+        it('should skip addresses that are taken', async () => {
+            let taken = Vhosts.addressForSeed(Vhosts.configPrefixes()[0], 2);
+            await users.assignUserVhost(1, taken);
+
+            let address = await users.assignUserVhost(2);
+            expect(address).toBe(Vhosts.addressForSeed(Vhosts.configPrefixes()[0], 2, 1));
+        });
+
+        it('should only auto assign addresses when enabled', async () => {
+            expect(await users.getUserBindVhost(1)).toBe('');
+            expect(await users.getUserVhost(1)).toBe(undefined);
+
+            vhostConfig['vhosts.auto_assign'] = true;
+            let address = await users.getUserBindVhost(1);
+            expect(address).toBeTruthy();
+            expect(await users.getUserBindVhost(1)).toBe(address);
+        });
+    });
+});